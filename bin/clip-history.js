@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// clip-history: command-line access to a running Clipboard History Manager.
+//
+// Talks to the app's control socket, found through control.json in the app's
+// user data folder (set CLIP_HISTORY_CONTROL_FILE to point elsewhere).
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const USAGE = `Usage: clip-history <command> [options]
+
+Commands:
+  list [--type TYPE] [--pinned] [--tag NAME] [--limit N]
+                                   List items, newest first. TYPE is text, image,
+                                   files or a kind of text: url, email, path,
+                                   color, json, code, phone, number, prose
+  search <query> [--limit N]       Search with the app's query language
+  get <id>                         Print an item (images are written as PNG)
+  push [text]                      Copy text (or stdin) and add it to the history
+  pin <id> | unpin <id>            Pin or unpin an item
+  delete <id>                      Delete an item
+  clear                            Delete the whole history
+  watch                            Print new items as they are copied
+
+Options:
+  --json                           Print JSON (one object per line for list, search and watch)
+  -h, --help                       Show this help
+
+list, search and watch print "<id>\\t<type>\\t<preview>" lines, e.g.
+  clip-history get "$(clip-history list --type text --limit 5 | fzf | cut -f1)"`;
+
+const BOOLEAN_FLAGS = ['pinned', 'json', 'help'];
+const PREVIEW_LENGTH = 200;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args._.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (BOOLEAN_FLAGS.includes(key)) {
+        args[key] = true;
+      } else if (inlineValue !== undefined) {
+        args[key] = inlineValue;
+      } else if (i + 1 < argv.length) {
+        args[key] = argv[++i];
+      } else {
+        throw new UsageError(`--${key} needs a value`);
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+// Packaged builds use the product name for their data folder, `npm start` the package name
+function getControlFileCandidates() {
+  if (process.env.CLIP_HISTORY_CONTROL_FILE) return [process.env.CLIP_HISTORY_CONTROL_FILE];
+  const home = os.homedir();
+  let appData;
+  if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appData = path.join(home, 'Library', 'Application Support');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return ['Clipboard History Manager', 'clipboard-history-manager']
+    .map(name => path.join(appData, name, 'control.json'));
+}
+
+function readControlFile() {
+  const found = getControlFileCandidates()
+    .filter(file => fs.existsSync(file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  if (found.length === 0) throw new Error('Clipboard History Manager is not running (no control.json found)');
+  try {
+    return JSON.parse(fs.readFileSync(found[0], 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read ${found[0]}: ${error.message}`);
+  }
+}
+
+// Opens a connection, sends one request and calls `onMessage` for every
+// message that comes back until the connection closes
+function openRequest(method, params, onMessage) {
+  const control = readControlFile();
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(control.socket);
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.once('connect', () => {
+      socket.write(JSON.stringify({ id: 1, token: control.token, method, params }) + '\n');
+    });
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line.trim()) continue;
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          socket.destroy();
+          reject(new Error('The app sent a reply that is not valid JSON'));
+          return;
+        }
+        onMessage(message, socket);
+      }
+    });
+    socket.on('error', error => {
+      reject(['ECONNREFUSED', 'ENOENT'].includes(error.code)
+        ? new Error('Clipboard History Manager is not running')
+        : error);
+    });
+    socket.on('close', resolve);
+  });
+}
+
+async function call(method, params = {}) {
+  let response = null;
+  await openRequest(method, params, (message, socket) => {
+    response = message;
+    socket.end();
+  });
+  if (!response) throw new Error('The app closed the connection without answering');
+  if (response.error) throw new Error(response.error);
+  return response.result;
+}
+
+function formatLine(item) {
+  let preview;
+  if (item.type === 'image') {
+    preview = `[image, ${Math.max(1, Math.round(item.size / 1024))} KB]`;
+  } else if (item.masked && item.text === null) {
+    preview = '•'.repeat(8);
+  } else {
+    preview = item.text.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH);
+  }
+  return `${item.id}\t${item.type}\t${preview}`;
+}
+
+function printItems(items, args) {
+  for (const item of items) {
+    process.stdout.write((args.json ? JSON.stringify(item) : formatLine(item)) + '\n');
+  }
+}
+
+function requireId(args) {
+  const id = args._[1];
+  if (!id || !/^\d+$/.test(id)) throw new UsageError('An item id is required (see "clip-history list")');
+  return Number(id);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function printItem(id, args) {
+  const item = await call('get', { id });
+  if (args.json) {
+    process.stdout.write(JSON.stringify(item) + '\n');
+  } else if (item.type === 'image') {
+    if (process.stdout.isTTY) throw new Error('Refusing to write image data to a terminal, redirect it to a file');
+    process.stdout.write(Buffer.from(item.image.slice(item.image.indexOf(',') + 1), 'base64'));
+  } else {
+    // Exact content for pipes; a final newline only keeps the prompt tidy
+    process.stdout.write(item.text + (process.stdout.isTTY && !item.text.endsWith('\n') ? '\n' : ''));
+  }
+}
+
+// Runs until the app quits or the user interrupts it
+async function watch(args) {
+  let error = null;
+  await openRequest('watch', {}, (message, socket) => {
+    if (message.error) {
+      error = new Error(message.error);
+      socket.end();
+    } else if (message.event === 'item-added') {
+      printItems([message.data], args);
+    }
+  });
+  if (error) throw error;
+}
+
+async function run(argv) {
+  const args = parseArgs(argv);
+  const command = args._[0];
+  if (args.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+
+  switch (command) {
+    case 'list':
+      printItems(await call('list', { type: args.type, pinned: !!args.pinned, tag: args.tag, limit: args.limit }), args);
+      break;
+    case 'search':
+      if (args._.length < 2) throw new UsageError('search needs a query');
+      printItems(await call('search', { query: args._.slice(1).join(' '), limit: args.limit }), args);
+      break;
+    case 'get':
+      await printItem(requireId(args), args);
+      break;
+    case 'push': {
+      const text = args._.length > 1 ? args._.slice(1).join(' ') : await readStdin();
+      const result = await call('push', { text });
+      if (result.skipped) {
+        process.stderr.write(`Copied, but not recorded: matches "${result.skipped}"\n`);
+      } else if (args.json) {
+        process.stdout.write(JSON.stringify(result.item) + '\n');
+      } else {
+        process.stdout.write(`${result.item.id}\n`);
+      }
+      break;
+    }
+    case 'pin':
+    case 'unpin':
+      await call('pin', { id: requireId(args), pinned: command === 'pin' });
+      break;
+    case 'delete':
+      await call('delete', { id: requireId(args) });
+      break;
+    case 'clear':
+      await call('clear');
+      break;
+    case 'watch':
+      await watch(args);
+      break;
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+// Quietly stop when the reader goes away, e.g. `clip-history watch | head -1`
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0);
+  throw error;
+});
+
+run(process.argv.slice(2)).catch(error => {
+  process.stderr.write(`clip-history: ${error.message}\n`);
+  if (error instanceof UsageError) process.stderr.write('Run "clip-history --help" for usage.\n');
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+});
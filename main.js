@@ -1,19 +1,118 @@
-const { app, BrowserWindow, ipcMain, clipboard, nativeImage, globalShortcut, screen, systemPreferences } = require('electron');
+const { app, BrowserWindow, ipcMain, clipboard, nativeImage, globalShortcut, screen, systemPreferences, safeStorage, shell, dialog, powerMonitor, Tray, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const log = require('electron-log');
+const { createHistoryStore } = require('./main/history-store');
+const { createSettingsStore, validateSettings, JOIN_SEPARATORS } = require('./main/settings');
+const { readClipboardSnapshot, writeClipboardSnapshot, getItemFormats, getFormatsSize } = require('./main/clipboard-formats');
+const { detectSensitive, describeRules, SENSITIVE_ACTIONS } = require('./main/sensitive');
+const { createSnippetStore, expandSnippet } = require('./main/snippets');
+const { listTransforms, applyTransform } = require('./main/transforms');
+const { createPasteQueue } = require('./main/paste-queue');
+const { validateTags, normalizeTags, hasTags, setItemTags } = require('./main/tags');
+const { classifyItem } = require('./main/classify');
+const { describeImage, toPngDataUrl, fromPngDataUrl } = require('./main/images');
+const { createHistorySync } = require('./main/history-sync');
+const { createStatsStore } = require('./main/stats');
+const { createActiveWindowProvider, isIgnoredApp } = require('./main/active-window');
+const { createPaster } = require('./main/paste-backends');
+const { buildTrayMenu, getTrayTooltip } = require('./main/tray-menu');
+const {
+  RETENTION_SETTINGS,
+  getRetentionPolicy,
+  selectEvictions,
+  describeEviction,
+  appendEvictionLog
+} = require('./main/retention');
+const {
+  TRASH_SETTINGS,
+  getTrashPolicy,
+  canTrash,
+  getTrashSize,
+  addToTrash,
+  emptyExpired,
+  insertByTimestamp
+} = require('./main/trash');
+const { writeFileAtomic } = require('./main/fs-utils');
+const { createControlServer } = require('./main/control-server');
+const { createSearchMatcher } = require('./renderer/search');
+const {
+  EXPORT_EXTENSIONS,
+  validateExportOptions,
+  selectExportItems,
+  exportHistory,
+  getExportFileName,
+  parseImport
+} = require('./main/history-export');
 
 // Configure logging
 log.transports.file.level = 'info';
 log.transports.console.level = 'debug';
 
-// Memory limit: 500MB
-const MAX_MEMORY_BYTES = 500 * 1024 * 1024;
-
 let mainWindow;
+// Compact popup for picking an item at the mouse cursor
+let pickerWindow;
 let clipboardHistory = [];
 let lastClipboardContent = null;
 let clipboardMonitor;
+let tray;
+// When paused monitoring resumes: a timestamp, Infinity for "until resumed", or null
+let pausedUntil = null;
+let resumeTimer;
+let activeWindowProvider;
+let historyStore;
+let settingsStore;
+let snippetStore;
+let statsStore;
+let pasteQueue;
+let controlServer;
+let expiryTimer;
+let retentionTimer;
+let evictionLog = [];
+// Deleted items that can still be restored, newest first
+let trash = [];
+let editUndoStack = [];
+let lastItemId = 0;
+// Changes to the history since the renderer was last told
+const historySync = createHistorySync({ toRendererItem });
+
+// Global shortcuts, keyed by the setting that holds their accelerator
+const GLOBAL_SHORTCUTS = {
+  hotkey: toggleWindow,
+  pasteNextHotkey: pasteNextFromQueue,
+  pickerHotkey: togglePicker
+};
+
+// Settings persistence (next to window-bounds.json)
+function loadSettings() {
+  settingsStore = createSettingsStore({
+    filePath: path.join(app.getPath('userData'), 'settings.json'),
+    log
+  });
+  settingsStore.onChange(applySettingsChange);
+}
+
+function loadSnippets() {
+  snippetStore = createSnippetStore({
+    filePath: path.join(app.getPath('userData'), 'snippets.json'),
+    log
+  });
+}
+
+function loadStats() {
+  statsStore = createStatsStore({
+    filePath: path.join(app.getPath('userData'), 'stats.json'),
+    log,
+    // With persistence off nothing about the history goes to disk
+    canSave: () => settingsStore.get('persistenceMode') !== 'off'
+  });
+  if (settingsStore.get('persistenceMode') === 'off') statsStore.destroy();
+}
+
+function initPasteQueue() {
+  pasteQueue = createPasteQueue({ order: settingsStore.get('pasteQueueOrder') });
+}
 
 // Window position persistence
 function getWindowBoundsPath() {
@@ -49,6 +148,121 @@ function loadWindowBounds() {
   return null;
 }
 
+// History persistence (opt-in, encrypted at rest)
+function loadPersistedHistory() {
+  historyStore = createHistoryStore({ dir: app.getPath('userData'), safeStorage, log, serializeItem: toStoredItem });
+  if (settingsStore.get('persistenceMode') === 'off') return;
+
+  const reason = historyStore.getUnavailableReason();
+  if (reason) {
+    log.warn(`History persistence disabled: ${reason}`);
+    return;
+  }
+  try {
+    // Files written before classification have no kinds yet
+    clipboardHistory = historyStore.load().map(fromStoredItem).filter(Boolean).map(classifyItem);
+    log.info(`Loaded ${clipboardHistory.length} persisted history items`);
+  } catch (error) {
+    log.error('Error loading persisted history:', error);
+  }
+}
+
+// On disk images are PNG data URLs, as in files written before they were
+// kept as buffers; thumbnails and hashes are made again on load
+function toStoredItem(item) {
+  if (item.type !== 'image') return item;
+  const { thumbnail, ...stored } = item;
+  return { ...stored, formats: { ...item.formats, image: toPngDataUrl(item.formats.image) } };
+}
+
+function fromStoredItem(item) {
+  if (item.type !== 'image') return item;
+  const png = fromPngDataUrl(item.formats ? item.formats.image : item.content);
+  try {
+    if (!png) throw new Error('not a PNG data URL');
+    const { content, ...details } = describeImage(nativeImage, png);
+    const restored = { ...item, ...details, content, formats: { ...item.formats, image: png } };
+    restored.size = getItemSize(restored);
+    return restored;
+  } catch (error) {
+    log.warn(`Dropping persisted image that could not be read: ${error.message}`);
+    return null;
+  }
+}
+
+// Thumbnail and pixel size of an image item, from its PNG
+function addImageDetails(item) {
+  const { thumbnail, width, height } = describeImage(nativeImage, item.formats.image);
+  Object.assign(item, { thumbnail, width, height });
+}
+
+// Bytes held for an item: every format, plus the thumbnail of an image
+function getItemSize(item) {
+  return getFormatsSize(item.formats) + (item.thumbnail ? item.thumbnail.length : 0);
+}
+
+// What the renderer gets: images without their PNG, which it fetches with
+// get-item-image when it needs the full picture
+function toRendererItem(item) {
+  if (item.type !== 'image') return item;
+  return { ...item, formats: { ...item.formats, image: true } };
+}
+
+function persistHistory() {
+  const mode = settingsStore.get('persistenceMode');
+  if (!historyStore || mode === 'off' || historyStore.getUnavailableReason()) return;
+  // Items that are about to expire never touch the disk
+  const items = clipboardHistory.filter(item =>
+    !item.expiresAt && (mode === 'all' || item.pinned));
+  historyStore.scheduleSave(items);
+}
+
+// Send the history changes since the last update to the renderer, with the
+// current clipboard item. Called after every change to the history; the
+// renderer asks for a snapshot when the versions tell it it missed one.
+function sendClipboardUpdate() {
+  refreshTray();
+  if (pickerWindow && pickerWindow.isVisible()) pickerWindow.webContents.send('picker-history-changed');
+  if (!mainWindow || !mainWindow.webContents) return;
+  const current = clipboardHistory.find(item => item.content === lastClipboardContent);
+  mainWindow.webContents.send('clipboard-updated', {
+    changes: historySync.collectChanges(clipboardHistory),
+    currentContent: current ? current.content : null,
+    contentType: current ? current.type : null,
+    memoryUsage: getMemoryUsage()
+  });
+}
+
+// Auto-expiry of sensitive items: one timer, armed for the earliest deadline
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+  const deadlines = clipboardHistory.filter(item => item.expiresAt).map(item => Date.parse(item.expiresAt));
+  if (deadlines.length === 0) return;
+  const delay = Math.max(0, Math.min(...deadlines) - Date.now());
+  expiryTimer = setTimeout(removeExpiredItems, delay);
+}
+
+function removeExpiredItems() {
+  const now = Date.now();
+  const expired = clipboardHistory.filter(item => item.expiresAt && Date.parse(item.expiresAt) <= now);
+  if (expired.length > 0) {
+    clipboardHistory = clipboardHistory.filter(item => !expired.includes(item));
+    // Don't leave the secret sitting on the system clipboard either
+    if (expired.some(item => item.content === lastClipboardContent)) {
+      clipboard.clear();
+      lastClipboardContent = null;
+    }
+    // An undo must not bring an expired secret back
+    forgetEditUndo(expired);
+    // Nor the paste queue
+    dropQueuedCopies(expired);
+    log.info(`Removed ${expired.length} expired sensitive item(s)`);
+    persistHistory();
+    sendClipboardUpdate();
+  }
+  scheduleExpiry();
+}
+
 // Debounce helper for saving window position
 let saveTimeout;
 function debouncedSaveWindowBounds() {
@@ -62,8 +276,8 @@ function createWindow() {
 
   const savedBounds = loadWindowBounds();
   const windowOptions = {
-    width: 1000,
-    height: 700,
+    width: settingsStore.get('windowWidth'),
+    height: settingsStore.get('windowHeight'),
     minWidth: 200,
     minHeight: 600,
     webPreferences: {
@@ -91,7 +305,7 @@ function createWindow() {
   mainWindow.once('ready-to-show', () => {
     log.info('Main window ready to show');
     mainWindow.show();
-    startClipboardMonitoring();
+    if (!pausedUntil) startClipboardMonitoring();
   });
 
   // Save window position on move/resize
@@ -116,52 +330,63 @@ function createWindow() {
 
 function startClipboardMonitoring() {
   log.info('Starting clipboard monitoring...');
+  activeWindowProvider = activeWindowProvider || createActiveWindowProvider({ log });
+  // Asking for the source app is asynchronous; polls wait for it to finish
+  let checking = false;
 
-  clipboardMonitor = setInterval(() => {
+  clipboardMonitor = setInterval(async () => {
+    if (checking) return;
+    checking = true;
     try {
-      const currentText = clipboard.readText();
-      const currentImage = clipboard.readImage();
-
-      let newContent = null;
-      let contentType = null;
-
-      if (currentText && currentText !== lastClipboardContent) {
-        newContent = currentText;
-        contentType = 'text';
-        lastClipboardContent = currentText;
-      } else if (!currentText && !currentImage.isEmpty()) {
-        try {
-          const imageData = currentImage.toDataURL();
-          if (imageData && imageData !== lastClipboardContent) {
-            newContent = imageData;
-            contentType = 'image';
-            lastClipboardContent = imageData;
-          }
-        } catch (imageError) {
-          log.error('Error converting clipboard image to data URL:', imageError);
-        }
+      let snapshot = null;
+      try {
+        snapshot = readClipboardSnapshot(clipboard, { previousContent: lastClipboardContent });
+      } catch (readError) {
+        log.error('Error reading clipboard formats:', readError);
       }
 
-      if (newContent) {
-        log.debug(`New clipboard content detected, type: ${contentType}, length: ${newContent.length}`);
-        addToHistory(newContent, contentType);
-      } else if (!currentText && currentImage.isEmpty() && lastClipboardContent !== null) {
+      if (snapshot && snapshot.content !== lastClipboardContent) {
+        lastClipboardContent = snapshot.content;
+        log.debug(`New clipboard content detected, type: ${snapshot.type}, formats: ${Object.keys(snapshot.formats).join(',')}`);
+        const source = await activeWindowProvider.getActiveApp();
+        const sourceApp = source ? source.name : null;
+        if (isIgnoredApp(sourceApp, settingsStore.get('ignoredApps'))) {
+          log.info(`Skipped clipboard content from ignored app ${sourceApp}`);
+          return;
+        }
+        const sensitive = detectSensitive(snapshot, settingsStore.get('sensitive'));
+        const maxItemBytes = getRetentionPolicy(settingsStore.getAll()).maxItemBytes;
+        if (maxItemBytes > 0 && getFormatsSize(snapshot.formats) > maxItemBytes) {
+          log.info(`Skipped clipboard content over the single item size limit, type: ${snapshot.type}`);
+          const skipped = { id: null, ...snapshot, sourceApp, size: getFormatsSize(snapshot.formats), sensitive: sensitive || undefined };
+          recordEvictions([{ item: classifyItem(skipped), reason: 'item-size' }]);
+        } else if (sensitive && sensitive.action === 'skip') {
+          log.info(`Skipped sensitive clipboard content (rule: ${sensitive.ruleId})`);
+        } else {
+          addToHistory(snapshot.content, snapshot.type, snapshot.formats, sensitive, sourceApp);
+          if (pasteQueue.isCollecting()) {
+            const added = clipboardHistory.find(item => item.content === snapshot.content);
+            pasteQueue.push({
+              ...snapshot,
+              thumbnail: added ? added.thumbnail : undefined,
+              sourceId: added ? added.id : null,
+              masked: !!sensitive && sensitive.action === 'mask'
+            });
+            sendPasteQueueUpdate();
+          }
+        }
+      } else if (!snapshot && lastClipboardContent !== null) {
         // Clipboard was cleared externally - sync the state
         log.debug('Clipboard cleared externally');
         lastClipboardContent = null;
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('clipboard-updated', {
-            history: clipboardHistory,
-            currentContent: null,
-            contentType: null,
-            memoryUsage: getMemoryUsage()
-          });
-        }
+        sendClipboardUpdate();
       }
     } catch (error) {
       log.error('Error monitoring clipboard:', error);
+    } finally {
+      checking = false;
     }
-  }, 1000);
+  }, settingsStore.get('pollIntervalMs'));
 }
 
 function stopClipboardMonitoring() {
@@ -172,81 +397,316 @@ function stopClipboardMonitoring() {
   }
 }
 
-function addToHistory(content, type) {
+// Record how a sensitive-content rule wants the item handled
+function applySensitiveMatch(item, sensitive) {
+  delete item.sensitive;
+  delete item.masked;
+  delete item.expiresAt;
+  if (!sensitive) return;
+  item.sensitive = { ruleId: sensitive.ruleId, ruleName: sensitive.ruleName, action: sensitive.action };
+  if (sensitive.action === 'mask') {
+    item.masked = true;
+  } else if (sensitive.action === 'expire') {
+    item.expiresAt = new Date(Date.now() + sensitive.expireSeconds * 1000).toISOString();
+  }
+}
+
+// Items copied in the app itself (snippets, transforms, merges) have no source
+function setSourceApp(item, sourceApp) {
+  if (sourceApp) item.sourceApp = sourceApp;
+  else delete item.sourceApp;
+}
+
+// Timestamp-based ids, kept unique when several items are created at once
+function createItemId() {
+  lastItemId = Math.max(Date.now(), lastItemId + 1);
+  return lastItemId;
+}
+
+// `sourceApp` is the application the content was copied in, when known
+function addToHistory(content, type, formats = getItemFormats({ content, type }), sensitive = null, sourceApp = null) {
   // Feature 4: Deduplication - check for existing item with same content
   const existingIndex = clipboardHistory.findIndex(item => item.content === content);
   if (existingIndex !== -1) {
     const existing = clipboardHistory.splice(existingIndex, 1)[0];
     existing.timestamp = new Date().toISOString();
-    existing.id = Date.now();
+    const previousId = existing.id;
+    existing.id = createItemId();
+    // Queued copies of earlier copies must still follow the item
+    pasteQueue.renameSource(previousId, existing.id);
+    renameEditUndoIds(previousId, existing.id);
+    // The same text may come back with richer formats (e.g. copied from a browser)
+    existing.formats = formats;
+    existing.size = getItemSize(existing);
+    setSourceApp(existing, sourceApp);
+    classifyItem(existing);
+    applySensitiveMatch(existing, sensitive);
     clipboardHistory.unshift(existing);
+    statsStore.recordCopy(existing, { recopy: true });
     log.debug('Duplicate detected, moved existing item to top');
   } else {
     const item = {
-      id: Date.now(),
+      id: createItemId(),
       content: content,
       type: type,
+      formats: formats,
       timestamp: new Date().toISOString(),
-      size: Buffer.byteLength(content, 'utf-8'),
       pinned: false
     };
+    if (type === 'image') addImageDetails(item);
+    item.size = getItemSize(item);
+    setSourceApp(item, sourceApp);
+    classifyItem(item);
+    applySensitiveMatch(item, sensitive);
     clipboardHistory.unshift(item);
+    statsStore.recordCopy(item);
     log.debug(`Added item to history, total items: ${clipboardHistory.length}`);
   }
+  if (controlServer) controlServer.broadcast('item-added', toApiItem(clipboardHistory[0]));
+
+  // Feature 1: Enforce the memory limit and the other retention policies
+  enforceRetention();
+  persistHistory();
+  if (sensitive && sensitive.action === 'expire') scheduleExpiry();
+  sendClipboardUpdate();
+}
+
+// Merge imported items into the history. Content already in the history is
+// kept as it is (pinning it if the import has it pinned, and adding its tags);
+// everything else is added with its original timestamp and goes through the
+// sensitive rules.
+function importHistoryItems(items) {
+  const summary = { added: 0, duplicates: 0, skipped: 0 };
+  const sensitiveConfig = settingsStore.get('sensitive');
+
+  for (const imported of items) {
+    let image = null;
+    if (imported.type === 'image') {
+      try {
+        image = describeImage(nativeImage, imported.formats.image);
+      } catch (error) {
+        log.warn(`Skipping imported image: ${error.message}`);
+        summary.skipped++;
+        continue;
+      }
+    }
+    const content = image ? image.content : imported.content;
+    const existing = clipboardHistory.find(item => item.content === content);
+    if (existing) {
+      if (imported.pinned) existing.pinned = true;
+      if (imported.tags) setItemTags(existing, normalizeTags([...(existing.tags || []), ...imported.tags], clipboardHistory));
+      summary.duplicates++;
+      continue;
+    }
+    const sensitive = detectSensitive({ formats: imported.formats }, sensitiveConfig);
+    if (sensitive && sensitive.action === 'skip') {
+      summary.skipped++;
+      continue;
+    }
+    const item = {
+      id: createItemId(),
+      content,
+      type: imported.type,
+      formats: imported.formats,
+      timestamp: imported.timestamp,
+      pinned: imported.pinned
+    };
+    if (image) Object.assign(item, { thumbnail: image.thumbnail, width: image.width, height: image.height });
+    item.size = getItemSize(item);
+    setSourceApp(item, imported.sourceApp);
+    if (imported.tags) setItemTags(item, normalizeTags(imported.tags, clipboardHistory));
+    classifyItem(item);
+    applySensitiveMatch(item, sensitive);
+    clipboardHistory.push(item);
+    summary.added++;
+  }
 
-  // Feature 1: Enforce memory limit
-  enforceMemoryLimit();
+  // Newest first, which the memory limit relies on to evict the oldest items
+  clipboardHistory.sort((a, b) => a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0);
+  enforceRetention();
+  persistHistory();
+  scheduleExpiry();
+  sendClipboardUpdate();
+  return summary;
+}
 
+// Applies the retention policies (memory limit, age, count, per-type size)
+// and returns how many items were removed. Callers persist and notify.
+function enforceRetention() {
+  const evictions = selectEvictions(clipboardHistory, getRetentionPolicy(settingsStore.getAll()));
+  if (evictions.length === 0) return 0;
+  const evicted = new Set(evictions.map(({ item }) => item));
+  clipboardHistory = clipboardHistory.filter(item => !evicted.has(item));
+  forgetEditUndo([...evicted]);
+  recordEvictions(evictions);
+  return evictions.length;
+}
+
+// Logs removed items and tells the renderer what went and why
+function recordEvictions(evictions) {
+  const policy = getRetentionPolicy(settingsStore.getAll());
+  const entries = evictions.map(({ item, reason }) => describeEviction(item, reason, policy));
+  evictionLog = appendEvictionLog(evictionLog, entries);
+  statsStore.recordEvictions(entries.map(entry => entry.reason));
+  log.info(`Retention removed ${entries.length} item(s): ${[...new Set(entries.map(entry => entry.reason))].join(', ')}`);
   if (mainWindow && mainWindow.webContents) {
-    mainWindow.webContents.send('clipboard-updated', {
-      history: clipboardHistory,
-      currentContent: content,
-      contentType: type,
-      memoryUsage: getMemoryUsage()
-    });
+    mainWindow.webContents.send('history-evicted', entries);
   }
 }
 
-function enforceMemoryLimit() {
-  while (getMemoryUsage() > MAX_MEMORY_BYTES) {
-    // Find the oldest non-pinned item (from the end)
-    let removeIndex = -1;
-    for (let i = clipboardHistory.length - 1; i >= 0; i--) {
-      if (!clipboardHistory[i].pinned) {
-        removeIndex = i;
-        break;
-      }
-    }
-    if (removeIndex === -1) break; // All items are pinned
-    clipboardHistory.splice(removeIndex, 1);
-    log.debug('Removed oldest non-pinned item to enforce memory limit');
+// The age limit needs a clock, the other limits only change on capture
+const RETENTION_CHECK_MS = 60 * 1000;
+
+function checkRetention() {
+  if (enforceRetention() > 0) {
+    persistHistory();
+    sendClipboardUpdate();
+  }
+  if (emptyExpiredTrash() > 0) sendTrashUpdate();
+  statsStore.recordMemory(getMemoryUsage(), getRetentionPolicy(settingsStore.getAll()).maxMemoryBytes);
+}
+
+// Also runs once right away, for persisted items that aged out while the app was closed
+function startRetentionTimer() {
+  checkRetention();
+  retentionTimer = setInterval(checkRetention, RETENTION_CHECK_MS);
+}
+
+// Clear on lock/sleep/quit: everything but pinned and tagged items goes,
+// along with the system clipboard if it holds one of them
+function clearUnpinnedHistory(reason) {
+  // Queued copies would survive the clear otherwise, even with nothing
+  // left to remove from the history
+  if (pasteQueue.size() > 0) {
+    pasteQueue.clear();
+    sendPasteQueueUpdate();
+  }
+  // Deleted items must not outlive a clear either
+  if (trash.length > 0) {
+    trash = [];
+    sendTrashUpdate();
   }
+  const removed = clipboardHistory.filter(item => !item.pinned && !hasTags(item));
+  if (removed.length === 0) return;
+  clipboardHistory = clipboardHistory.filter(item => !removed.includes(item));
+  if (removed.some(item => item.content === lastClipboardContent)) {
+    clipboard.clear();
+    lastClipboardContent = null;
+  }
+  forgetEditUndo(removed);
+  recordEvictions(removed.map(item => ({ item, reason })));
+  persistHistory();
+  sendClipboardUpdate();
+}
+
+function setupClearTriggers() {
+  powerMonitor.on('lock-screen', () => {
+    if (settingsStore.get('clearOnLock')) clearUnpinnedHistory('lock');
+  });
+  powerMonitor.on('suspend', () => {
+    if (settingsStore.get('clearOnSleep')) clearUnpinnedHistory('sleep');
+  });
 }
 
 function getMemoryUsage() {
   return clipboardHistory.reduce((total, item) => total + item.size, 0);
 }
 
+// Deletes `itemIds`, moving them to the trash unless `permanent`. Returns
+// how many were deleted and the ids of those that can be restored.
+function removeHistoryItems(itemIds, { permanent = false } = {}) {
+  const ids = new Set(itemIds);
+  const removed = clipboardHistory.filter(item => ids.has(item.id));
+  if (removed.length === 0) return { deleted: 0, trashedIds: [] };
+  clipboardHistory = clipboardHistory.filter(item => !ids.has(item.id));
+  const trashed = permanent ? [] : moveToTrash(removed, 'delete');
+  dropQueuedCopies(removed.filter(item => !trashed.includes(item)));
+  // Undoing an edit must not bring them back, nor duplicate what's in the trash
+  forgetEditUndo(removed);
+  persistHistory();
+  return { deleted: removed.length, trashedIds: trashed.map(item => item.id) };
+}
+
+// Moves the whole history to the trash. A permanent clear also wipes the
+// system clipboard, as nothing of it is meant to be left behind.
+function clearHistory({ permanent = false } = {}) {
+  const trashed = permanent ? [] : moveToTrash(clipboardHistory, 'clear');
+  dropQueuedCopies(clipboardHistory.filter(item => !trashed.includes(item)));
+  clipboardHistory = [];
+  editUndoStack = [];
+  if (permanent) {
+    lastClipboardContent = null;
+    clipboard.clear();
+  }
+  persistHistory();
+  return trashed.map(item => item.id);
+}
+
+// Trash. Returns the items that went in; sensitive ones are dropped instead.
+function moveToTrash(items, reason) {
+  const trashed = items.filter(canTrash);
+  if (trashed.length === 0) return trashed;
+  trash = addToTrash(trash, trashed, reason);
+  emptyExpiredTrash();
+  sendTrashUpdate();
+  return trashed;
+}
+
+// Returns how many entries were emptied
+function emptyExpiredTrash() {
+  const { kept, expired } = emptyExpired(trash, getTrashPolicy(settingsStore.getAll()));
+  trash = kept;
+  // Gone for good now, so their queued copies go too
+  dropQueuedCopies(expired.map(entry => entry.item));
+  if (expired.length > 0) log.info(`Emptied ${expired.length} item(s) from the trash`);
+  return expired.length;
+}
+
+function sendTrashUpdate() {
+  if (!mainWindow || !mainWindow.webContents) return;
+  mainWindow.webContents.send('trash-updated', { count: trash.length, size: getTrashSize(trash) });
+}
+
+// Puts trashed items back in the history. Content copied again in the
+// meantime stays where it is, taking over the pin and tags of the old item.
+function restoreFromTrash(itemIds) {
+  const ids = new Set(itemIds);
+  const restored = trash.filter(entry => ids.has(entry.item.id));
+  if (restored.length === 0) return 0;
+  trash = trash.filter(entry => !ids.has(entry.item.id));
+  for (const { item } of restored) {
+    const existing = clipboardHistory.find(other => other.content === item.content);
+    if (!existing) {
+      insertByTimestamp(clipboardHistory, item);
+      continue;
+    }
+    if (item.pinned) existing.pinned = true;
+    if (item.tags) setItemTags(existing, normalizeTags([...(existing.tags || []), ...item.tags]));
+  }
+  enforceRetention();
+  persistHistory();
+  sendClipboardUpdate();
+  sendTrashUpdate();
+  return restored.length;
+}
+
 // IPC handlers
 ipcMain.handle('get-clipboard-history', () => {
   log.debug('IPC: get-clipboard-history called');
   return {
-    history: clipboardHistory,
+    ...historySync.getSnapshot(clipboardHistory),
     currentContent: lastClipboardContent,
     memoryUsage: getMemoryUsage()
   };
 });
 
-ipcMain.handle('copy-to-clipboard', (event, content, type) => {
-  log.debug(`IPC: copy-to-clipboard called, type: ${type}`);
+ipcMain.handle('copy-to-clipboard', (event, itemId, options = {}) => {
+  log.debug(`IPC: copy-to-clipboard called, id: ${itemId}, plainText: ${!!options.plainText}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item) return { success: false, error: 'Item not found' };
   try {
-    if (type === 'text') {
-      clipboard.writeText(content);
-    } else if (type === 'image') {
-      const image = nativeImage.createFromDataURL(content);
-      clipboard.writeImage(image);
-    }
-    lastClipboardContent = content;
+    writeClipboardSnapshot(clipboard, nativeImage, item, options);
+    lastClipboardContent = item.content;
     return { success: true };
   } catch (error) {
     log.error('Error copying to clipboard:', error);
@@ -254,6 +714,14 @@ ipcMain.handle('copy-to-clipboard', (event, content, type) => {
   }
 });
 
+// The full PNG of an image item, for the preview pane
+ipcMain.handle('get-item-image', (event, itemId) => {
+  log.debug(`IPC: get-item-image called, id: ${itemId}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item || item.type !== 'image') return { success: false, error: 'Image not found' };
+  return { success: true, data: item.formats.image };
+});
+
 ipcMain.handle('clear-clipboard', () => {
   log.debug('IPC: clear-clipboard called');
   try {
@@ -266,24 +734,321 @@ ipcMain.handle('clear-clipboard', () => {
   }
 });
 
-ipcMain.handle('clear-history', () => {
-  log.debug('IPC: clear-history called');
-  clipboardHistory = [];
-  lastClipboardContent = null;
-  clipboard.clear();
-  return { success: true, memoryUsage: 0 };
+ipcMain.handle('get-trash', () => {
+  return {
+    entries: trash.map(({ item, reason, deletedAt }) => ({ item: toRendererItem(item), reason, deletedAt })),
+    size: getTrashSize(trash)
+  };
+});
+
+ipcMain.handle('restore-trash-items', (event, itemIds) => {
+  log.debug(`IPC: restore-trash-items called, count: ${Array.isArray(itemIds) ? itemIds.length : 0}`);
+  const restored = restoreFromTrash(Array.isArray(itemIds) ? itemIds : []);
+  return { success: restored > 0, restored };
+});
+
+// Permanently deletes trashed items, or everything in the trash without `itemIds`
+ipcMain.handle('delete-trash-items', (event, itemIds) => {
+  log.debug('IPC: delete-trash-items called');
+  const ids = Array.isArray(itemIds) ? new Set(itemIds) : null;
+  const initialLength = trash.length;
+  const deleted = ids ? trash.filter(entry => ids.has(entry.item.id)) : trash;
+  trash = ids ? trash.filter(entry => !ids.has(entry.item.id)) : [];
+  dropQueuedCopies(deleted.map(entry => entry.item));
+  sendTrashUpdate();
+  return { success: true, deleted: initialLength - trash.length };
+});
+
+ipcMain.handle('get-eviction-log', () => {
+  return evictionLog;
 });
 
-ipcMain.handle('delete-history-item', (event, itemId) => {
-  log.debug(`IPC: delete-history-item called, id: ${itemId}`);
-  const initialLength = clipboardHistory.length;
-  clipboardHistory = clipboardHistory.filter(item => item.id !== itemId);
-  const deleted = initialLength !== clipboardHistory.length;
+ipcMain.handle('clear-eviction-log', () => {
+  evictionLog = [];
+  return { success: true };
+});
+
+// Re-copied items are shown by the history item they belong to, which the
+// renderer already has; items no longer in the history only show their type
+ipcMain.handle('get-stats', () => {
+  log.debug('IPC: get-stats called');
+  const itemsByHash = new Map(clipboardHistory
+    .filter(item => !item.sensitive)
+    .map(item => [statsStore.hashContent(item.content), item.id]));
+  const summary = statsStore.getSummary();
   return {
-    success: deleted,
-    history: clipboardHistory,
-    memoryUsage: getMemoryUsage()
+    ...summary,
+    recopies: summary.recopies.map(({ hash, ...entry }) => ({ ...entry, itemId: itemsByHash.get(hash) || null })),
+    memoryUsage: getMemoryUsage(),
+    memoryLimit: getRetentionPolicy(settingsStore.getAll()).maxMemoryBytes
+  };
+});
+
+ipcMain.handle('reset-stats', () => {
+  log.debug('IPC: reset-stats called');
+  statsStore.reset();
+  return { success: true };
+});
+
+ipcMain.handle('clear-history', (event, options = {}) => {
+  log.debug(`IPC: clear-history called, permanent: ${!!options.permanent}`);
+  const trashedIds = clearHistory(options);
+  sendClipboardUpdate();
+  return { success: true, trashedIds };
+});
+
+ipcMain.handle('delete-history-item', (event, itemId, options = {}) => {
+  log.debug(`IPC: delete-history-item called, id: ${itemId}, permanent: ${!!options.permanent}`);
+  const { deleted, trashedIds } = removeHistoryItems([itemId], options);
+  sendClipboardUpdate();
+  return { success: deleted > 0, trashedIds };
+});
+
+// Bulk actions on a multi-selection: one round-trip for the whole selection.
+// Items come back in the order of `itemIds`, which is the order shown in the list.
+function getItemsById(itemIds) {
+  if (!Array.isArray(itemIds)) return [];
+  return itemIds.map(id => clipboardHistory.find(item => item.id === id)).filter(Boolean);
+}
+
+// Images can't be joined into text, so they are left out and counted
+function joinItems(itemIds) {
+  const items = getItemsById(itemIds);
+  const textItems = items.filter(item => item.type !== 'image');
+  return {
+    text: textItems.map(item => item.content).join(JOIN_SEPARATORS[settingsStore.get('joinSeparator')]),
+    count: textItems.length,
+    skipped: items.length - textItems.length
   };
+}
+
+ipcMain.handle('pin-history-items', (event, itemIds, pinned) => {
+  log.debug(`IPC: pin-history-items called, count: ${Array.isArray(itemIds) ? itemIds.length : 0}, pinned: ${!!pinned}`);
+  const items = getItemsById(itemIds);
+  items.forEach(item => { item.pinned = !!pinned; });
+  if (items.length > 0) persistHistory();
+  sendClipboardUpdate();
+  return { success: items.length > 0 };
+});
+
+ipcMain.handle('delete-history-items', (event, itemIds, options = {}) => {
+  log.debug(`IPC: delete-history-items called, count: ${Array.isArray(itemIds) ? itemIds.length : 0}`);
+  const { deleted, trashedIds } = removeHistoryItems(Array.isArray(itemIds) ? itemIds : [], options);
+  sendClipboardUpdate();
+  return { success: deleted > 0, deleted, trashedIds };
+});
+
+ipcMain.handle('copy-history-items', (event, itemIds) => {
+  log.debug(`IPC: copy-history-items called, count: ${Array.isArray(itemIds) ? itemIds.length : 0}`);
+  const { text, count, skipped } = joinItems(itemIds);
+  if (count === 0) return { success: false, error: 'Select at least one text item' };
+  try {
+    clipboard.writeText(text);
+    lastClipboardContent = text;
+    return { success: true, text, count, skipped };
+  } catch (error) {
+    log.error('Error copying items to clipboard:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Joins the selection into a new history entry, which also becomes the clipboard
+ipcMain.handle('merge-history-items', (event, itemIds) => {
+  log.debug(`IPC: merge-history-items called, count: ${Array.isArray(itemIds) ? itemIds.length : 0}`);
+  const { text, count, skipped } = joinItems(itemIds);
+  if (count < 2) return { success: false, error: 'Select at least two text items to merge' };
+
+  const sensitive = detectSensitive({ formats: { text } }, settingsStore.get('sensitive'));
+  if (sensitive && sensitive.action === 'skip') {
+    return { success: false, error: `The merged text matches "${sensitive.ruleName}" and can't be saved` };
+  }
+  try {
+    clipboard.writeText(text);
+    lastClipboardContent = text;
+    addToHistory(text, 'text', { text }, sensitive);
+    return { success: true, text, count, skipped };
+  } catch (error) {
+    log.error('Error merging items:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Item edits. Each undo entry lists the ids the edit produced and snapshots
+// of the items it replaced, with their positions, so one undo restores an
+// in-place edit, a merged duplicate or a save-as-new alike.
+const MAX_EDIT_UNDO = 20;
+
+function snapshotItem(item) {
+  return { index: clipboardHistory.indexOf(item), item: structuredClone(item) };
+}
+
+// Drops the undo entries that involve any of `items`. Matched by id, since
+// an in-place edit keeps the id but not the content the snapshot holds.
+function forgetEditUndo(items) {
+  const ids = new Set(items.map(item => item.id));
+  editUndoStack = editUndoStack.filter(undo =>
+    !undo.removeIds.some(id => ids.has(id)) && !undo.restore.some(snapshot => ids.has(snapshot.item.id)));
+}
+
+// A re-copy gives the item a new id; undo entries follow it
+function renameEditUndoIds(previousId, id) {
+  for (const undo of editUndoStack) {
+    undo.removeIds = undo.removeIds.map(removeId => (removeId === previousId ? id : removeId));
+    for (const snapshot of undo.restore) {
+      if (snapshot.item.id === previousId) snapshot.item.id = id;
+    }
+  }
+}
+
+ipcMain.handle('edit-history-item', (event, itemId, text, options = {}) => {
+  log.debug(`IPC: edit-history-item called, id: ${itemId}, saveAsNew: ${!!options.saveAsNew}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item) return { success: false, error: 'Item not found' };
+  if (item.type !== 'text') return { success: false, error: 'Only text entries can be edited' };
+  if (typeof text !== 'string' || !text) return { success: false, error: 'The text cannot be empty' };
+  if (text === item.content && !options.saveAsNew) {
+    return { success: true, unchanged: true, itemId };
+  }
+
+  const sensitive = detectSensitive({ formats: { text } }, settingsStore.get('sensitive'));
+  if (sensitive && sensitive.action === 'skip') {
+    return { success: false, error: `The edited text matches "${sensitive.ruleName}" and can't be saved` };
+  }
+
+  const duplicate = clipboardHistory.find(i => i.content === text);
+  let undo;
+  if (options.saveAsNew) {
+    // addToHistory moves an existing duplicate to the top, which undo puts back
+    undo = { removeIds: [], restore: duplicate ? [snapshotItem(duplicate)] : [] };
+    addToHistory(text, 'text', { text }, sensitive);
+    undo.removeIds.push(clipboardHistory[0].id);
+    itemId = clipboardHistory[0].id;
+  } else {
+    undo = { removeIds: [item.id], restore: [snapshotItem(item)] };
+    if (duplicate) {
+      // The edit now matches another entry: keep this one, with both pins and tags
+      undo.restore.push(snapshotItem(duplicate));
+      if (duplicate.pinned) item.pinned = true;
+      if (duplicate.tags) setItemTags(item, normalizeTags([...(item.tags || []), ...duplicate.tags]));
+      clipboardHistory = clipboardHistory.filter(i => i !== duplicate);
+    }
+    item.content = text;
+    // Rich formats described the old text
+    item.formats = { text };
+    item.size = getItemSize(item);
+    classifyItem(item);
+    applySensitiveMatch(item, sensitive);
+    enforceRetention();
+    persistHistory();
+    if (sensitive && sensitive.action === 'expire') scheduleExpiry();
+  }
+
+  editUndoStack.push(undo);
+  if (editUndoStack.length > MAX_EDIT_UNDO) editUndoStack.shift();
+  sendClipboardUpdate();
+  return { success: true, itemId };
+});
+
+ipcMain.handle('undo-history-edit', () => {
+  log.debug('IPC: undo-history-edit called');
+  const undo = editUndoStack.pop();
+  if (!undo) return { success: false, error: 'Nothing to undo' };
+
+  const removeIds = new Set(undo.removeIds);
+  clipboardHistory = clipboardHistory.filter(item => !removeIds.has(item.id));
+  // Lowest position first, so each insert lands where it was
+  for (const { index, item } of [...undo.restore].sort((a, b) => a.index - b.index)) {
+    clipboardHistory.splice(Math.min(Math.max(index, 0), clipboardHistory.length), 0, item);
+  }
+  persistHistory();
+  scheduleExpiry();
+  sendClipboardUpdate();
+  return { success: true };
+});
+
+// Content actions for classified text
+ipcMain.handle('open-item-link', async (event, itemId) => {
+  log.debug(`IPC: open-item-link called, id: ${itemId}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item || !['url', 'email'].includes(item.kind)) return { success: false, error: 'Not a link or email address' };
+
+  let target = item.content.trim();
+  if (item.kind === 'email' && !/^mailto:/i.test(target)) target = `mailto:${target}`;
+  if (item.kind === 'url' && /^www\./i.test(target)) target = `https://${target}`;
+  try {
+    await shell.openExternal(target);
+    return { success: true };
+  } catch (error) {
+    log.error('Error opening link:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reveal-item-path', (event, itemId) => {
+  log.debug(`IPC: reveal-item-path called, id: ${itemId}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item || item.kind !== 'path') return { success: false, error: 'Not a file path' };
+
+  let target = item.content.trim();
+  if (/^~(?=\/|$)/.test(target)) target = path.join(os.homedir(), target.slice(1));
+  // Relative to what the copy came from, which is unknown here
+  if (!path.isAbsolute(target)) return { success: false, error: 'Relative paths cannot be located' };
+  if (!fs.existsSync(target)) return { success: false, error: 'The path does not exist on this computer' };
+  shell.showItemInFolder(target);
+  return { success: true };
+});
+
+// Export/import IPC: the file dialogs run here so the renderer never sees paths
+ipcMain.handle('export-history', async (event, options) => {
+  log.debug(`IPC: export-history called, format: ${options && options.format}`);
+  const errors = validateExportOptions(options);
+  if (errors.length > 0) return { success: false, error: errors.join('\n') };
+
+  const items = selectExportItems(clipboardHistory, options);
+  if (items.length === 0) return { success: false, error: 'No items match the export options' };
+
+  const extension = EXPORT_EXTENSIONS[options.format];
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Clipboard History',
+    defaultPath: path.join(app.getPath('documents'), getExportFileName(options.format)),
+    filters: [{ name: options.format === 'markdown' ? 'Markdown' : extension.toUpperCase(), extensions: [extension] }]
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+
+  try {
+    writeFileAtomic(filePath, exportHistory(items, options.format));
+    log.info(`Exported ${items.length} items as ${options.format}`);
+    return { success: true, count: items.length };
+  } catch (error) {
+    log.error('Error exporting history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-history', async () => {
+  log.debug('IPC: import-history called');
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Clipboard History',
+    properties: ['openFile'],
+    filters: [{ name: 'Clipboard history export', extensions: ['json', 'zip'] }]
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+
+  let parsed;
+  try {
+    parsed = parseImport(fs.readFileSync(filePaths[0]));
+  } catch (error) {
+    log.error('Error reading import file:', error);
+    return { success: false, errors: [error.message] };
+  }
+  if (parsed.errors.length > 0) {
+    log.warn(`Rejected import with ${parsed.errors.length} problem(s)`);
+    return { success: false, errors: parsed.errors };
+  }
+
+  const summary = importHistoryItems(parsed.items);
+  log.info(`Imported ${summary.added} items (${summary.duplicates} duplicates, ${summary.skipped} skipped)`);
+  return { success: true, ...summary };
 });
 
 ipcMain.handle('get-memory-usage', () => {
@@ -301,37 +1066,51 @@ ipcMain.handle('move-window', (event, x, y) => {
   mainWindow.setPosition(Math.round(x), Math.round(y));
 });
 
-// Feature 2: Hide window IPC
-ipcMain.handle('hide-window', (event, shouldPaste = false) => {
+// The app that will receive a paste decides its keys (Ctrl+Shift+V in terminals)
+const paster = createPaster({
+  log,
+  getActiveApp: () => activeWindowProvider ? activeWindowProvider.getActiveApp() : null
+});
+
+// Simulate the paste keystroke in whichever app has focus after the paste
+// delay, then move the caret back `cursorOffset` characters (snippets with a
+// {cursor} placeholder). Resolves to { success, error }.
+async function simulatePaste(cursorOffset = 0) {
+  if (process.platform === 'darwin' && settingsStore.get('pasteBackend') !== 'custom') {
+    // Check accessibility permission (passing true prompts the user if not granted)
+    const trusted = systemPreferences.isTrustedAccessibilityClient(true);
+    if (!trusted) {
+      log.warn('Auto-paste requires Accessibility permission. A system prompt should appear.');
+      return { success: false, error: 'Allow Accessibility access in System Settings to paste automatically' };
+    }
+  }
+  // Wait for focus to return to the previous app
+  await new Promise(resolve => setTimeout(resolve, settingsStore.get('pasteDelayMs')));
+  return paster.paste(settingsStore.getAll(), { cursorBack: cursorOffset });
+}
+
+// Pastes started by a global shortcut have no IPC call to answer
+function sendPasteFailure(error) {
+  if (!mainWindow || !mainWindow.webContents) return;
+  mainWindow.webContents.send('paste-failed', { error });
+}
+
+function hideMainWindow() {
+  if (process.platform === 'darwin') {
+    app.hide(); // macOS: hides app and restores focus to previous window
+  } else {
+    mainWindow.hide();
+  }
+}
+
+// Feature 2: Hide window IPC. A failed paste is reported, the copy itself
+// has already happened.
+ipcMain.handle('hide-window', async (event, shouldPaste = false, options = {}) => {
   if (mainWindow && mainWindow.isVisible()) {
-    if (process.platform === 'darwin') {
-      app.hide(); // macOS: hides app and restores focus to previous window
-      if (shouldPaste) {
-        // Check accessibility permission (passing true prompts the user if not granted)
-        const trusted = systemPreferences.isTrustedAccessibilityClient(true);
-        if (!trusted) {
-          log.warn('Auto-paste requires Accessibility permission. A system prompt should appear.');
-        } else {
-          // Wait for focus to return to the previous app, then simulate Cmd+V
-          setTimeout(() => {
-            const { exec } = require('child_process');
-            exec(`osascript -e 'tell application "System Events" to keystroke "v" using command down'`, (err) => {
-              if (err) log.error('Auto-paste failed:', err.message);
-            });
-          }, 150);
-        }
-      }
-    } else {
-      mainWindow.hide();
-      if (shouldPaste) {
-        // Linux/Windows: use xdotool or similar
-        setTimeout(() => {
-          const { exec } = require('child_process');
-          exec(`xdotool key ctrl+v`, (err) => {
-            if (err) log.error('Auto-paste failed:', err.message);
-          });
-        }, 150);
-      }
+    hideMainWindow();
+    if (shouldPaste) {
+      const result = await simulatePaste(options.cursorOffset);
+      if (!result.success) return { success: false, error: result.error };
     }
   }
   return { success: true };
@@ -343,15 +1122,487 @@ ipcMain.handle('toggle-pin-item', (event, itemId) => {
   const item = clipboardHistory.find(i => i.id === itemId);
   if (item) {
     item.pinned = !item.pinned;
-    return {
-      success: true,
-      history: clipboardHistory,
-      memoryUsage: getMemoryUsage()
-    };
+    persistHistory();
+    sendClipboardUpdate();
+    return { success: true };
   }
   return { success: false };
 });
 
+ipcMain.handle('set-item-tags', (event, itemId, tags) => {
+  log.debug(`IPC: set-item-tags called, id: ${itemId}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item) return { success: false, error: 'Item not found' };
+  const errors = validateTags(tags);
+  if (errors.length > 0) return { success: false, error: errors[0] };
+  setItemTags(item, normalizeTags(tags, clipboardHistory.filter(i => i !== item)));
+  persistHistory();
+  sendClipboardUpdate();
+  return { success: true, tags: item.tags || [] };
+});
+
+// Renames a tag on every item, or removes it everywhere when `newName` is empty.
+// Renaming onto an existing tag merges the two collections.
+ipcMain.handle('rename-tag', (event, name, newName) => {
+  log.debug('IPC: rename-tag called');
+  if (typeof name !== 'string' || !name) return { success: false, error: 'No tag given' };
+  const replacement = newName ? [newName] : [];
+  const errors = validateTags(replacement);
+  if (errors.length > 0) return { success: false, error: errors[0] };
+
+  const key = name.toLowerCase();
+  const others = clipboardHistory.map(item => ({ tags: (item.tags || []).filter(tag => tag.toLowerCase() !== key) }));
+  const [renamed] = normalizeTags(replacement, others);
+  let changed = 0;
+  for (const item of clipboardHistory) {
+    if (!item.tags || !item.tags.some(tag => tag.toLowerCase() === key)) continue;
+    const tags = item.tags.flatMap(tag => tag.toLowerCase() === key ? (renamed ? [renamed] : []) : [tag]);
+    setItemTags(item, normalizeTags(tags));
+    changed++;
+  }
+  if (changed > 0) persistHistory();
+  sendClipboardUpdate();
+  return { success: changed > 0, changed };
+});
+
+ipcMain.handle('get-persistence', () => {
+  const reason = historyStore ? historyStore.getUnavailableReason() : null;
+  return { mode: settingsStore.get('persistenceMode'), available: !reason, error: reason };
+});
+
+ipcMain.handle('get-sensitive-config', () => {
+  const config = settingsStore.get('sensitive');
+  return {
+    actions: SENSITIVE_ACTIONS,
+    rules: describeRules(config),
+    customRules: config.customRules
+  };
+});
+
+// Settings IPC
+ipcMain.handle('get-settings', () => {
+  return settingsStore.getAll();
+});
+
+ipcMain.handle('set-settings', (event, partial) => {
+  log.debug(`IPC: set-settings called, keys: ${Object.keys(partial || {}).join(', ')}`);
+  let errors = validateSettings(partial);
+  if (Object.keys(errors).length === 0) {
+    errors = prepareSettingsChange(partial);
+  }
+  if (Object.keys(errors).length > 0) {
+    return { success: false, errors };
+  }
+  try {
+    return settingsStore.update(partial);
+  } catch (error) {
+    log.error('Error saving settings:', error);
+    restoreGlobalHotkeys(partial);
+    return { success: false, errors: { settings: error.message } };
+  }
+});
+
+// Checks that need the running app (keyring, shortcut registry). The hotkey
+// is switched over here because registering is the only way to know whether
+// another application already owns it.
+function prepareSettingsChange(partial) {
+  const errors = {};
+  if (partial.persistenceMode && partial.persistenceMode !== 'off') {
+    const reason = historyStore.getUnavailableReason();
+    if (reason) errors.persistenceMode = reason;
+  }
+  const next = { ...settingsStore.getAll(), ...partial };
+  const shortcutKeys = Object.keys(GLOBAL_SHORTCUTS);
+  const clash = shortcutKeys.find(key => partial[key] && shortcutKeys.some(other => other !== key && next[other] === next[key]));
+  if (clash) errors[clash] = 'The window, paste-next and picker shortcuts must all be different';
+  if (Object.keys(errors).length > 0) return errors;
+
+  const switched = [];
+  for (const key of Object.keys(GLOBAL_SHORTCUTS)) {
+    const previousHotkey = settingsStore.get(key);
+    if (!partial[key] || partial[key] === previousHotkey) continue;
+    const error = changeGlobalHotkey(key, partial[key], previousHotkey);
+    if (error) {
+      errors[key] = error;
+      // Don't leave the other shortcut switched over for a rejected update
+      restoreGlobalHotkeys(partial, switched);
+      break;
+    }
+    switched.push(key);
+  }
+  return errors;
+}
+
+// Apply changed settings live, without a relaunch
+function applySettingsChange(changed, settings) {
+  if (changed.includes('trayItemCount') || changed.includes('trayPasteOnChoose')) refreshTray();
+  if (changed.includes('pollIntervalMs') && clipboardMonitor) {
+    stopClipboardMonitoring();
+    startClipboardMonitoring();
+  }
+  if (changed.some(key => RETENTION_SETTINGS.includes(key))) {
+    enforceRetention();
+    persistHistory();
+    sendClipboardUpdate();
+  }
+  if (changed.some(key => TRASH_SETTINGS.includes(key)) && emptyExpiredTrash() > 0) {
+    sendTrashUpdate();
+  }
+  if ((changed.includes('windowWidth') || changed.includes('windowHeight')) && mainWindow) {
+    mainWindow.setSize(settings.windowWidth, settings.windowHeight);
+    saveWindowBounds();
+  }
+  if (changed.includes('pasteQueueOrder') || changed.includes('pasteNextHotkey')) {
+    pasteQueue.setOrder(settings.pasteQueueOrder);
+    sendPasteQueueUpdate();
+  }
+  if (changed.includes('persistenceMode')) {
+    if (settings.persistenceMode === 'off') {
+      historyStore.destroy();
+      statsStore.destroy();
+    } else {
+      persistHistory();
+      historyStore.flush();
+      statsStore.flush();
+    }
+  }
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('settings-changed', settings);
+  }
+}
+
+// Snippet library IPC
+ipcMain.handle('get-snippets', () => {
+  return snippetStore.list();
+});
+
+ipcMain.handle('save-snippet', (event, snippet) => {
+  log.debug('IPC: save-snippet called');
+  try {
+    return snippetStore.upsert(snippet || {});
+  } catch (error) {
+    log.error('Error saving snippet:', error);
+    return { success: false, errors: { snippet: error.message } };
+  }
+});
+
+ipcMain.handle('delete-snippet', (event, snippetId) => {
+  log.debug(`IPC: delete-snippet called, id: ${snippetId}`);
+  try {
+    return { success: snippetStore.remove(snippetId) };
+  } catch (error) {
+    log.error('Error deleting snippet:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Expands a snippet and puts the result on the clipboard, ready for hide-window's auto-paste
+ipcMain.handle('expand-snippet', (event, snippetId, inputs = {}) => {
+  log.debug(`IPC: expand-snippet called, id: ${snippetId}`);
+  const snippet = snippetStore.get(snippetId);
+  if (!snippet) return { success: false, error: 'Snippet not found' };
+  try {
+    const { text, cursorOffset } = expandSnippet(snippet.body, {
+      clipboardText: clipboard.readText(),
+      inputs
+    });
+    clipboard.writeText(text);
+    // Snippets live in their own library, so don't record the expansion as history
+    lastClipboardContent = text;
+    return { success: true, text, cursorOffset };
+  } catch (error) {
+    log.error('Error expanding snippet:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// "Paste as..." transforms IPC
+ipcMain.handle('get-transforms', () => {
+  return listTransforms();
+});
+
+// Transforms an item's text and puts the result on the clipboard, ready for
+// hide-window's auto-paste. With saveAsNew the result is also kept in history.
+ipcMain.handle('apply-transform', (event, itemId, transformId, options = {}) => {
+  log.debug(`IPC: apply-transform called, id: ${itemId}, transform: ${transformId}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item) return { success: false, error: 'Item not found' };
+  if (item.type === 'image') return { success: false, error: 'Transforms only apply to text' };
+
+  try {
+    const text = applyTransform(transformId, item.content);
+    if (!text) return { success: false, error: 'The transform produced no text' };
+    clipboard.writeText(text);
+    lastClipboardContent = text;
+    if (options.saveAsNew) {
+      const sensitive = detectSensitive({ formats: { text } }, settingsStore.get('sensitive'));
+      if (!sensitive || sensitive.action !== 'skip') {
+        addToHistory(text, 'text', { text }, sensitive);
+      }
+    }
+    return { success: true, text };
+  } catch (error) {
+    log.debug(`Transform ${transformId} failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+// Paste queue ("collect" mode)
+function getPasteQueueState() {
+  const state = pasteQueue.getState();
+  return { ...state, entries: state.entries.map(toRendererItem), hotkey: settingsStore.get('pasteNextHotkey') };
+}
+
+function sendPasteQueueUpdate() {
+  if (!mainWindow || !mainWindow.webContents) return;
+  mainWindow.webContents.send('paste-queue-updated', getPasteQueueState());
+}
+
+// Items that are gone for good (expired, or deleted without going to the
+// trash) take their queued copies with them
+function dropQueuedCopies(items) {
+  if (items.length === 0) return;
+  if (pasteQueue.removeBySource(items.map(item => item.id))) sendPasteQueueUpdate();
+}
+
+// Paste-next hotkey: put the next queued entry on the clipboard and paste it
+// into the focused app
+function pasteNextFromQueue() {
+  const entry = pasteQueue.peek();
+  if (!entry) {
+    log.info('Paste queue is empty');
+    shell.beep();
+    return;
+  }
+  try {
+    writeClipboardSnapshot(clipboard, nativeImage, entry);
+    // The monitor must not record (or queue again) what we just pasted
+    lastClipboardContent = entry.content;
+  } catch (error) {
+    log.error('Error writing queued item to clipboard:', error);
+    return;
+  }
+  pasteQueue.shift();
+  log.debug(`Pasting queued item, ${pasteQueue.size()} left`);
+
+  if (mainWindow && mainWindow.isVisible() && mainWindow.isFocused()) hideMainWindow();
+  simulatePaste().then(result => {
+    if (!result.success) sendPasteFailure(result.error);
+  });
+  sendPasteQueueUpdate();
+}
+
+ipcMain.handle('get-paste-queue', () => {
+  return getPasteQueueState();
+});
+
+ipcMain.handle('set-paste-queue-collecting', (event, collecting) => {
+  log.debug(`IPC: set-paste-queue-collecting called, collecting: ${!!collecting}`);
+  pasteQueue.setCollecting(collecting);
+  sendPasteQueueUpdate();
+  return getPasteQueueState();
+});
+
+ipcMain.handle('reorder-paste-queue', (event, entryIds) => {
+  log.debug('IPC: reorder-paste-queue called');
+  const success = pasteQueue.reorder(entryIds);
+  sendPasteQueueUpdate();
+  return { success };
+});
+
+ipcMain.handle('remove-paste-queue-item', (event, entryId) => {
+  log.debug(`IPC: remove-paste-queue-item called, id: ${entryId}`);
+  const success = pasteQueue.remove(entryId);
+  if (success) sendPasteQueueUpdate();
+  return { success };
+});
+
+ipcMain.handle('clear-paste-queue', () => {
+  log.debug('IPC: clear-paste-queue called');
+  pasteQueue.clear();
+  sendPasteQueueUpdate();
+  return { success: true };
+});
+
+// Scripting API: the control socket used by scripts and the clip-history CLI.
+// Masked text is only handed out by an explicit `get`, and images only there.
+function toApiItem(item, { full = false } = {}) {
+  const apiItem = {
+    id: item.id,
+    type: item.type,
+    kind: item.kind || null,
+    timestamp: item.timestamp,
+    pinned: !!item.pinned,
+    tags: item.tags || [],
+    masked: !!item.masked,
+    sourceApp: item.sourceApp || null,
+    size: item.size
+  };
+  if (item.type === 'image') {
+    apiItem.width = item.width;
+    apiItem.height = item.height;
+    if (full) apiItem.image = toPngDataUrl(item.formats.image);
+  } else {
+    apiItem.text = item.masked && !full ? null : item.content;
+  }
+  return apiItem;
+}
+
+function findApiItem(id) {
+  const item = clipboardHistory.find(i => i.id === Number(id));
+  if (!item) throw new Error(`No item with id ${id}`);
+  return item;
+}
+
+function parseLimit(limit) {
+  if (limit === undefined || limit === null) return Infinity;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1) throw new Error('limit must be a positive whole number');
+  return value;
+}
+
+const CONTROL_METHODS = {
+  list({ type, pinned, tag, limit }) {
+    const max = parseLimit(limit);
+    const tagKey = tag ? String(tag).toLowerCase() : null;
+    return clipboardHistory
+      .filter(item => (!type || item.type === type || item.kind === type) && (!pinned || item.pinned))
+      .filter(item => !tagKey || (item.tags || []).some(t => t.toLowerCase() === tagKey))
+      .slice(0, max)
+      .map(item => toApiItem(item));
+  },
+
+  // Same query language as the search box, best matches first
+  search({ query = '', limit }) {
+    const max = parseLimit(limit);
+    const matcher = createSearchMatcher(String(query));
+    if (matcher.error) throw new Error(matcher.error);
+    return clipboardHistory
+      .map(item => ({ item, match: matcher.match(item) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, max)
+      .map(({ item }) => toApiItem(item));
+  },
+
+  get({ id }) {
+    return toApiItem(findApiItem(id), { full: true });
+  },
+
+  // Copies the text and records it like any other copy
+  push({ text }) {
+    if (typeof text !== 'string' || !text) throw new Error('text must be a non-empty string');
+    clipboard.writeText(text);
+    lastClipboardContent = text;
+    const sensitive = detectSensitive({ formats: { text } }, settingsStore.get('sensitive'));
+    if (sensitive && sensitive.action === 'skip') {
+      return { item: null, skipped: sensitive.ruleName };
+    }
+    addToHistory(text, 'text', { text }, sensitive);
+    return { item: toApiItem(clipboardHistory[0]) };
+  },
+
+  pin({ id, pinned = true }) {
+    const item = findApiItem(id);
+    item.pinned = !!pinned;
+    persistHistory();
+    sendClipboardUpdate();
+    return toApiItem(item);
+  },
+
+  delete({ id }) {
+    removeHistoryItems([findApiItem(id).id]);
+    sendClipboardUpdate();
+    return { deleted: 1 };
+  },
+
+  clear() {
+    clearHistory();
+    sendClipboardUpdate();
+    return { cleared: true };
+  }
+};
+
+async function startControlServer() {
+  controlServer = createControlServer({ dir: app.getPath('userData'), methods: CONTROL_METHODS, log });
+  try {
+    await controlServer.start();
+  } catch (error) {
+    log.error('Error starting control socket, scripting API disabled:', error);
+  }
+}
+
+// Tray icon and menu
+function createTray() {
+  const icon = nativeImage.createFromPath(path.join(__dirname, 'icon.png')).resize({ width: 16, height: 16 });
+  tray = new Tray(icon);
+  refreshTray();
+}
+
+function refreshTray() {
+  if (!tray) return;
+  tray.setToolTip(getTrayTooltip(pausedUntil));
+  tray.setContextMenu(Menu.buildFromTemplate(buildTrayMenu({
+    history: clipboardHistory,
+    count: settingsStore.get('trayItemCount'),
+    pasteOnChoose: settingsStore.get('trayPasteOnChoose'),
+    pausedUntil,
+    actions: {
+      choose: chooseTrayItem,
+      setPasteOnChoose: paste => settingsStore.update({ trayPasteOnChoose: paste }),
+      pause: pauseMonitoring,
+      resume: resumeMonitoring,
+      clear: () => {
+        clearHistory();
+        sendClipboardUpdate();
+      },
+      show: showWindow,
+      quit: () => app.quit()
+    }
+  })));
+}
+
+// Copies the item, and pastes it into the focused app unless turned off
+function chooseTrayItem(item) {
+  try {
+    writeClipboardSnapshot(clipboard, nativeImage, item);
+    lastClipboardContent = item.content;
+  } catch (error) {
+    log.error('Error copying tray item to clipboard:', error);
+    return;
+  }
+  sendClipboardUpdate();
+  if (!settingsStore.get('trayPasteOnChoose')) return;
+  simulatePaste().then(result => {
+    if (!result.success) sendPasteFailure(result.error);
+  });
+}
+
+// Stops recording copies for `durationMs`, or until resumed when null
+function pauseMonitoring(durationMs) {
+  clearTimeout(resumeTimer);
+  stopClipboardMonitoring();
+  pausedUntil = durationMs ? Date.now() + durationMs : Infinity;
+  if (durationMs) resumeTimer = setTimeout(resumeMonitoring, durationMs);
+  log.info(`Clipboard monitoring paused ${durationMs ? `for ${Math.round(durationMs / 60000)} min` : 'until resumed'}`);
+  refreshTray();
+}
+
+function resumeMonitoring() {
+  clearTimeout(resumeTimer);
+  pausedUntil = null;
+  // Whatever was copied during the pause stays unrecorded
+  try {
+    const snapshot = readClipboardSnapshot(clipboard, { previousContent: lastClipboardContent });
+    lastClipboardContent = snapshot ? snapshot.content : null;
+  } catch (error) {
+    log.error('Error reading clipboard formats:', error);
+  }
+  if (mainWindow && !clipboardMonitor) startClipboardMonitoring();
+  log.info('Clipboard monitoring resumed');
+  refreshTray();
+}
+
 // Toggle window visibility function
 function toggleWindow() {
   if (!mainWindow) {
@@ -362,11 +1613,7 @@ function toggleWindow() {
 
   if (mainWindow.isVisible() && mainWindow.isFocused()) {
     log.info('Window is already focused, hiding window via hotkey');
-    if (process.platform === 'darwin') {
-      app.hide();
-    } else {
-      mainWindow.hide();
-    }
+    hideMainWindow();
   } else if (mainWindow.isVisible()) {
     log.info('Window is visible but not focused, setting window always on top via hotkey');
     mainWindow.setAlwaysOnTop(true);
@@ -379,19 +1626,164 @@ function toggleWindow() {
   }
 }
 
-// Register global hotkey
-function registerGlobalHotkey() {
-  const hotkey = 'Command+Shift+V';
-  const success = globalShortcut.register(hotkey, () => {
-    log.info(`Global hotkey ${hotkey} pressed`);
-    toggleWindow();
+// Picker popup: a small frameless window at the mouse cursor with a search
+// box and the top items. It hides as soon as it loses focus.
+const PICKER_WIDTH = 420;
+const PICKER_HEIGHT = 460;
+const PICKER_ITEM_LIMIT = 50;
+
+function createPickerWindow() {
+  pickerWindow = new BrowserWindow({
+    width: PICKER_WIDTH,
+    height: PICKER_HEIGHT,
+    show: false,
+    frame: false,
+    resizable: false,
+    skipTaskbar: true,
+    alwaysOnTop: true,
+    fullscreenable: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      enableRemoteModule: false,
+      preload: path.join(__dirname, 'renderer', 'preload.js')
+    }
+  });
+  pickerWindow.loadFile('renderer/picker.html');
+  pickerWindow.on('blur', () => {
+    if (pickerWindow.isVisible()) pickerWindow.hide();
+  });
+  pickerWindow.on('close', (e) => {
+    if (!app.isQuitting) {
+      e.preventDefault();
+      pickerWindow.hide();
+    }
+  });
+  pickerWindow.on('closed', () => {
+    pickerWindow = null;
+  });
+}
+
+// Opens the picker at the cursor, kept inside the work area of the display
+// the cursor is on
+function showPicker() {
+  if (!pickerWindow) createPickerWindow();
+  const point = screen.getCursorScreenPoint();
+  const { workArea } = screen.getDisplayNearestPoint(point);
+  const x = Math.min(Math.max(point.x, workArea.x), workArea.x + workArea.width - PICKER_WIDTH);
+  const y = Math.min(Math.max(point.y, workArea.y), workArea.y + workArea.height - PICKER_HEIGHT);
+  pickerWindow.setPosition(Math.round(x), Math.round(y));
+  pickerWindow.show();
+  pickerWindow.focus();
+  pickerWindow.webContents.send('picker-shown');
+}
+
+function hidePicker() {
+  if (!pickerWindow || !pickerWindow.isVisible()) return;
+  // app.hide() gives focus back to the app the picker was opened over, but
+  // it hides every window, so not while the manager is open
+  if (process.platform === 'darwin' && !(mainWindow && mainWindow.isVisible())) {
+    app.hide();
+  } else {
+    pickerWindow.hide();
+  }
+}
+
+function togglePicker() {
+  if (pickerWindow && pickerWindow.isVisible()) hidePicker();
+  else showPicker();
+}
+
+// Best matches for `query`, pinned items first, like the main list
+function getPickerItems(query) {
+  const matcher = createSearchMatcher(query);
+  if (matcher.error) return { success: false, error: matcher.error };
+  const matches = clipboardHistory
+    .map(item => ({ item, match: matcher.match(item) }))
+    .filter(({ match }) => match);
+  matches.sort((a, b) => {
+    if (a.item.pinned !== b.item.pinned) return a.item.pinned ? -1 : 1;
+    return matcher.hasTextTerms ? b.match.score - a.match.score : 0;
   });
+  return { success: true, items: matches.slice(0, PICKER_ITEM_LIMIT).map(({ item }) => toRendererItem(item)) };
+}
+
+ipcMain.handle('get-picker-items', (event, query = '') => {
+  log.debug('IPC: get-picker-items called');
+  return getPickerItems(String(query));
+});
+
+// Copies the item, hides the picker and pastes into the app behind it.
+// A failed paste is reported, the copy itself has already happened.
+ipcMain.handle('picker-choose', async (event, itemId, options = {}) => {
+  log.debug(`IPC: picker-choose called, id: ${itemId}, plainText: ${!!options.plainText}`);
+  const item = clipboardHistory.find(i => i.id === itemId);
+  if (!item) return { success: false, error: 'Item not found' };
+  try {
+    writeClipboardSnapshot(clipboard, nativeImage, item, options);
+    lastClipboardContent = item.content;
+  } catch (error) {
+    log.error('Error copying to clipboard:', error);
+    return { success: false, error: error.message };
+  }
+  sendClipboardUpdate();
+  hidePicker();
+  const result = await simulatePaste();
+  return { success: true, pasteError: result.success ? null : result.error };
+});
+
+ipcMain.handle('hide-picker', () => {
+  hidePicker();
+  return { success: true };
+});
+
+// The full window, for everything the picker doesn't do
+ipcMain.handle('open-manager', () => {
+  if (pickerWindow && pickerWindow.isVisible()) pickerWindow.hide();
+  showWindow();
+  return { success: true };
+});
+
+// Register the global shortcut stored under the `key` setting
+function registerGlobalHotkey(key, hotkey = settingsStore.get(key)) {
+  let success = false;
+  try {
+    success = globalShortcut.register(hotkey, () => {
+      log.info(`Global hotkey ${hotkey} pressed`);
+      GLOBAL_SHORTCUTS[key]();
+    });
+  } catch (error) {
+    log.error(`Invalid global hotkey ${hotkey}:`, error);
+  }
 
   if (success) {
     log.info(`Global hotkey ${hotkey} registered successfully`);
   } else {
     log.error(`Failed to register global hotkey ${hotkey}`);
   }
+  return success;
+}
+
+function registerGlobalHotkeys() {
+  Object.keys(GLOBAL_SHORTCUTS).forEach(key => registerGlobalHotkey(key));
+}
+
+// Swap a global hotkey, keeping the old one if the new one can't be registered
+function changeGlobalHotkey(key, hotkey, previousHotkey) {
+  if (!registerGlobalHotkey(key, hotkey)) {
+    return `${hotkey} could not be registered, it may already be used by another application`;
+  }
+  globalShortcut.unregister(previousHotkey);
+  return null;
+}
+
+// Switch the shortcuts in `keys` that `partial` changed back to their saved accelerators
+function restoreGlobalHotkeys(partial, keys = Object.keys(GLOBAL_SHORTCUTS)) {
+  for (const key of keys) {
+    if (partial[key] && partial[key] !== settingsStore.get(key)) {
+      changeGlobalHotkey(key, settingsStore.get(key), partial[key]);
+    }
+  }
 }
 
 // Show window function
@@ -415,8 +1807,17 @@ function showWindow() {
 // App event handlers
 app.whenReady().then(() => {
   log.info('App is ready');
+  loadSettings();
+  loadSnippets();
+  loadStats();
+  initPasteQueue();
+  loadPersistedHistory();
+  startRetentionTimer();
+  setupClearTriggers();
   createWindow();
-  registerGlobalHotkey();
+  createTray();
+  registerGlobalHotkeys();
+  startControlServer();
 
   app.on('activate', () => {
     log.info('App activated (dock icon clicked)');
@@ -436,6 +1837,12 @@ app.on('before-quit', () => {
   app.isQuitting = true;
   saveWindowBounds();
   stopClipboardMonitoring();
+  clearTimeout(resumeTimer);
+  clearInterval(retentionTimer);
+  if (settingsStore && settingsStore.get('clearOnQuit')) clearUnpinnedHistory('quit');
+  if (historyStore) historyStore.flush();
+  if (statsStore) statsStore.flush();
+  if (controlServer) controlServer.stop();
   globalShortcut.unregisterAll();
   log.info('Global shortcuts unregistered');
 });
@@ -0,0 +1,123 @@
+const { execFile } = require('child_process');
+
+// Source application of a copy.
+//
+// The clipboard doesn't say where its content came from, so when the monitor
+// sees a new copy it asks an active window provider for the application in
+// the foreground. Providers have a `name` and `getActiveApp()`, which
+// resolves to { name } or null when it can't tell. On Linux the X11 provider
+// reads _NET_ACTIVE_WINDOW and the window's WM_CLASS with xprop (under
+// Wayland this only sees XWayland windows). Elsewhere there is no provider
+// yet and items simply have no source. The stub provider reports whatever it
+// is told, for tests.
+
+const XPROP_TIMEOUT_MS = 500;
+const MAX_APP_NAME_LENGTH = 100;
+const MAX_IGNORED_APPS = 100;
+
+// App names end up in search queries ("app:...") and in the UI, so they lose
+// quotes and control characters
+function normalizeAppName(name) {
+  if (typeof name !== 'string') return null;
+  const normalized = name.replace(/["\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_APP_NAME_LENGTH);
+  return normalized || null;
+}
+
+// Returns a list of errors, empty when `apps` is a valid ignore list
+function validateIgnoredApps(apps) {
+  if (!Array.isArray(apps)) return ['Must be a list of application names'];
+  if (apps.length > MAX_IGNORED_APPS) return [`At most ${MAX_IGNORED_APPS} applications`];
+  const errors = [];
+  apps.forEach(app => {
+    if (typeof app !== 'string' || !normalizeAppName(app)) errors.push('Application names cannot be empty');
+    else if (app.length > MAX_APP_NAME_LENGTH) errors.push(`"${app.slice(0, 20)}..." is longer than ${MAX_APP_NAME_LENGTH} characters`);
+  });
+  return [...new Set(errors)];
+}
+
+// Trims the names and drops duplicates, ignoring case
+function normalizeIgnoredApps(apps) {
+  const seen = new Set();
+  return apps.map(normalizeAppName).filter(app => {
+    if (!app || seen.has(app.toLowerCase())) return false;
+    seen.add(app.toLowerCase());
+    return true;
+  });
+}
+
+function isIgnoredApp(appName, ignoredApps) {
+  if (!appName) return false;
+  const name = appName.toLowerCase();
+  return ignoredApps.some(app => app.toLowerCase() === name);
+}
+
+function runXprop(args) {
+  return new Promise((resolve, reject) => {
+    execFile('xprop', args, { timeout: XPROP_TIMEOUT_MS }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+// WM_CLASS(STRING) = "gnome-terminal-server", "Gnome-terminal" -> "Gnome-terminal"
+function parseWmClass(output) {
+  const match = /^WM_CLASS\(\w+\) = (.*)$/m.exec(output);
+  if (!match) return null;
+  const values = [...match[1].matchAll(/"((?:\\.|[^"\\])*)"/g)].map(value => value[1]);
+  return values[values.length - 1] || null;
+}
+
+function createXpropProvider({ log }) {
+  let warned = false;
+
+  async function getActiveApp() {
+    try {
+      const root = await runXprop(['-root', '_NET_ACTIVE_WINDOW']);
+      const windowId = (/window id # (0x[\da-f]+)/i.exec(root) || [])[1];
+      if (!windowId || Number(windowId) === 0) return null;
+      const name = normalizeAppName(parseWmClass(await runXprop(['-id', windowId, 'WM_CLASS'])));
+      return name ? { name } : null;
+    } catch (error) {
+      // Missing xprop or no X server: say so once, then just go without
+      if (!warned) {
+        log.warn(`Could not read the active window with xprop: ${error.message}`);
+        warned = true;
+      }
+      return null;
+    }
+  }
+
+  return { name: 'xprop', getActiveApp };
+}
+
+function createStubProvider(appName = null) {
+  let current = appName;
+  return {
+    name: 'stub',
+    getActiveApp: async () => (current ? { name: current } : null),
+    setActiveApp: name => { current = name; }
+  };
+}
+
+function createNullProvider() {
+  return { name: 'none', getActiveApp: async () => null };
+}
+
+// CLIPBOARD_SOURCE_APP picks the stub provider with that app, for tests
+function createActiveWindowProvider({ platform = process.platform, env = process.env, log }) {
+  if (env.CLIPBOARD_SOURCE_APP) return createStubProvider(env.CLIPBOARD_SOURCE_APP);
+  if (platform === 'linux' && env.DISPLAY) return createXpropProvider({ log });
+  return createNullProvider();
+}
+
+module.exports = {
+  createActiveWindowProvider,
+  createXpropProvider,
+  createStubProvider,
+  parseWmClass,
+  normalizeAppName,
+  validateIgnoredApps,
+  normalizeIgnoredApps,
+  isIgnoredApp
+};
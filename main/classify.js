@@ -0,0 +1,64 @@
+const { detectLanguage } = require('../renderer/highlight');
+
+// Content classification.
+//
+// Text items get a `kind` when they are captured, so the list can show an
+// icon, filter by it and offer actions that fit the content: opening a link,
+// revealing a path, previewing a color or checking JSON. Only the trimmed text
+// as a whole is classified; a paragraph that contains a link is still prose.
+
+const CONTENT_KINDS = ['url', 'email', 'path', 'color', 'json', 'code', 'phone', 'number', 'prose'];
+
+// Single-value kinds are never this long
+const MAX_VALUE_LENGTH = 2048;
+
+const URL_PATTERN = /^(?:(?:https?|ftp|file):\/\/|www\.)[^\s<>"]+$/i;
+const EMAIL_PATTERN = /^(?:mailto:)?[\w.!#$%&'*+/=?^`{|}~-]+@[a-z\d](?:[a-z\d-]*[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]*[a-z\d])?)*\.[a-z]{2,}$/i;
+// /usr/bin, ~/notes.txt, ./src, C:\Users, \\server\share
+const PATH_PATTERN = /^(?:~?\/|\.{1,2}\/|[a-zA-Z]:[\\/]|\\\\[^\\\s]+\\)[^\n\t<>"|?*]+$/;
+const HEX_COLOR_PATTERN = /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i;
+const FUNCTION_COLOR_PATTERN = /^(?:rgba?|hsla?)\(\s*[\d.]+%?(?:\s*[,\s]\s*[\d.]+%?){2}(?:\s*[,/]\s*[\d.]+%?)?\s*\)$/i;
+const NUMBER_PATTERN = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?:e[-+]?\d+)?%?$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+(?:\s*(?:x|ext\.?)\s*\d+)?$/i;
+// Starts like a JSON object or array, so broken JSON can still be checked
+const JSON_START_PATTERN = /^(?:\{\s*(?:"|\})|\[\s*(?:[[{"\d\]-]|true|false|null))/;
+
+function isJsonLike(text) {
+  return JSON_START_PATTERN.test(text) && /[\]}]$/.test(text);
+}
+
+function isPhoneNumber(text) {
+  if (!PHONE_PATTERN.test(text)) return false;
+  const digits = text.replace(/\D/g, '').length;
+  // Separators or a country code tell a phone number from a plain number
+  return digits >= 7 && digits <= 15 && /^\+|[\s().-]/.test(text) && !/^\d{4}-\d{2}-\d{2}$/.test(text);
+}
+
+// Returns one of CONTENT_KINDS for `text`
+function classifyText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return 'prose';
+
+  if (trimmed.length <= MAX_VALUE_LENGTH && !trimmed.includes('\n')) {
+    if (HEX_COLOR_PATTERN.test(trimmed) || FUNCTION_COLOR_PATTERN.test(trimmed)) return 'color';
+    if (URL_PATTERN.test(trimmed)) return 'url';
+    if (EMAIL_PATTERN.test(trimmed)) return 'email';
+    if (PATH_PATTERN.test(trimmed)) return 'path';
+    if (/\d/.test(trimmed) && NUMBER_PATTERN.test(trimmed)) return 'number';
+    if (isPhoneNumber(trimmed)) return 'phone';
+  }
+  if (isJsonLike(trimmed)) return 'json';
+  const language = detectLanguage(trimmed);
+  if (language === 'json') return 'json';
+  if (language) return 'code';
+  return 'prose';
+}
+
+// Sets `kind` on text items and removes it from everything else
+function classifyItem(item) {
+  if (item.type === 'text' && typeof item.content === 'string') item.kind = classifyText(item.content);
+  else delete item.kind;
+  return item;
+}
+
+module.exports = { CONTENT_KINDS, classifyText, classifyItem };
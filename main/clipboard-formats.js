@@ -0,0 +1,154 @@
+const { fileURLToPath, pathToFileURL } = require('url');
+const { getImageContent } = require('./images');
+
+// Reading and writing every clipboard format an entry carries.
+//
+// An entry's `formats` object uses the same keys as Electron's
+// clipboard.write() (text, html, rtf, image) plus `files`, a list of absolute
+// paths. Images are kept as PNG buffers (see images.js).
+
+const HTML_FORMATS = ['text/html', 'public.html', 'HTML Format'];
+const RTF_FORMATS = ['text/rtf', 'public.rtf', 'Rich Text Format'];
+
+function hasAny(available, formats) {
+  return formats.some(format => available.includes(format));
+}
+
+function parseUriList(data) {
+  return data.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && line.startsWith('file://'))
+    .map(uri => fileURLToPath(uri));
+}
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Each platform exposes copied files differently, and Electron only offers
+// raw buffers for them
+function readFileList(clipboard, available) {
+  try {
+    if (available.includes('text/uri-list')) {
+      return parseUriList(clipboard.readBuffer('text/uri-list').toString('utf-8'));
+    }
+    if (available.includes('NSFilenamesPboardType')) {
+      const plist = clipboard.read('NSFilenamesPboardType');
+      const paths = [...plist.matchAll(/<string>(.*?)<\/string>/g)].map(match => unescapeXml(match[1]));
+      if (paths.length > 0) return paths;
+    }
+    if (available.includes('public.file-url')) {
+      return parseUriList(clipboard.read('public.file-url'));
+    }
+    if (available.includes('FileNameW')) {
+      const fileName = clipboard.readBuffer('FileNameW').toString('ucs2').replace(/\0+$/, '');
+      return fileName ? [fileName] : [];
+    }
+  } catch (error) {
+    // Malformed file list, treat it as absent
+  }
+  return [];
+}
+
+// Returns the current clipboard contents as { type, content, formats, available },
+// or null when the clipboard holds nothing we can record. `content` is the
+// primary representation used for display, search and deduplication, and
+// `available` lists the raw format names the clipboard advertised. An image
+// whose content equals `previousContent` is not encoded again, and comes back
+// with empty `formats`.
+function readClipboardSnapshot(clipboard, { previousContent = null } = {}) {
+  const available = clipboard.availableFormats();
+  const formats = {};
+
+  const files = readFileList(clipboard, available);
+  if (files.length > 0) {
+    formats.files = files;
+    return { type: 'files', content: files.join('\n'), formats, available };
+  }
+
+  const text = clipboard.readText();
+  if (text) {
+    formats.text = text;
+    if (hasAny(available, HTML_FORMATS)) {
+      const html = clipboard.readHTML();
+      if (html) formats.html = html;
+    }
+    if (hasAny(available, RTF_FORMATS)) {
+      const rtf = clipboard.readRTF();
+      if (rtf) formats.rtf = rtf;
+    }
+    return { type: 'text', content: text, formats, available };
+  }
+
+  const image = clipboard.readImage();
+  if (!image.isEmpty()) {
+    const content = getImageContent(image);
+    if (content === previousContent) return { type: 'image', content, formats, available };
+    formats.image = image.toPNG();
+    if (hasAny(available, HTML_FORMATS)) {
+      const html = clipboard.readHTML();
+      if (html) formats.html = html;
+    }
+    return { type: 'image', content, formats, available };
+  }
+
+  return null;
+}
+
+// Items captured before multi-format support only carry `content`. Images
+// always have `formats`, since their content is only a hash.
+function getItemFormats(item) {
+  if (item.formats) return item.formats;
+  return { text: item.content };
+}
+
+function getFormatsSize(formats) {
+  return Object.values(formats).reduce((total, value) => {
+    if (Buffer.isBuffer(value)) return total + value.length;
+    const data = Array.isArray(value) ? value.join('\n') : value;
+    return total + Buffer.byteLength(data, 'utf-8');
+  }, 0);
+}
+
+function writeFileList(clipboard, files) {
+  if (process.platform === 'darwin') {
+    // Only one file URL can be written through Electron's buffer API
+    clipboard.writeBuffer('public.file-url', Buffer.from(pathToFileURL(files[0]).href, 'utf-8'));
+  } else if (process.platform === 'win32') {
+    clipboard.writeBuffer('FileNameW', Buffer.from(`${files[0]}\0`, 'ucs2'));
+  } else {
+    const uris = files.map(file => pathToFileURL(file).href);
+    clipboard.writeBuffer('text/uri-list', Buffer.from(uris.join('\r\n'), 'utf-8'));
+  }
+}
+
+function writeClipboardSnapshot(clipboard, nativeImage, item, { plainText = false } = {}) {
+  const formats = getItemFormats(item);
+
+  if (plainText) {
+    const text = formats.text || (formats.files ? formats.files.join('\n') : '');
+    if (!text) throw new Error('Item has no plain text representation');
+    clipboard.writeText(text);
+    return;
+  }
+
+  if (formats.files) {
+    writeFileList(clipboard, formats.files);
+    return;
+  }
+
+  const data = {};
+  if (formats.text) data.text = formats.text;
+  if (formats.html) data.html = formats.html;
+  if (formats.rtf) data.rtf = formats.rtf;
+  if (formats.image) data.image = nativeImage.createFromBuffer(formats.image);
+  clipboard.write(data);
+}
+
+module.exports = {
+  readClipboardSnapshot,
+  writeClipboardSnapshot,
+  getItemFormats,
+  getFormatsSize
+};
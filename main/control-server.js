@@ -0,0 +1,163 @@
+const net = require('net');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, removeFile } = require('./fs-utils');
+
+// Local control endpoint for scripts and the clip-history CLI.
+//
+// A Unix domain socket (a named pipe on Windows) speaking newline-delimited
+// JSON. Where to connect and the token to send are written to control.json
+// in userData, readable only by the current user, and change on every launch:
+//   -> {"id": 1, "token": "...", "method": "list", "params": {"limit": 5}}
+//   <- {"id": 1, "result": [...]}   or   {"id": 1, "error": "message"}
+// "watch" keeps the connection open and streams {"event": ..., "data": ...}.
+
+const CONTROL_FILE = 'control.json';
+// Pushed text arrives in a single line, so this is also the largest push
+const MAX_LINE_LENGTH = 32 * 1024 * 1024;
+
+function getSocketPath(dir) {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\clipboard-history-${crypto.randomBytes(8).toString('hex')}`;
+  }
+  return path.join(dir, 'control.sock');
+}
+
+// Resolves true when something already accepts connections on `socketPath`
+function isSocketInUse(socketPath) {
+  return new Promise(resolve => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+// `methods` maps method names to functions taking the request params; their
+// return value (or a returned promise) is sent back as the result
+function createControlServer({ dir, methods, log }) {
+  const controlFile = path.join(dir, CONTROL_FILE);
+  const socketPath = getSocketPath(dir);
+  const token = crypto.randomBytes(32).toString('hex');
+  const watchers = new Set();
+  let server = null;
+
+  function isAuthorized(candidate) {
+    if (typeof candidate !== 'string') return false;
+    const given = Buffer.from(candidate);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function send(socket, message) {
+    if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+  }
+
+  async function handleRequest(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      send(socket, { id: null, error: 'Invalid JSON request' });
+      return;
+    }
+    const id = request && request.id !== undefined ? request.id : null;
+    if (!request || !isAuthorized(request.token)) {
+      send(socket, { id, error: 'Invalid token' });
+      socket.end();
+      return;
+    }
+
+    if (request.method === 'watch') {
+      watchers.add(socket);
+      send(socket, { id, result: { watching: true } });
+      return;
+    }
+    const method = Object.prototype.hasOwnProperty.call(methods, request.method) ? methods[request.method] : null;
+    if (!method) {
+      send(socket, { id, error: `Unknown method "${request.method}"` });
+      return;
+    }
+    try {
+      const result = await method(request.params || {});
+      send(socket, { id, result });
+    } catch (error) {
+      send(socket, { id, error: error.message });
+    }
+  }
+
+  function handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) handleRequest(socket, line);
+      }
+      if (buffer.length > MAX_LINE_LENGTH) {
+        send(socket, { id: null, error: 'Request too large' });
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => watchers.delete(socket));
+    socket.on('error', error => log.debug(`Control connection error: ${error.message}`));
+  }
+
+  // Resolves false when another running instance already owns the socket
+  async function start() {
+    if (process.platform !== 'win32') {
+      if (await isSocketInUse(socketPath)) {
+        log.warn('Control socket is in use by another instance, scripting API disabled');
+        return false;
+      }
+      // Left behind by a crash
+      removeFile(socketPath);
+    }
+
+    server = net.createServer(handleConnection);
+    // The socket is created with the umask's permissions, so narrow it until
+    // the socket exists; a chmod afterwards would leave a window open
+    const previousUmask = process.platform !== 'win32' ? process.umask(0o077) : null;
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, resolve);
+      });
+    } finally {
+      if (previousUmask !== null) process.umask(previousUmask);
+    }
+    if (process.platform !== 'win32') fs.chmodSync(socketPath, 0o600);
+    writeFileAtomic(controlFile, JSON.stringify({ version: 1, socket: socketPath, token, pid: process.pid }));
+    log.info(`Control socket listening on ${socketPath}`);
+    return true;
+  }
+
+  function stop() {
+    if (!server) return;
+    for (const socket of watchers) socket.destroy();
+    watchers.clear();
+    server.close();
+    server = null;
+    try {
+      removeFile(controlFile);
+      if (process.platform !== 'win32') removeFile(socketPath);
+    } catch (error) {
+      log.error('Error removing control socket files:', error);
+    }
+  }
+
+  // Push an event to every "watch" connection
+  function broadcast(event, data) {
+    for (const socket of watchers) send(socket, { event, data });
+  }
+
+  return { start, stop, broadcast };
+}
+
+module.exports = { createControlServer, CONTROL_FILE };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+
+// Crash-safe write: write to a temp file, flush it to disk, then atomically
+// rename it over the target so readers only ever see the old or new file.
+function writeFileAtomic(filePath, data, options = {}) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', options.mode || 0o600);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = { writeFileAtomic, readJsonFile, removeFile };
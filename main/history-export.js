@@ -0,0 +1,305 @@
+const { createZip, readZip } = require('./zip');
+const { getItemFormats } = require('./clipboard-formats');
+const { validateTags } = require('./tags');
+const { normalizeAppName } = require('./active-window');
+const { PNG_DATA_URL_PREFIX, isPng, toPngDataUrl, fromPngDataUrl } = require('./images');
+
+// History export and import.
+//
+// Export formats:
+//   json      versioned JSON, images inline as PNG data URLs
+//   markdown  a human-readable record of the session (export only)
+//   zip       history.json with each image as a separate images/NNNN.png
+// Imports accept the JSON file or the zip, and are validated completely before
+// anything is merged into the history.
+
+const EXPORT_FORMAT = 'clipboard-history';
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'markdown', 'zip'];
+const EXPORT_SCOPES = ['all', 'pinned', 'filtered'];
+const EXPORT_EXTENSIONS = { json: 'json', markdown: 'md', zip: 'zip' };
+const ITEM_TYPES = ['text', 'image', 'files'];
+// Enough to point at the problem without burying it
+const MAX_REPORTED_ERRORS = 10;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function formatDateTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a list of human-readable problems, empty when the options are valid
+function validateExportOptions(options) {
+  if (!isPlainObject(options)) return ['Invalid export options'];
+  const errors = [];
+  if (!EXPORT_FORMATS.includes(options.format)) errors.push(`Unknown export format "${options.format}"`);
+  if (options.scope !== undefined && !EXPORT_SCOPES.includes(options.scope)) {
+    errors.push(`Unknown export scope "${options.scope}"`);
+  }
+  if (options.scope === 'filtered' && !Array.isArray(options.itemIds)) {
+    errors.push('The current filter did not send its items');
+  }
+  for (const key of ['from', 'to']) {
+    if (options[key] && isNaN(Date.parse(options[key]))) errors.push(`Invalid "${key}" date`);
+  }
+  if (options.from && options.to && Date.parse(options.from) > Date.parse(options.to)) {
+    errors.push('The start date is after the end date');
+  }
+  return errors;
+}
+
+// options: { scope: 'all' | 'pinned' | 'filtered', itemIds, from, to, includeSensitive }.
+// `from` is inclusive and `to` exclusive. Items that are about to expire are
+// never written out, and sensitive ones only on request.
+function selectExportItems(history, options = {}) {
+  const ids = options.scope === 'filtered' ? new Set(options.itemIds) : null;
+  const from = options.from ? Date.parse(options.from) : -Infinity;
+  const to = options.to ? Date.parse(options.to) : Infinity;
+  return history.filter(item => {
+    if (item.expiresAt) return false;
+    if (item.sensitive && !options.includeSensitive) return false;
+    if (options.scope === 'pinned' && !item.pinned) return false;
+    if (ids && !ids.has(item.id)) return false;
+    const time = Date.parse(item.timestamp);
+    return time >= from && time < to;
+  });
+}
+
+// Image data is left to the format: JSON inlines it, the ZIP adds a file
+function toExportItem(item) {
+  const { image, ...formats } = getItemFormats(item);
+  const exported = {
+    type: item.type,
+    formats,
+    timestamp: item.timestamp,
+    pinned: !!item.pinned
+  };
+  if (item.type !== 'image') exported.content = item.content;
+  if (item.tags && item.tags.length > 0) exported.tags = item.tags;
+  if (item.sourceApp) exported.sourceApp = item.sourceApp;
+  return exported;
+}
+
+function createDocument(items, now) {
+  return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: now.toISOString(), items };
+}
+
+function exportJson(items, now) {
+  const exported = items.map(item => {
+    const exportedItem = toExportItem(item);
+    if (item.type === 'image') exportedItem.content = toPngDataUrl(item.formats.image);
+    return exportedItem;
+  });
+  return JSON.stringify(createDocument(exported, now), null, 2);
+}
+
+// A fence longer than any backtick run in the text, so nothing can close it early
+function fence(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function exportMarkdown(items, now) {
+  const lines = [
+    '# Clipboard History',
+    '',
+    `Exported ${formatDateTime(now)} - ${items.length} item${items.length !== 1 ? 's' : ''}`,
+    ''
+  ];
+  for (const item of items) {
+    const label = { text: 'Text', image: 'Image', files: 'Files' }[item.type];
+    const source = item.sourceApp ? ` from ${item.sourceApp}` : '';
+    lines.push(`## ${formatDateTime(new Date(item.timestamp))} - ${label}${source}${item.pinned ? ' (pinned)' : ''}`, '');
+    if (item.tags && item.tags.length > 0) lines.push(`Tags: ${item.tags.join(', ')}`, '');
+    if (item.type === 'image') {
+      lines.push(`_Image of ${Math.round(item.size / 1024)} KB, included in ZIP exports only._`);
+    } else if (item.type === 'files') {
+      getItemFormats(item).files.forEach(file => lines.push(`- \`${file}\``));
+    } else {
+      const marker = fence(item.content);
+      lines.push(marker, item.content, marker);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// Images are stored as PNG files the archive's JSON points at
+function exportZip(items, now) {
+  const files = [];
+  const exported = items.map(item => {
+    const exportedItem = toExportItem(item);
+    if (item.type !== 'image') return exportedItem;
+    const name = `images/${String(files.length + 1).padStart(4, '0')}.png`;
+    files.push({ name, data: item.formats.image });
+    return { ...exportedItem, image: name };
+  });
+  return createZip([
+    { name: 'history.json', data: JSON.stringify(createDocument(exported, now), null, 2) },
+    ...files
+  ], now);
+}
+
+// Returns the file contents for `format` as a string or Buffer
+function exportHistory(items, format, now = new Date()) {
+  if (format === 'markdown') return exportMarkdown(items, now);
+  if (format === 'zip') return exportZip(items, now);
+  return exportJson(items, now);
+}
+
+function getExportFileName(format, now = new Date()) {
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  return `clipboard-history-${date}.${EXPORT_EXTENSIONS[format]}`;
+}
+
+function validateFormats(formats, label, errors) {
+  if (!isPlainObject(formats)) {
+    errors.push(`${label}: "formats" must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(formats)) {
+    if (key === 'files') {
+      if (!Array.isArray(value) || value.length === 0 || value.some(file => typeof file !== 'string' || !file)) {
+        errors.push(`${label}: "formats.files" must be a list of file paths`);
+      }
+    } else if (['text', 'html', 'rtf', 'image'].includes(key)) {
+      if (typeof value !== 'string') errors.push(`${label}: "formats.${key}" must be a string`);
+    } else {
+      errors.push(`${label}: unknown format "${key}"`);
+    }
+  }
+  if (typeof formats.image === 'string' && !formats.image.startsWith(PNG_DATA_URL_PREFIX)) {
+    errors.push(`${label}: "formats.image" must be a PNG data URL`);
+  }
+}
+
+// Checks one exported item and returns it in history shape, or null after
+// recording what is wrong with it
+function readImportItem(raw, label, images, errors) {
+  const initialErrors = errors.length;
+  if (!isPlainObject(raw)) {
+    errors.push(`${label}: must be an object`);
+    return null;
+  }
+  if (!ITEM_TYPES.includes(raw.type)) {
+    errors.push(`${label}: "type" must be one of ${ITEM_TYPES.join(', ')}`);
+  }
+  if (typeof raw.timestamp !== 'string' || isNaN(Date.parse(raw.timestamp))) {
+    errors.push(`${label}: "timestamp" must be a date`);
+  }
+  if (raw.pinned !== undefined && typeof raw.pinned !== 'boolean') {
+    errors.push(`${label}: "pinned" must be true or false`);
+  }
+  if (raw.sourceApp !== undefined && !normalizeAppName(raw.sourceApp)) {
+    errors.push(`${label}: "sourceApp" must be an application name`);
+  }
+  if (raw.formats !== undefined) validateFormats(raw.formats, label, errors);
+  if (raw.tags !== undefined) {
+    validateTags(raw.tags).forEach(error => errors.push(`${label}: ${error}`));
+  }
+
+  let content = raw.content;
+  let png = null;
+  if (raw.type === 'image' && raw.image !== undefined) {
+    png = images && images.get(raw.image);
+    if (!png) {
+      errors.push(`${label}: image "${raw.image}" is missing from the archive`);
+    } else if (!isPng(png)) {
+      errors.push(`${label}: "${raw.image}" is not a PNG image`);
+    }
+  } else if (raw.type === 'image') {
+    png = fromPngDataUrl(content);
+    if (!png) errors.push(`${label}: "content" must be a PNG data URL`);
+  } else if (raw.type === 'files' && !(raw.formats && raw.formats.files) && (typeof content !== 'string' || !content)) {
+    errors.push(`${label}: needs "formats.files" or "content" with the file paths`);
+  } else if (raw.type === 'text' && (typeof content !== 'string' || !content)) {
+    errors.push(`${label}: "content" must be non-empty text`);
+  }
+  if (errors.length > initialErrors) return null;
+
+  const formats = { ...raw.formats };
+  if (raw.type === 'image') {
+    // The content of an image is a hash of its pixels, which the caller works out
+    formats.image = png;
+    content = null;
+  } else {
+    delete formats.image;
+  }
+  if (raw.type === 'files') {
+    formats.files = formats.files || content.split('\n').filter(Boolean);
+    content = formats.files.join('\n');
+  } else if (raw.type === 'text' && !formats.text) {
+    formats.text = content;
+  }
+  const item = {
+    type: raw.type,
+    content,
+    formats,
+    timestamp: new Date(raw.timestamp).toISOString(),
+    pinned: raw.pinned === true
+  };
+  if (raw.tags && raw.tags.length > 0) item.tags = raw.tags;
+  if (raw.sourceApp !== undefined) item.sourceApp = normalizeAppName(raw.sourceApp);
+  return item;
+}
+
+// Reads a JSON export or ZIP archive. Returns { items, errors }; when `errors`
+// is not empty nothing should be imported.
+function parseImport(buffer) {
+  let text = buffer;
+  let images = null;
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    try {
+      images = readZip(buffer);
+    } catch (error) {
+      return { items: [], errors: [`Could not read the archive: ${error.message}`] };
+    }
+    text = images.get('history.json');
+    if (!text) return { items: [], errors: ['The archive has no history.json'] };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text.toString('utf-8'));
+  } catch (error) {
+    return { items: [], errors: [`Not a valid JSON file: ${error.message}`] };
+  }
+  if (!isPlainObject(document) || document.format !== EXPORT_FORMAT) {
+    return { items: [], errors: [`Not a clipboard history export (expected "format": "${EXPORT_FORMAT}")`] };
+  }
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > EXPORT_VERSION) {
+    return { items: [], errors: [`Unsupported export version ${document.version} (this app reads version ${EXPORT_VERSION})`] };
+  }
+  if (!Array.isArray(document.items)) {
+    return { items: [], errors: ['"items" must be a list'] };
+  }
+
+  const errors = [];
+  const items = [];
+  document.items.forEach((raw, index) => {
+    const item = readImportItem(raw, `Item ${index + 1}`, images, errors);
+    if (item) items.push(item);
+  });
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    const more = errors.length - MAX_REPORTED_ERRORS;
+    errors.splice(MAX_REPORTED_ERRORS, more, `...and ${more} more problem${more !== 1 ? 's' : ''}`);
+  }
+  return { items, errors };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_EXTENSIONS,
+  validateExportOptions,
+  selectExportItems,
+  exportHistory,
+  getExportFileName,
+  parseImport
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, removeFile } = require('./fs-utils');
+
+// Encrypted on-disk history store.
+//
+// History is serialized to JSON and encrypted with AES-256-GCM. The data key
+// is random and itself stored encrypted with Electron's safeStorage (Keychain,
+// DPAPI or libsecret), so nothing readable ever touches the disk.
+// `serializeItem` turns an item into its JSON-friendly stored form.
+
+const PERSISTENCE_MODES = ['off', 'pinned', 'all'];
+const FILE_MAGIC = Buffer.from('CHM1');
+const SAVE_DELAY_MS = 250;
+
+function createHistoryStore({ dir, safeStorage, log, serializeItem = item => item }) {
+  const dataPath = path.join(dir, 'history.enc');
+  const keyPath = path.join(dir, 'history.key');
+  let dataKey = null;
+  let pendingItems = null;
+  let saveTimer = null;
+
+  // Returns null when encryption is usable, otherwise the reason it is not
+  function getUnavailableReason() {
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) {
+      return 'OS encryption (safeStorage) is not available';
+    }
+    // On Linux without a keyring Electron falls back to a hard-coded password
+    if (typeof safeStorage.getSelectedStorageBackend === 'function' &&
+        safeStorage.getSelectedStorageBackend() === 'basic_text') {
+      return 'No system keyring found, refusing to store history unprotected';
+    }
+    return null;
+  }
+
+  function getDataKey() {
+    if (dataKey) return dataKey;
+    if (fs.existsSync(keyPath)) {
+      const encrypted = fs.readFileSync(keyPath);
+      dataKey = Buffer.from(safeStorage.decryptString(encrypted), 'base64');
+    } else {
+      dataKey = crypto.randomBytes(32);
+      writeFileAtomic(keyPath, safeStorage.encryptString(dataKey.toString('base64')));
+    }
+    return dataKey;
+  }
+
+  function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getDataKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+    return Buffer.concat([FILE_MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  function decrypt(buffer) {
+    if (!buffer.subarray(0, 4).equals(FILE_MAGIC)) {
+      throw new Error('Unrecognized history file format');
+    }
+    const iv = buffer.subarray(4, 16);
+    const tag = buffer.subarray(16, 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getDataKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(buffer.subarray(32)), decipher.final()]).toString('utf-8');
+  }
+
+  function load() {
+    if (!fs.existsSync(dataPath)) return [];
+    const payload = JSON.parse(decrypt(fs.readFileSync(dataPath)));
+    return Array.isArray(payload.items) ? payload.items : [];
+  }
+
+  function save(items) {
+    const payload = JSON.stringify({ version: 1, savedAt: new Date().toISOString(), items: items.map(serializeItem) });
+    writeFileAtomic(dataPath, encrypt(payload));
+    log.debug(`Persisted ${items.length} history items`);
+  }
+
+  // Coalesce bursts of changes (e.g. several copies within a second) into one write
+  function scheduleSave(items) {
+    pendingItems = items;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  }
+
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!pendingItems) return;
+    const items = pendingItems;
+    pendingItems = null;
+    try {
+      save(items);
+    } catch (error) {
+      log.error('Error persisting history:', error);
+    }
+  }
+
+  // Remove everything from disk, including the data key
+  function destroy() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    pendingItems = null;
+    dataKey = null;
+    removeFile(dataPath);
+    removeFile(keyPath);
+  }
+
+  return { getUnavailableReason, load, scheduleSave, flush, destroy };
+}
+
+module.exports = { createHistoryStore, PERSISTENCE_MODES };
@@ -0,0 +1,74 @@
+// Incremental history updates for the renderer.
+//
+// Instead of the whole history after every change, the renderer gets the
+// changes since the last update: item-added (with its position),
+// item-updated, item-removed (by id) and cleared. Every change carries the
+// next version number, so a renderer that missed one (a reload, say) can ask
+// for a snapshot and carry on from there. Changes are found by comparing each
+// item shallowly with a copy taken at the last update; main.js replaces
+// nested values such as formats, tags and sensitive instead of mutating them,
+// so a shallow compare is enough.
+
+function hasChanged(item, copy) {
+  const keys = Object.keys(item);
+  return keys.length !== Object.keys(copy).length || keys.some(key => item[key] !== copy[key]);
+}
+
+// `toRendererItem` maps items to what the renderer gets
+function createHistorySync({ toRendererItem = item => item } = {}) {
+  let version = 0;
+  // id -> shallow copy of the item as last sent, in history order
+  let sent = new Map();
+
+  function remember(history) {
+    sent = new Map(history.map(item => [item.id, { ...item }]));
+  }
+
+  // Returns the changes that turn the last state sent into `history`,
+  // oldest first; empty when nothing changed
+  function collectChanges(history) {
+    const changes = [];
+    const push = change => changes.push({ ...change, version: ++version });
+
+    if (history.length === 0) {
+      if (sent.size > 0) push({ type: 'cleared' });
+      remember(history);
+      return changes;
+    }
+
+    const ids = new Set(history.map(item => item.id));
+    const kept = history.filter(item => sent.has(item.id)).map(item => item.id);
+    const previous = [...sent.keys()].filter(id => ids.has(id));
+    if (kept.some((id, index) => id !== previous[index])) {
+      // Items that stayed changed places, which the other changes can't
+      // express; rare enough to just send everything
+      push({ type: 'reset', history: history.map(toRendererItem) });
+      remember(history);
+      return changes;
+    }
+
+    for (const id of sent.keys()) {
+      if (!ids.has(id)) push({ type: 'item-removed', id });
+    }
+    // In ascending positions, so each insert lands where it belongs
+    history.forEach((item, index) => {
+      const copy = sent.get(item.id);
+      if (!copy) push({ type: 'item-added', item: toRendererItem(item), index });
+      else if (hasChanged(item, copy)) push({ type: 'item-updated', item: toRendererItem(item) });
+    });
+    remember(history);
+    return changes;
+  }
+
+  // The whole history for a renderer that is starting or resyncing, along
+  // with the version it corresponds to. Changes not sent yet are in it, so
+  // they are only counted.
+  function getSnapshot(history) {
+    collectChanges(history);
+    return { version, history: history.map(toRendererItem) };
+  }
+
+  return { collectChanges, getSnapshot };
+}
+
+module.exports = { createHistorySync };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Image storage.
+//
+// Images are kept as PNG buffers in `formats.image`. Their `content` is
+// "image:<hash of the pixels>", which is what deduplication and clipboard
+// change detection compare: hashing the raw bitmap on every poll is far
+// cheaper than encoding it. The renderer gets a small thumbnail with each
+// item and asks for the full image only when it previews one.
+
+const IMAGE_CONTENT_PREFIX = 'image:';
+const PNG_DATA_URL_PREFIX = 'data:image/png;base64,';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Longest side of a thumbnail, in pixels; enough for the list at 2x
+const THUMBNAIL_SIZE = 320;
+
+// `image` is a NativeImage
+function getImageContent(image) {
+  return IMAGE_CONTENT_PREFIX + crypto.createHash('sha1').update(image.toBitmap()).digest('hex');
+}
+
+function createThumbnail(image) {
+  const { width, height } = image.getSize();
+  if (Math.max(width, height) <= THUMBNAIL_SIZE) return image.toDataURL();
+  const resized = width >= height
+    ? image.resize({ width: THUMBNAIL_SIZE, quality: 'good' })
+    : image.resize({ height: THUMBNAIL_SIZE, quality: 'good' });
+  return resized.toDataURL();
+}
+
+// Content hash, thumbnail and pixel size for a PNG buffer
+function describeImage(nativeImage, png) {
+  const image = nativeImage.createFromBuffer(png);
+  if (image.isEmpty()) throw new Error('Could not decode the image');
+  const { width, height } = image.getSize();
+  return { content: getImageContent(image), thumbnail: createThumbnail(image), width, height };
+}
+
+function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+function toPngDataUrl(png) {
+  return PNG_DATA_URL_PREFIX + png.toString('base64');
+}
+
+// Returns null for anything but a PNG data URL
+function fromPngDataUrl(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith(PNG_DATA_URL_PREFIX)) return null;
+  const png = Buffer.from(dataUrl.slice(PNG_DATA_URL_PREFIX.length), 'base64');
+  return isPng(png) ? png : null;
+}
+
+module.exports = {
+  PNG_DATA_URL_PREFIX,
+  getImageContent,
+  describeImage,
+  isPng,
+  toPngDataUrl,
+  fromPngDataUrl
+};
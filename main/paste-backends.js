@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile, exec } = require('child_process');
+
+// Auto-paste backends.
+//
+// After the window hides, the paste keystroke is sent to whichever app has
+// focus by an external tool: osascript on macOS, xdotool on X11, wtype or
+// ydotool on Wayland, or a command of the user's own. "auto" picks one by
+// platform and session type. The keys default to Cmd+V / Ctrl+V and can be
+// overridden per app, since terminals want Ctrl+Shift+V. Every paste resolves
+// to { success, error } so the UI can say when it did not work.
+
+const PASTE_BACKENDS = ['auto', 'osascript', 'xdotool', 'wtype', 'ydotool', 'custom'];
+const MODIFIER_KEYS = ['ctrl', 'shift', 'alt', 'super', 'cmd'];
+const NAMED_KEYS = { insert: 'Insert', left: 'Left', return: 'Return', enter: 'Return', tab: 'Tab' };
+const MAX_CURSOR_MOVES = 1000;
+const PASTE_TIMEOUT_MS = 10000;
+const MAX_OVERRIDES = 100;
+
+// Terminals paste with Ctrl+Shift+V; names are X11 window classes
+const DEFAULT_PASTE_KEY_OVERRIDES = {
+  'Gnome-terminal': 'ctrl+shift+v',
+  konsole: 'ctrl+shift+v',
+  Alacritty: 'ctrl+shift+v',
+  kitty: 'ctrl+shift+v',
+  Tilix: 'ctrl+shift+v',
+  'Xfce4-terminal': 'ctrl+shift+v',
+  Terminator: 'ctrl+shift+v',
+  'org.wezfurlong.wezterm': 'ctrl+shift+v',
+  foot: 'ctrl+shift+v'
+};
+
+// Linux input event codes, for ydotool
+const EVENT_CODES = {
+  ctrl: 29, shift: 42, alt: 56, super: 125,
+  Insert: 110, Left: 105, Return: 28, Tab: 15,
+  1: 2, 2: 3, 3: 4, 4: 5, 5: 6, 6: 7, 7: 8, 8: 9, 9: 10, 0: 11,
+  q: 16, w: 17, e: 18, r: 19, t: 20, y: 21, u: 22, i: 23, o: 24, p: 25,
+  a: 30, s: 31, d: 32, f: 33, g: 34, h: 35, j: 36, k: 37, l: 38,
+  z: 44, x: 45, c: 46, v: 47, b: 48, n: 49, m: 50
+};
+
+// macOS key codes for keys that can't be typed with `keystroke`
+const MAC_KEY_CODES = { Left: 123, Return: 36, Tab: 48 };
+const MAC_MODIFIERS = { ctrl: 'control down', shift: 'shift down', alt: 'option down', cmd: 'command down', super: 'command down' };
+const WTYPE_MODIFIERS = { ctrl: 'ctrl', shift: 'shift', alt: 'alt', super: 'logo', cmd: 'logo' };
+
+// "Ctrl+Shift+V" -> { modifiers: ['ctrl', 'shift'], key: 'v' }, or null
+function parseKeyCombo(combo) {
+  if (typeof combo !== 'string') return null;
+  const parts = combo.toLowerCase().split('+').map(part => part.trim());
+  const key = parts.pop();
+  if (parts.some(part => !MODIFIER_KEYS.includes(part)) || new Set(parts).size !== parts.length) return null;
+  if (/^[a-z0-9]$/.test(key)) return { modifiers: parts, key };
+  if (NAMED_KEYS[key]) return { modifiers: parts, key: NAMED_KEYS[key] };
+  return null;
+}
+
+function validateKeyCombo(combo) {
+  return parseKeyCombo(combo)
+    ? null
+    : `"${combo}" is not a key combination like ctrl+shift+v (modifiers: ${MODIFIER_KEYS.join(', ')}; keys: a letter, a digit, ${Object.keys(NAMED_KEYS).join(', ')})`;
+}
+
+// Returns a list of errors, empty when `overrides` ({ app: keys }) is valid
+function validatePasteKeyOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return ['Must map application names to keys'];
+  const entries = Object.entries(overrides);
+  if (entries.length > MAX_OVERRIDES) return [`At most ${MAX_OVERRIDES} applications`];
+  const errors = [];
+  for (const [app, keys] of entries) {
+    if (!app.trim()) errors.push('Application names cannot be empty');
+    else if (!keys) errors.push(`No keys for ${app}`);
+    else if (validateKeyCombo(keys)) errors.push(`${app}: ${validateKeyCombo(keys)}`);
+  }
+  return errors;
+}
+
+function findCommand(name, env = process.env) {
+  return (env.PATH || '').split(path.delimiter).filter(Boolean).some(dir => {
+    try {
+      fs.accessSync(path.join(dir, name), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// The backend "auto" stands for, or null when there is none to use
+function detectPasteBackend({ platform = process.platform, env = process.env, hasCommand = name => findCommand(name, env) } = {}) {
+  if (platform === 'darwin') return 'osascript';
+  if (platform !== 'linux') return null;
+  const wayland = env.XDG_SESSION_TYPE === 'wayland' || !!env.WAYLAND_DISPLAY;
+  const candidates = wayland ? ['wtype', 'ydotool', 'xdotool'] : ['xdotool'];
+  return candidates.find(hasCommand) || null;
+}
+
+// The keys to press for `appName`; matching ignores case
+function getPasteKeys(appName, overrides, platform = process.platform) {
+  const fallback = platform === 'darwin' ? 'cmd+v' : 'ctrl+v';
+  if (!appName) return fallback;
+  const name = appName.toLowerCase();
+  const match = Object.keys(overrides).find(app => app.toLowerCase() === name);
+  return match ? overrides[match] : fallback;
+}
+
+// The commands that press `keys` and then move the caret back `cursorBack`
+// characters, as [{ file, args }] run one after another, or
+// [{ shell }] for a custom command
+function buildPasteCommands(backend, { keys, cursorBack = 0, customCommand = '' }) {
+  const combo = parseKeyCombo(keys);
+  if (!combo) throw new Error(validateKeyCombo(keys));
+  const moves = Math.min(Math.max(0, Math.floor(cursorBack) || 0), MAX_CURSOR_MOVES);
+
+  switch (backend) {
+    case 'osascript': {
+      const using = combo.modifiers.length > 0 ? ` using {${combo.modifiers.map(mod => MAC_MODIFIERS[mod]).join(', ')}}` : '';
+      const press = MAC_KEY_CODES[combo.key] !== undefined
+        ? `key code ${MAC_KEY_CODES[combo.key]}${using}`
+        : /^[a-z0-9]$/.test(combo.key) ? `keystroke "${combo.key}"${using}` : null;
+      if (!press) throw new Error(`osascript can't press ${combo.key}`);
+      const lines = ['tell application "System Events"', press];
+      if (moves > 0) lines.push(`repeat ${moves} times`, 'key code 123', 'end repeat');
+      lines.push('end tell');
+      return [{ file: 'osascript', args: lines.flatMap(line => ['-e', line]) }];
+    }
+    case 'xdotool': {
+      const commands = [{ file: 'xdotool', args: ['key', '--clearmodifiers', [...combo.modifiers.map(mod => mod === 'cmd' ? 'super' : mod), combo.key].join('+')] }];
+      if (moves > 0) commands.push({ file: 'xdotool', args: ['key', '--delay', '5', '--repeat', String(moves), 'Left'] });
+      return commands;
+    }
+    case 'wtype': {
+      const modifiers = combo.modifiers.map(mod => WTYPE_MODIFIERS[mod]);
+      const args = [
+        ...modifiers.flatMap(mod => ['-M', mod]),
+        '-k', combo.key,
+        ...modifiers.slice().reverse().flatMap(mod => ['-m', mod])
+      ];
+      for (let i = 0; i < moves; i++) args.push('-k', 'Left');
+      return [{ file: 'wtype', args }];
+    }
+    case 'ydotool': {
+      const codes = [...combo.modifiers.map(mod => EVENT_CODES[mod === 'cmd' ? 'super' : mod]), EVENT_CODES[combo.key]];
+      const args = ['key', ...codes.map(code => `${code}:1`), ...codes.slice().reverse().map(code => `${code}:0`)];
+      for (let i = 0; i < moves; i++) args.push(`${EVENT_CODES.Left}:1`, `${EVENT_CODES.Left}:0`);
+      return [{ file: 'ydotool', args }];
+    }
+    case 'custom':
+      if (!customCommand.trim()) throw new Error('Set the custom paste command in Preferences');
+      // The caret can't be moved for a command we know nothing about
+      return [{ shell: customCommand.replace(/\{keys\}/g, keys) }];
+    default:
+      throw new Error(`Unknown paste backend "${backend}"`);
+  }
+}
+
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    const done = (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    if (command.shell) exec(command.shell, { timeout: PASTE_TIMEOUT_MS }, done);
+    else execFile(command.file, command.args, { timeout: PASTE_TIMEOUT_MS }, done);
+  });
+}
+
+function describeFailure(backend, error) {
+  const tool = backend === 'custom' ? 'The paste command' : backend;
+  if (error.code === 'ENOENT') return `${tool} is not installed`;
+  if (error.killed) return `${tool} did not finish in time`;
+  const detail = (error.stderr || '').trim().split('\n')[0] || error.message;
+  return `${tool} failed: ${detail}`;
+}
+
+// `getActiveApp` resolves to the focused app ({ name } or null), whose
+// override decides the keys
+function createPaster({ log, getActiveApp = async () => null }) {
+  // settings: { pasteBackend, pasteCommand, pasteKeyOverrides }
+  async function paste(settings, { cursorBack = 0 } = {}) {
+    const backend = settings.pasteBackend === 'auto' ? detectPasteBackend() : settings.pasteBackend;
+    if (!backend) {
+      const error = process.platform === 'linux'
+        ? 'No paste tool found; install xdotool (X11) or wtype or ydotool (Wayland), or set a custom paste command'
+        : 'Auto-paste needs a custom paste command on this platform';
+      log.warn(`Auto-paste skipped: ${error}`);
+      return { success: false, error };
+    }
+
+    let target = null;
+    try {
+      target = await getActiveApp();
+    } catch (error) {
+      log.debug(`Could not tell which app will receive the paste: ${error.message}`);
+    }
+    const keys = getPasteKeys(target && target.name, settings.pasteKeyOverrides);
+    try {
+      const commands = buildPasteCommands(backend, { keys, cursorBack, customCommand: settings.pasteCommand });
+      for (const command of commands) await runCommand(command);
+      log.debug(`Pasted with ${backend} (${keys}) into ${target ? target.name : 'the focused app'}`);
+      return { success: true, backend };
+    } catch (error) {
+      const message = error.code !== undefined || error.killed ? describeFailure(backend, error) : error.message;
+      log.error(`Auto-paste failed: ${message}`);
+      return { success: false, error: message, backend };
+    }
+  }
+
+  return { paste };
+}
+
+module.exports = {
+  PASTE_BACKENDS,
+  DEFAULT_PASTE_KEY_OVERRIDES,
+  validateKeyCombo,
+  validatePasteKeyOverrides,
+  detectPasteBackend,
+  getPasteKeys,
+  buildPasteCommands,
+  createPaster
+};
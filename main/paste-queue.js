@@ -0,0 +1,97 @@
+// Paste queue ("collect" mode).
+//
+// While collecting, every copy is pushed onto the queue; the paste-next hotkey
+// then takes entries off the front one at a time. Entries are kept in paste
+// order, so FIFO appends new copies and LIFO puts them in front, and a manual
+// reorder is simply the new array. Entries are copies of the clipboard data,
+// not references to history items, so evicting history or deleting to the
+// trash never changes what is about to be pasted. They do remember the item
+// they came from, so that secrets that expire and items that are gone for
+// good can take their queued copies with them.
+
+const QUEUE_ORDERS = ['fifo', 'lifo'];
+
+function createPasteQueue({ order = 'fifo' } = {}) {
+  let entries = [];
+  let collecting = false;
+  let nextId = 1;
+
+  function isCollecting() {
+    return collecting;
+  }
+
+  function setCollecting(value) {
+    collecting = !!value;
+  }
+
+  // Switching order flips the pending entries, so the newest copy comes
+  // first in LIFO and the oldest in FIFO
+  function setOrder(value) {
+    if (!QUEUE_ORDERS.includes(value) || value === order) return;
+    order = value;
+    entries.reverse();
+  }
+
+  // `sourceId` is the id of the history item the entry was copied from
+  function push({ content, type, formats, masked = false, thumbnail, sourceId = null }) {
+    const entry = { id: nextId++, sourceId, content, type, formats, masked, addedAt: new Date().toISOString() };
+    if (thumbnail) entry.thumbnail = thumbnail;
+    if (order === 'lifo') entries.unshift(entry);
+    else entries.push(entry);
+    return entry;
+  }
+
+  function peek() {
+    return entries[0] || null;
+  }
+
+  function shift() {
+    return entries.shift() || null;
+  }
+
+  // `ids` is the complete queue in the new paste order; anything else is rejected
+  function reorder(ids) {
+    if (!Array.isArray(ids) || ids.length !== entries.length) return false;
+    const reordered = ids.map(id => entries.find(entry => entry.id === id));
+    if (reordered.some(entry => !entry) || new Set(ids).size !== ids.length) return false;
+    entries = reordered;
+    return true;
+  }
+
+  function remove(id) {
+    const initialLength = entries.length;
+    entries = entries.filter(entry => entry.id !== id);
+    return entries.length !== initialLength;
+  }
+
+  // Drops the entries copied from any of `sourceIds`
+  function removeBySource(sourceIds) {
+    const ids = new Set(sourceIds);
+    const initialLength = entries.length;
+    entries = entries.filter(entry => !ids.has(entry.sourceId));
+    return entries.length !== initialLength;
+  }
+
+  // A history item got a new id (a re-copy moves it to the top with one)
+  function renameSource(previousId, sourceId) {
+    for (const entry of entries) {
+      if (entry.sourceId === previousId) entry.sourceId = sourceId;
+    }
+  }
+
+  function clear() {
+    entries = [];
+  }
+
+  function size() {
+    return entries.length;
+  }
+
+  function getState() {
+    return { collecting, order, entries: entries.slice() };
+  }
+
+  return { isCollecting, setCollecting, setOrder, push, peek, shift, reorder, remove, removeBySource, renameSource, clear, size, getState };
+}
+
+module.exports = { createPasteQueue, QUEUE_ORDERS };
@@ -0,0 +1,117 @@
+const { hasTags } = require('./tags');
+
+// Retention policies.
+//
+// Besides the overall memory limit, the history can be limited by age, by
+// number of items and by the space text and images take up, and single huge
+// copies can be left out. Pinned and tagged items are always kept.
+// selectEvictions only decides what goes; main.js removes the items and keeps
+// a short log of them, with the reason, for the UI.
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EVICTION_LOG = 100;
+const PREVIEW_LENGTH = 120;
+
+// Settings that change what selectEvictions keeps
+const RETENTION_SETTINGS = ['maxMemoryMB', 'maxAgeDays', 'maxItems', 'maxTextMB', 'maxImageMB'];
+
+function isExempt(item) {
+  return !!item.pinned || hasTags(item);
+}
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / MB)} MB`;
+}
+
+// A limit of 0 means "no limit"
+function getRetentionPolicy(settings) {
+  return {
+    maxAgeDays: settings.maxAgeDays,
+    maxItems: settings.maxItems,
+    maxTextBytes: settings.maxTextMB * MB,
+    maxImageBytes: settings.maxImageMB * MB,
+    maxMemoryBytes: settings.maxMemoryMB * MB,
+    maxItemBytes: settings.maxItemSizeMB * MB
+  };
+}
+
+// Why an item was removed, in words
+function describeReason(reason, policy) {
+  switch (reason) {
+    case 'age': return `Older than ${policy.maxAgeDays} day${policy.maxAgeDays !== 1 ? 's' : ''}`;
+    case 'count': return `More than ${policy.maxItems} items`;
+    case 'text-size': return `Text over ${formatMB(policy.maxTextBytes)}`;
+    case 'image-size': return `Images over ${formatMB(policy.maxImageBytes)}`;
+    case 'memory': return `Memory limit of ${formatMB(policy.maxMemoryBytes)}`;
+    case 'item-size': return `Copy larger than ${formatMB(policy.maxItemBytes)}, not recorded`;
+    case 'lock': return 'Cleared when the screen locked';
+    case 'sleep': return 'Cleared when the computer went to sleep';
+    case 'quit': return 'Cleared when the app quit';
+    default: return reason;
+  }
+}
+
+// Returns [{ item, reason }] for the items `policy` removes from `history`
+// (newest first), oldest first within each limit
+function selectEvictions(history, policy, now = Date.now()) {
+  const evicted = new Map();
+  const evict = (item, reason) => evicted.set(item, reason);
+
+  if (policy.maxAgeDays > 0) {
+    const cutoff = now - policy.maxAgeDays * DAY_MS;
+    for (const item of history) {
+      if (!isExempt(item) && Date.parse(item.timestamp) < cutoff) evict(item, 'age');
+    }
+  }
+
+  // Removes the oldest remaining items matching `matches` while `total` of
+  // what is left stays over `limit`
+  function evictOldest(limit, reason, matches, measure) {
+    if (!(limit > 0)) return;
+    let total = history.reduce((sum, item) => sum + (!evicted.has(item) && matches(item) ? measure(item) : 0), 0);
+    for (let i = history.length - 1; i >= 0 && total > limit; i--) {
+      const item = history[i];
+      if (evicted.has(item) || isExempt(item) || !matches(item)) continue;
+      evict(item, reason);
+      total -= measure(item);
+    }
+  }
+
+  evictOldest(policy.maxItems, 'count', () => true, () => 1);
+  evictOldest(policy.maxTextBytes, 'text-size', item => item.type !== 'image', item => item.size);
+  evictOldest(policy.maxImageBytes, 'image-size', item => item.type === 'image', item => item.size);
+  evictOldest(policy.maxMemoryBytes, 'memory', () => true, item => item.size);
+
+  return [...evicted].map(([item, reason]) => ({ item, reason }));
+}
+
+// What the eviction log keeps of an item. Secrets and images leave no
+// preview behind, only their type and size.
+function describeEviction(item, reason, policy, now = Date.now()) {
+  const showPreview = item.type !== 'image' && !item.sensitive;
+  return {
+    id: item.id,
+    type: item.type,
+    kind: item.kind || null,
+    size: item.size,
+    preview: showPreview ? item.content.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH) : null,
+    sensitive: !!item.sensitive,
+    reason,
+    detail: describeReason(reason, policy),
+    evictedAt: new Date(now).toISOString()
+  };
+}
+
+// Adds `entries` to the front of `log`, dropping the oldest past the cap
+function appendEvictionLog(log, entries) {
+  return entries.concat(log).slice(0, MAX_EVICTION_LOG);
+}
+
+module.exports = {
+  RETENTION_SETTINGS,
+  getRetentionPolicy,
+  selectEvictions,
+  describeEviction,
+  appendEvictionLog
+};
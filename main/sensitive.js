@@ -0,0 +1,230 @@
+// Sensitive content detection.
+//
+// Every captured text runs through the enabled rules before it reaches the
+// history. The first matching rule decides what happens to it:
+//   skip   - never recorded
+//   mask   - recorded, but shown masked until revealed
+//   expire - recorded, then deleted after `expireSeconds`
+
+const SENSITIVE_ACTIONS = ['skip', 'mask', 'expire'];
+const DEFAULT_EXPIRE_SECONDS = 60;
+// Longer texts are documents, not secrets; scanning them is wasted work
+const MAX_SCAN_LENGTH = 10000;
+
+// Formats password managers set to ask clipboard managers to stay away
+const CONCEALED_FORMATS = [
+  'x-kde-passwordManagerHint',
+  'org.nspasteboard.ConcealedType',
+  'org.nspasteboard.TransientType',
+  'ExcludeClipboardContentFromMonitorProcessing'
+];
+
+function luhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function looksLikeRandomToken(text) {
+  const token = text.trim();
+  if (token.length < 20 || token.length > 200 || /\s/.test(token)) return false;
+  // URLs and paths are long and varied but rarely secrets on their own
+  if (/^(https?:|file:|\/|~\/|[A-Za-z]:\\)/.test(token)) return false;
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/].filter(re => re.test(token)).length;
+  return classes >= 3 && shannonEntropy(token) >= 4;
+}
+
+const BUILTIN_RULES = [
+  {
+    id: 'concealed-hint',
+    name: 'Marked concealed by the source app',
+    defaultAction: 'skip',
+    testFormats: available => CONCEALED_FORMATS.some(format => available.includes(format))
+  },
+  {
+    id: 'private-key',
+    name: 'Private key',
+    defaultAction: 'skip',
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    defaultAction: 'mask',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/
+  },
+  {
+    id: 'aws-key',
+    name: 'AWS access key',
+    defaultAction: 'mask',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/
+  },
+  {
+    id: 'api-token',
+    name: 'API token (GitHub, Slack, Stripe, OpenAI, Google...)',
+    defaultAction: 'mask',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|xox[abposr]-[A-Za-z0-9-]{10,}|[sr]k_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35})/
+  },
+  {
+    id: 'password-assignment',
+    name: 'Password or secret assignment',
+    defaultAction: 'mask',
+    pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token)\s*[:=]\s*["']?[^\s"']{6,}/i
+  },
+  {
+    id: 'credit-card',
+    name: 'Credit card number',
+    defaultAction: 'mask',
+    test: text => {
+      const candidates = text.match(/\b\d(?:[ -]?\d){12,18}\b/g) || [];
+      return candidates.some(candidate => luhnCheck(candidate.replace(/[ -]/g, '')));
+    }
+  },
+  {
+    id: 'high-entropy',
+    name: 'High-entropy token (likely a password)',
+    defaultAction: 'mask',
+    test: looksLikeRandomToken
+  }
+];
+
+function getDefaultSensitiveConfig() {
+  const rules = {};
+  for (const rule of BUILTIN_RULES) {
+    rules[rule.id] = { enabled: true, action: rule.defaultAction, expireSeconds: DEFAULT_EXPIRE_SECONDS };
+  }
+  return { rules, customRules: [] };
+}
+
+function validateRuleSettings(settings, label) {
+  if (!SENSITIVE_ACTIONS.includes(settings.action)) {
+    return `${label}: unknown action "${settings.action}"`;
+  }
+  if (settings.action === 'expire' &&
+      (!Number.isInteger(settings.expireSeconds) || settings.expireSeconds < 1)) {
+    return `${label}: expiry must be a whole number of seconds`;
+  }
+  return null;
+}
+
+// Returns a list of human-readable problems, empty when the config is valid
+function validateSensitiveConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') return ['Invalid sensitive content settings'];
+
+  for (const rule of BUILTIN_RULES) {
+    const settings = config.rules && config.rules[rule.id];
+    if (!settings) continue;
+    const error = validateRuleSettings(settings, rule.name);
+    if (error) errors.push(error);
+  }
+
+  for (const rule of config.customRules || []) {
+    const label = rule.name || rule.pattern || 'Custom rule';
+    if (!rule.pattern) {
+      errors.push(`${label}: pattern is required`);
+      continue;
+    }
+    try {
+      new RegExp(rule.pattern, rule.flags || '');
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      continue;
+    }
+    const error = validateRuleSettings(rule, label);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+// Merge a stored config over the defaults so new built-in rules get their defaults
+function normalizeSensitiveConfig(config) {
+  const defaults = getDefaultSensitiveConfig();
+  if (!config || validateSensitiveConfig(config).length > 0) return defaults;
+  for (const id of Object.keys(defaults.rules)) {
+    if (config.rules && config.rules[id]) {
+      defaults.rules[id] = { ...defaults.rules[id], ...config.rules[id] };
+    }
+  }
+  defaults.customRules = (config.customRules || []).map((rule, index) => ({
+    id: rule.id || `custom-${index + 1}`,
+    name: rule.name || rule.pattern,
+    pattern: rule.pattern,
+    flags: rule.flags || '',
+    enabled: rule.enabled !== false,
+    action: rule.action,
+    expireSeconds: rule.expireSeconds || DEFAULT_EXPIRE_SECONDS
+  }));
+  return defaults;
+}
+
+function describeRules(config) {
+  return BUILTIN_RULES.map(rule => ({ id: rule.id, name: rule.name, ...config.rules[rule.id] }));
+}
+
+function toMatch(rule, settings) {
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    action: settings.action,
+    expireSeconds: settings.expireSeconds
+  };
+}
+
+// Returns { ruleId, ruleName, action, expireSeconds } for the first matching
+// enabled rule, or null when the snapshot looks harmless
+function detectSensitive(snapshot, config) {
+  const available = snapshot.available || [];
+  const text = snapshot.formats.text ? snapshot.formats.text.slice(0, MAX_SCAN_LENGTH) : null;
+
+  for (const rule of BUILTIN_RULES) {
+    const settings = config.rules[rule.id];
+    if (!settings || !settings.enabled) continue;
+    if (rule.testFormats) {
+      if (rule.testFormats(available)) return toMatch(rule, settings);
+      continue;
+    }
+    if (!text) continue;
+    if (rule.pattern ? rule.pattern.test(text) : rule.test(text)) {
+      return toMatch(rule, settings);
+    }
+  }
+
+  if (!text) return null;
+  for (const rule of config.customRules) {
+    if (!rule.enabled) continue;
+    try {
+      if (new RegExp(rule.pattern, rule.flags).test(text)) return toMatch(rule, rule);
+    } catch (error) {
+      // Invalid patterns are rejected on save; ignore any that slipped through
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  SENSITIVE_ACTIONS,
+  detectSensitive,
+  describeRules,
+  getDefaultSensitiveConfig,
+  normalizeSensitiveConfig,
+  validateSensitiveConfig
+};
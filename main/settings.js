@@ -0,0 +1,227 @@
+const { writeFileAtomic, readJsonFile } = require('./fs-utils');
+const { PERSISTENCE_MODES } = require('./history-store');
+const { QUEUE_ORDERS } = require('./paste-queue');
+const { getDefaultSensitiveConfig, normalizeSensitiveConfig, validateSensitiveConfig } = require('./sensitive');
+const { validateIgnoredApps, normalizeIgnoredApps } = require('./active-window');
+const { PASTE_BACKENDS, DEFAULT_PASTE_KEY_OVERRIDES, validatePasteKeyOverrides } = require('./paste-backends');
+
+// Persisted user settings (settings.json in userData).
+//
+// Every key has a default and a validator. Updates are validated as a whole
+// and either applied completely or rejected with a message per key, and
+// listeners are told which keys changed so they can apply them live.
+
+const MODIFIERS = [
+  'Command', 'Cmd', 'Control', 'Ctrl', 'CommandOrControl', 'CmdOrCtrl',
+  'Alt', 'Option', 'AltGr', 'Shift', 'Super', 'Meta'
+];
+const NAMED_KEYS = [
+  'Plus', 'Space', 'Tab', 'Capslock', 'Numlock', 'Scrolllock', 'Backspace', 'Delete', 'Insert',
+  'Return', 'Enter', 'Up', 'Down', 'Left', 'Right', 'Home', 'End', 'PageUp', 'PageDown',
+  'Escape', 'Esc', 'VolumeUp', 'VolumeDown', 'VolumeMute', 'MediaNextTrack',
+  'MediaPreviousTrack', 'MediaStop', 'MediaPlayPause', 'PrintScreen',
+  'numdec', 'numadd', 'numsub', 'nummult', 'numdiv'
+];
+
+function isAcceleratorKey(key) {
+  return /^[A-Za-z0-9]$/.test(key) ||
+    /^F([1-9]|1[0-9]|2[0-4])$/.test(key) ||
+    /^num[0-9]$/.test(key) ||
+    /^[)!@#$%^&*(:;<=>,_.?/~`{}[\]|\\"'-]$/.test(key) ||
+    NAMED_KEYS.includes(key);
+}
+
+// Checks Electron accelerator syntax, e.g. "CommandOrControl+Shift+V"
+function validateAccelerator(value) {
+  if (typeof value !== 'string' || !value.trim()) return 'Shortcut is required';
+  const parts = value.split('+');
+  const key = parts.pop();
+  if (parts.length === 0) return 'Shortcut needs at least one modifier (e.g. Shift, Alt, CommandOrControl)';
+  const unknown = parts.find(part => !MODIFIERS.includes(part));
+  if (unknown !== undefined) return `Unknown modifier "${unknown}"`;
+  if (new Set(parts).size !== parts.length) return 'Shortcut repeats a modifier';
+  if (!isAcceleratorKey(key)) return `Unknown key "${key}"`;
+  return null;
+}
+
+// What goes between items when several are copied or merged as one text
+const JOIN_SEPARATORS = {
+  newline: '\n',
+  comma: ', ',
+  tab: '\t'
+};
+
+function integerIn(min, max) {
+  return value => (Number.isInteger(value) && value >= min && value <= max)
+    ? null
+    : `Must be a whole number between ${min} and ${max}`;
+}
+
+function isBoolean(value) {
+  return typeof value === 'boolean' ? null : 'Must be true or false';
+}
+
+function oneOf(values) {
+  return value => values.includes(value) ? null : `Must be one of: ${values.join(', ')}`;
+}
+
+function stringUpTo(maxLength) {
+  return value => (typeof value === 'string' && value.length <= maxLength)
+    ? null
+    : `Must be text of at most ${maxLength} characters`;
+}
+
+const SETTINGS_SCHEMA = {
+  hotkey: { default: 'Command+Shift+V', validate: validateAccelerator },
+  pasteNextHotkey: { default: 'CommandOrControl+Alt+V', validate: validateAccelerator },
+  pickerHotkey: { default: 'Alt+Shift+V', validate: validateAccelerator },
+  pasteQueueOrder: { default: 'fifo', validate: oneOf(QUEUE_ORDERS) },
+  pollIntervalMs: { default: 1000, validate: integerIn(200, 10000) },
+  pasteDelayMs: { default: 150, validate: integerIn(0, 2000) },
+  // How auto-paste presses the keys; see main/paste-backends.js
+  pasteBackend: { default: 'auto', validate: oneOf(PASTE_BACKENDS) },
+  pasteCommand: { default: '', validate: stringUpTo(1000) },
+  pasteKeyOverrides: {
+    default: DEFAULT_PASTE_KEY_OVERRIDES,
+    validate: value => {
+      const errors = validatePasteKeyOverrides(value);
+      return errors.length > 0 ? errors.join('\n') : null;
+    }
+  },
+  maxMemoryMB: { default: 500, validate: integerIn(10, 8192) },
+  // Retention policies, 0 means no limit
+  maxAgeDays: { default: 0, validate: integerIn(0, 3650) },
+  maxItems: { default: 0, validate: integerIn(0, 100000) },
+  maxTextMB: { default: 0, validate: integerIn(0, 8192) },
+  maxImageMB: { default: 0, validate: integerIn(0, 8192) },
+  maxItemSizeMB: { default: 0, validate: integerIn(0, 8192) },
+  clearOnLock: { default: false, validate: isBoolean },
+  clearOnSleep: { default: false, validate: isBoolean },
+  clearOnQuit: { default: false, validate: isBoolean },
+  // Deleted items stay in the trash this long, within their own size limit
+  trashHours: { default: 24, validate: integerIn(1, 720) },
+  maxTrashMB: { default: 100, validate: integerIn(0, 8192) },
+  windowWidth: { default: 1000, validate: integerIn(400, 4000) },
+  windowHeight: { default: 700, validate: integerIn(600, 4000) },
+  persistenceMode: { default: 'off', validate: oneOf(PERSISTENCE_MODES) },
+  joinSeparator: { default: 'newline', validate: oneOf(Object.keys(JOIN_SEPARATORS)) },
+  showPreview: { default: true, validate: isBoolean },
+  // Tray menu: how many items it lists, and whether choosing one pastes it
+  trayItemCount: { default: 10, validate: integerIn(1, 30) },
+  trayPasteOnChoose: { default: true, validate: isBoolean },
+  // Copies made in these applications are never recorded
+  ignoredApps: {
+    default: [],
+    validate: value => {
+      const errors = validateIgnoredApps(value);
+      return errors.length > 0 ? errors.join('\n') : null;
+    },
+    normalize: normalizeIgnoredApps
+  },
+  sensitive: {
+    default: getDefaultSensitiveConfig(),
+    validate: value => {
+      const errors = validateSensitiveConfig(value);
+      return errors.length > 0 ? errors.join('\n') : null;
+    },
+    normalize: normalizeSensitiveConfig
+  }
+};
+
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = spec.default;
+  }
+  return defaults;
+}
+
+// Returns { key: message } for every invalid or unknown key in `partial`
+function validateSettings(partial) {
+  const errors = {};
+  if (!partial || typeof partial !== 'object') return { settings: 'Invalid settings' };
+  for (const [key, value] of Object.entries(partial)) {
+    const spec = SETTINGS_SCHEMA[key];
+    if (!spec) {
+      errors[key] = 'Unknown setting';
+      continue;
+    }
+    const error = spec.validate(value);
+    if (error) errors[key] = error;
+  }
+  return errors;
+}
+
+function createSettingsStore({ filePath, log }) {
+  const listeners = [];
+  let settings = load();
+
+  // Unknown keys are dropped and invalid values fall back to their defaults,
+  // so a hand-edited file can never stop the app from starting
+  function load() {
+    const stored = readJsonFile(filePath, {}) || {};
+    const loaded = getDefaultSettings();
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+      if (!(key in stored)) continue;
+      if (spec.validate(stored[key])) {
+        log.warn(`Ignoring invalid setting "${key}" in settings.json`);
+        continue;
+      }
+      loaded[key] = spec.normalize ? spec.normalize(stored[key]) : stored[key];
+    }
+    return loaded;
+  }
+
+  function get(key) {
+    return settings[key];
+  }
+
+  function getAll() {
+    return { ...settings };
+  }
+
+  function update(partial) {
+    const errors = validateSettings(partial);
+    if (Object.keys(errors).length > 0) {
+      return { success: false, errors };
+    }
+
+    const next = { ...settings };
+    const changed = [];
+    for (const [key, value] of Object.entries(partial)) {
+      const spec = SETTINGS_SCHEMA[key];
+      const normalized = spec.normalize ? spec.normalize(value) : value;
+      if (JSON.stringify(normalized) === JSON.stringify(settings[key])) continue;
+      next[key] = normalized;
+      changed.push(key);
+    }
+    if (changed.length === 0) return { success: true, changed, settings: getAll() };
+
+    writeFileAtomic(filePath, JSON.stringify(next, null, 2));
+    const previous = settings;
+    settings = next;
+    log.info(`Settings changed: ${changed.join(', ')}`);
+    for (const listener of listeners) {
+      try {
+        listener(changed, settings, previous);
+      } catch (error) {
+        log.error('Error applying settings change:', error);
+      }
+    }
+    return { success: true, changed, settings: getAll() };
+  }
+
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  return { get, getAll, update, onChange };
+}
+
+module.exports = {
+  createSettingsStore,
+  validateSettings,
+  validateAccelerator,
+  getDefaultSettings,
+  JOIN_SEPARATORS
+};
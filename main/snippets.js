@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { writeFileAtomic, readJsonFile } = require('./fs-utils');
+
+// Snippet library (snippets.json in userData).
+//
+// Snippets are user-written templates kept apart from the clipboard history,
+// so they never count against the memory limit. Placeholders expanded on use:
+//   {date} {time}    current local date (YYYY-MM-DD) and time (HH:MM)
+//   {clipboard}      current clipboard text
+//   {cursor}         where the caret ends up after pasting
+//   {input:Name}     prompted for when the snippet is picked
+
+const PLACEHOLDER_PATTERN = /\{(date|time|clipboard|cursor|input:([^{}]+))\}/g;
+const ABBREVIATION_PATTERN = /^\S{1,32}$/;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function getSnippetInputs(body) {
+  const names = [];
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[2] && match[2].trim();
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Returns { text, cursorOffset } where cursorOffset is the number of
+// characters between {cursor} and the end of the text (0 without {cursor})
+function expandSnippet(body, { clipboardText = '', inputs = {}, now = new Date() } = {}) {
+  let cursorIndex = -1;
+  let text = '';
+  let lastIndex = 0;
+
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    text += body.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    const [, name, inputName] = match;
+    if (name === 'date') {
+      text += `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    } else if (name === 'time') {
+      text += `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+    } else if (name === 'clipboard') {
+      text += clipboardText;
+    } else if (name === 'cursor') {
+      // Only the first {cursor} counts; later ones are dropped
+      if (cursorIndex === -1) cursorIndex = text.length;
+    } else {
+      text += inputs[inputName.trim()] || '';
+    }
+  }
+  text += body.slice(lastIndex);
+
+  const cursorOffset = cursorIndex === -1 ? 0 : [...text.slice(cursorIndex)].length;
+  return { text, cursorOffset };
+}
+
+function createSnippetStore({ filePath, log }) {
+  let snippets = load();
+
+  function load() {
+    const stored = readJsonFile(filePath, {}) || {};
+    return Array.isArray(stored.snippets) ? stored.snippets : [];
+  }
+
+  function save() {
+    writeFileAtomic(filePath, JSON.stringify({ version: 1, snippets }, null, 2));
+  }
+
+  function describe(snippet) {
+    return { ...snippet, inputs: getSnippetInputs(snippet.body) };
+  }
+
+  function list() {
+    return snippets.map(describe);
+  }
+
+  function get(id) {
+    return snippets.find(snippet => snippet.id === id) || null;
+  }
+
+  // Returns { key: message } for every problem with the snippet
+  function validate(snippet) {
+    const errors = {};
+    if (!snippet.name || !snippet.name.trim()) errors.name = 'Name is required';
+    if (!snippet.body) errors.body = 'Snippet text is required';
+    if (snippet.abbreviation) {
+      if (!ABBREVIATION_PATTERN.test(snippet.abbreviation)) {
+        errors.abbreviation = 'Abbreviation must be 1-32 characters without spaces';
+      } else if (snippets.some(other => other.id !== snippet.id && other.abbreviation === snippet.abbreviation)) {
+        errors.abbreviation = `"${snippet.abbreviation}" is already used by another snippet`;
+      }
+    }
+    return errors;
+  }
+
+  // Creates the snippet when it has no id, otherwise updates it
+  function upsert(input) {
+    const snippet = {
+      id: input.id || crypto.randomUUID(),
+      name: (input.name || '').trim(),
+      abbreviation: (input.abbreviation || '').trim(),
+      body: input.body || ''
+    };
+    const errors = validate(snippet);
+    if (Object.keys(errors).length > 0) return { success: false, errors };
+
+    const index = snippets.findIndex(existing => existing.id === snippet.id);
+    const now = new Date().toISOString();
+    if (index === -1) {
+      snippets.push({ ...snippet, createdAt: now, updatedAt: now });
+    } else {
+      snippets[index] = { ...snippets[index], ...snippet, updatedAt: now };
+    }
+    save();
+    log.debug(`Saved snippet ${snippet.id}`);
+    return { success: true, snippet: describe(get(snippet.id)) };
+  }
+
+  function remove(id) {
+    const initialLength = snippets.length;
+    snippets = snippets.filter(snippet => snippet.id !== id);
+    if (snippets.length === initialLength) return false;
+    save();
+    return true;
+  }
+
+  return { list, get, upsert, remove };
+}
+
+module.exports = { createSnippetStore, expandSnippet, getSnippetInputs };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { writeFileAtomic, readJsonFile, removeFile } = require('./fs-utils');
+
+// Usage statistics.
+//
+// main.js records copies, re-copies, evictions and memory samples as they
+// happen, and only aggregates are kept: counts per hour and per day, per type,
+// per eviction reason, and a memory sample every so often. Re-copied items
+// are counted under a keyed hash of their content, with a random key that is
+// replaced on reset. The key and the re-copy counts only live in memory, so
+// they start over with each launch and the stats file holds nothing derived
+// from clip text. main.js turns those hashes back into history items by
+// hashing what is still in the history. Sensitive items only count towards
+// the totals. Nothing is written while `canSave()` says no, which main.js
+// ties to the persistence mode.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOURLY_HOURS = 48;
+const DAILY_DAYS = 90;
+const MEMORY_SAMPLE_MS = 15 * 60 * 1000;
+const MAX_MEMORY_SAMPLES = 7 * 24 * 4;
+// Re-copied items kept, the most re-copied first
+const MAX_RECOPIES = 200;
+const TOP_RECOPIES = 10;
+const SAVE_DELAY_MS = 2000;
+
+function startOfHour(time) {
+  const date = new Date(time);
+  date.setMinutes(0, 0, 0);
+  return date.getTime();
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function createEmptyStats(now = Date.now()) {
+  return {
+    version: 1,
+    resetAt: new Date(now).toISOString(),
+    key: crypto.randomBytes(32).toString('hex'),
+    total: 0,
+    hourly: {},
+    daily: {},
+    types: {},
+    recopies: {},
+    evictions: {},
+    memory: []
+  };
+}
+
+// Drops counts that fell out of their window, keyed by bucket start
+function pruneBuckets(buckets, cutoff) {
+  for (const start of Object.keys(buckets)) {
+    if (Number(start) < cutoff) delete buckets[start];
+  }
+}
+
+// One entry per bucket from `first` to `last`, filling gaps with 0
+function listBuckets(buckets, first, last, next) {
+  const list = [];
+  for (let start = first; start <= last; start = next(start)) {
+    list.push({ start: new Date(start).toISOString(), count: buckets[start] || 0 });
+  }
+  return list;
+}
+
+function createStatsStore({ filePath, log, canSave = () => true }) {
+  let saveTimer = null;
+  let dirty = false;
+  let stats = load();
+
+  // Files from older versions also held the key and the re-copies; those are
+  // dropped here and the file is rewritten without them
+  function load() {
+    const stored = readJsonFile(filePath, null);
+    if (!stored || stored.version !== 1) return createEmptyStats();
+    const { key, recopies, ...counts } = stored;
+    if (key !== undefined || recopies !== undefined) dirty = true;
+    return { ...createEmptyStats(), ...counts };
+  }
+
+  // What goes to disk: everything but the key and the re-copies
+  function toStored() {
+    const { key, recopies, ...counts } = stats;
+    return counts;
+  }
+
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!dirty || !canSave()) return;
+    dirty = false;
+    try {
+      writeFileAtomic(filePath, JSON.stringify(toStored()));
+    } catch (error) {
+      log.error('Error saving stats:', error);
+    }
+  }
+
+  // Copies come in bursts, so writes are coalesced
+  function scheduleSave() {
+    dirty = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  }
+
+  function hashContent(content) {
+    return crypto.createHmac('sha256', stats.key).update(content).digest('hex').slice(0, 32);
+  }
+
+  // `recopy` is true when the content was already in the history
+  function recordCopy(item, { recopy = false } = {}, now = Date.now()) {
+    const hour = startOfHour(now);
+    const day = startOfDay(now);
+    stats.total++;
+    stats.hourly[hour] = (stats.hourly[hour] || 0) + 1;
+    stats.daily[day] = (stats.daily[day] || 0) + 1;
+    stats.types[item.type] = (stats.types[item.type] || 0) + 1;
+    pruneBuckets(stats.hourly, hour - (HOURLY_HOURS - 1) * HOUR_MS);
+    pruneBuckets(stats.daily, day - (DAILY_DAYS - 1) * DAY_MS);
+
+    if (recopy && !item.sensitive) {
+      const hash = hashContent(item.content);
+      const entry = stats.recopies[hash] || { count: 0 };
+      stats.recopies[hash] = {
+        count: entry.count + 1,
+        type: item.type,
+        kind: item.kind || null,
+        lastAt: new Date(now).toISOString()
+      };
+      const hashes = Object.keys(stats.recopies);
+      if (hashes.length > MAX_RECOPIES) {
+        hashes
+          .sort((a, b) => stats.recopies[a].count - stats.recopies[b].count ||
+            stats.recopies[a].lastAt.localeCompare(stats.recopies[b].lastAt))
+          .slice(0, hashes.length - MAX_RECOPIES)
+          .forEach(stale => delete stats.recopies[stale]);
+      }
+    }
+    scheduleSave();
+  }
+
+  // `reasons` has one entry per removed item
+  function recordEvictions(reasons) {
+    for (const reason of reasons) {
+      stats.evictions[reason] = (stats.evictions[reason] || 0) + 1;
+    }
+    scheduleSave();
+  }
+
+  // Keeps a sample at most every MEMORY_SAMPLE_MS; `limit` is 0 without one
+  function recordMemory(bytes, limit, now = Date.now()) {
+    const last = stats.memory[stats.memory.length - 1];
+    if (last && now - Date.parse(last.at) < MEMORY_SAMPLE_MS) return;
+    stats.memory = stats.memory
+      .concat({ at: new Date(now).toISOString(), bytes, limit })
+      .slice(-MAX_MEMORY_SAMPLES);
+    scheduleSave();
+  }
+
+  // Everything the stats view shows. Re-copies carry their hash; main.js
+  // swaps it for the id of the history item it belongs to, if any.
+  function getSummary(now = Date.now()) {
+    const hour = startOfHour(now);
+    const day = startOfDay(now);
+    const nextDay = start => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + 1);
+      return date.getTime();
+    };
+    const firstDay = new Date(day);
+    firstDay.setDate(firstDay.getDate() - (DAILY_DAYS - 1));
+
+    return {
+      resetAt: stats.resetAt,
+      total: stats.total,
+      hourly: listBuckets(stats.hourly, hour - (HOURLY_HOURS - 1) * HOUR_MS, hour, start => start + HOUR_MS),
+      daily: listBuckets(stats.daily, firstDay.getTime(), day, nextDay),
+      types: { ...stats.types },
+      recopies: Object.entries(stats.recopies)
+        .map(([hash, entry]) => ({ hash, ...entry }))
+        .sort((a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt))
+        .slice(0, TOP_RECOPIES),
+      evictions: { ...stats.evictions },
+      memory: stats.memory.slice()
+    };
+  }
+
+  // Starts over with a new hashing key, so old hashes mean nothing
+  function reset() {
+    stats = createEmptyStats();
+    dirty = true;
+    flush();
+    log.info('Usage statistics reset');
+  }
+
+  // Removes the stats file; the counts stay in memory and are written again
+  // once canSave() allows it
+  function destroy() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    dirty = true;
+    removeFile(filePath);
+  }
+
+  return { hashContent, recordCopy, recordEvictions, recordMemory, getSummary, reset, flush, destroy };
+}
+
+module.exports = { createStatsStore };
@@ -0,0 +1,63 @@
+// Item tags.
+//
+// Tags are short free-form labels such as "SQL" or "Deploy commands", and
+// every tag doubles as a collection the tag bar can browse. They are compared
+// case-insensitively; a new tag takes the spelling already used elsewhere in
+// the history so one collection never shows up twice.
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_ITEM = 20;
+
+function cleanTag(tag) {
+  return tag.trim().replace(/\s+/g, ' ');
+}
+
+// Returns a list of human-readable problems, empty when the tags are valid
+function validateTags(tags) {
+  if (!Array.isArray(tags)) return ['Tags must be a list'];
+  const errors = [];
+  if (tags.length > MAX_TAGS_PER_ITEM) errors.push(`An item can have at most ${MAX_TAGS_PER_ITEM} tags`);
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      errors.push('Tags must be text');
+    } else if (!cleanTag(tag)) {
+      errors.push('Tags cannot be empty');
+    } else if (cleanTag(tag).length > MAX_TAG_LENGTH) {
+      errors.push(`"${cleanTag(tag).slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters`);
+    } else if (/[,"]/.test(tag)) {
+      // Both have a meaning in tag: searches
+      errors.push(`"${cleanTag(tag)}" cannot contain commas or quotes`);
+    }
+  }
+  return errors;
+}
+
+// Trims and de-duplicates valid `tags`, reusing the spelling of matching tags
+// already on items in `history`
+function normalizeTags(tags, history = []) {
+  const spellings = new Map();
+  for (const item of history) {
+    for (const tag of item.tags || []) {
+      if (!spellings.has(tag.toLowerCase())) spellings.set(tag.toLowerCase(), tag);
+    }
+  }
+  const result = new Map();
+  for (const tag of tags) {
+    const cleaned = cleanTag(tag);
+    const key = cleaned.toLowerCase();
+    if (!result.has(key)) result.set(key, spellings.get(key) || cleaned);
+  }
+  return [...result.values()];
+}
+
+function hasTags(item) {
+  return !!item.tags && item.tags.length > 0;
+}
+
+// Stores `tags` on the item, dropping the field when there are none
+function setItemTags(item, tags) {
+  if (tags.length > 0) item.tags = tags;
+  else delete item.tags;
+}
+
+module.exports = { validateTags, normalizeTags, hasTags, setItemTags };
@@ -0,0 +1,110 @@
+// "Paste as..." text transformations.
+//
+// Kept in the main process so the renderer only ever sends ids and the
+// clipboard is written in one place. Each transform maps text to
+// text and throws an Error with a user-facing message when the input doesn't
+// fit (e.g. invalid JSON).
+
+function splitWords(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function mapLines(text, fn) {
+  const lines = text.split(/\r?\n/);
+  // Keep a trailing newline out of sorting/deduplication
+  const trailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+  return fn(lines).join('\n') + (trailingNewline ? '\n' : '');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+}
+
+const TRANSFORMS = [
+  { id: 'trim', label: 'Trim whitespace', group: 'Whitespace', apply: text => text.trim() },
+  { id: 'collapse-whitespace', label: 'Collapse whitespace', group: 'Whitespace', apply: text => text.replace(/\s+/g, ' ').trim() },
+
+  { id: 'upper-case', label: 'UPPER CASE', group: 'Case', apply: text => text.toUpperCase() },
+  { id: 'lower-case', label: 'lower case', group: 'Case', apply: text => text.toLowerCase() },
+  { id: 'title-case', label: 'Title Case', group: 'Case', apply: text => text.replace(/\S+/g, capitalize) },
+  {
+    id: 'camel-case',
+    label: 'camelCase',
+    group: 'Case',
+    apply: text => splitWords(text).map((word, i) => i === 0 ? word.toLowerCase() : capitalize(word)).join('')
+  },
+  {
+    id: 'snake-case',
+    label: 'snake_case',
+    group: 'Case',
+    apply: text => splitWords(text).map(word => word.toLowerCase()).join('_')
+  },
+
+  { id: 'json-pretty', label: 'JSON pretty-print', group: 'JSON', apply: text => JSON.stringify(parseJson(text), null, 2) },
+  { id: 'json-minify', label: 'JSON minify', group: 'JSON', apply: text => JSON.stringify(parseJson(text)) },
+
+  { id: 'base64-encode', label: 'Base64 encode', group: 'Encoding', apply: text => Buffer.from(text, 'utf-8').toString('base64') },
+  {
+    id: 'base64-decode',
+    label: 'Base64 decode',
+    group: 'Encoding',
+    apply: text => {
+      const compact = text.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact) || compact.length === 0) {
+        throw new Error('Not valid Base64');
+      }
+      return Buffer.from(compact, 'base64').toString('utf-8');
+    }
+  },
+  { id: 'url-encode', label: 'URL encode', group: 'Encoding', apply: text => encodeURIComponent(text) },
+  {
+    id: 'url-decode',
+    label: 'URL decode',
+    group: 'Encoding',
+    apply: text => {
+      try {
+        return decodeURIComponent(text.replace(/\+/g, ' '));
+      } catch (error) {
+        throw new Error('Not valid URL-encoded text');
+      }
+    }
+  },
+
+  { id: 'escape-shell', label: 'Escape for shell', group: 'Escape', apply: text => `'${text.replace(/'/g, `'\\''`)}'` },
+  { id: 'escape-regex', label: 'Escape for regex', group: 'Escape', apply: text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') },
+  {
+    id: 'escape-html',
+    label: 'Escape HTML',
+    group: 'Escape',
+    apply: text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+  },
+
+  { id: 'sort-lines', label: 'Sort lines', group: 'Lines', apply: text => mapLines(text, lines => [...lines].sort((a, b) => a.localeCompare(b))) },
+  { id: 'dedupe-lines', label: 'Remove duplicate lines', group: 'Lines', apply: text => mapLines(text, lines => [...new Set(lines)]) }
+];
+
+function listTransforms() {
+  return TRANSFORMS.map(({ id, label, group }) => ({ id, label, group }));
+}
+
+function applyTransform(transformId, text) {
+  const transform = TRANSFORMS.find(t => t.id === transformId);
+  if (!transform) throw new Error(`Unknown transform: ${transformId}`);
+  return transform.apply(text);
+}
+
+module.exports = { listTransforms, applyTransform };
@@ -0,0 +1,65 @@
+// Trash.
+//
+// Deleting items or clearing the history moves them here instead of dropping
+// them, so the toast that follows can undo it and the trash view can restore
+// them later. Entries are emptied after the configured number of hours, and
+// the trash has a size limit of its own, apart from the history's memory
+// limit. Like the history by default, the trash only lives in memory.
+// Sensitive items never come here: deleting them is final.
+
+const MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Settings that change what emptyExpired keeps
+const TRASH_SETTINGS = ['trashHours', 'maxTrashMB'];
+
+// A size limit of 0 means "no limit"
+function getTrashPolicy(settings) {
+  return {
+    maxAgeMs: settings.trashHours * HOUR_MS,
+    maxBytes: settings.maxTrashMB * MB
+  };
+}
+
+function canTrash(item) {
+  return !item.sensitive;
+}
+
+function getTrashSize(trash) {
+  return trash.reduce((total, entry) => total + entry.item.size, 0);
+}
+
+// Returns `trash` with `items` added in front, so it stays newest first.
+// `reason` is 'delete' or 'clear'.
+function addToTrash(trash, items, reason, now = Date.now()) {
+  const deletedAt = new Date(now).toISOString();
+  return items.map(item => ({ item, reason, deletedAt })).concat(trash);
+}
+
+// Splits `trash` into the entries to keep and the ones to empty: those past
+// the age limit, then the oldest while the rest is over the size limit
+function emptyExpired(trash, policy, now = Date.now()) {
+  const kept = trash.filter(entry => now - Date.parse(entry.deletedAt) < policy.maxAgeMs);
+  let size = getTrashSize(kept);
+  while (policy.maxBytes > 0 && size > policy.maxBytes && kept.length > 0) {
+    size -= kept.pop().item.size;
+  }
+  const keptEntries = new Set(kept);
+  return { kept, expired: trash.filter(entry => !keptEntries.has(entry)) };
+}
+
+// Puts `item` back where its timestamp belongs in `history` (newest first)
+function insertByTimestamp(history, item) {
+  const index = history.findIndex(other => other.timestamp < item.timestamp);
+  history.splice(index === -1 ? history.length : index, 0, item);
+}
+
+module.exports = {
+  TRASH_SETTINGS,
+  getTrashPolicy,
+  canTrash,
+  getTrashSize,
+  addToTrash,
+  emptyExpired,
+  insertByTimestamp
+};
@@ -0,0 +1,102 @@
+// Tray menu.
+//
+// The tray icon shows that the app is running even with the window hidden.
+// Its menu lists the latest items, pinned ones first, for copying or pasting
+// with one click, and can pause monitoring for a while. buildTrayMenu only
+// returns a menu template; main.js owns the Tray, the actions and the pause
+// timer, and rebuilds the menu after every change to the history.
+
+const LABEL_LENGTH = 50;
+
+// Choices in the Pause submenu; null pauses until resumed
+const PAUSE_DURATIONS = [
+  { label: 'For 5 minutes', ms: 5 * 60 * 1000 },
+  { label: 'For 1 hour', ms: 60 * 60 * 1000 },
+  { label: 'Until resumed', ms: null }
+];
+
+// Pinned items first, then the most recent, `count` in all
+function getTrayItems(history, count) {
+  const pinned = history.filter(item => item.pinned);
+  const recent = history.filter(item => !item.pinned);
+  return pinned.concat(recent).slice(0, count);
+}
+
+// One line of text; masked items only say which rule caught them. "&" is
+// doubled because Windows menus treat it as a mnemonic marker.
+function getTrayLabel(item) {
+  let label;
+  if (item.masked) {
+    label = `Sensitive item${item.sensitive ? ` (${item.sensitive.ruleName})` : ''}`;
+  } else if (item.type === 'image') {
+    label = `Image ${item.width} × ${item.height}`;
+  } else if (item.type === 'files') {
+    label = item.formats.files.map(file => file.split(/[\\/]/).pop()).join(', ');
+  } else {
+    label = item.content.replace(/\s+/g, ' ').trim();
+  }
+  if (label.length > LABEL_LENGTH) label = label.slice(0, LABEL_LENGTH - 1) + '…';
+  return label.replace(/&/g, '&&');
+}
+
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// `pausedUntil` is a timestamp, Infinity when paused until resumed, or null.
+// `actions`: { choose(item), setPasteOnChoose(paste), pause(ms), resume(),
+// clear(), show(), quit() }
+function buildTrayMenu({ history, count, pasteOnChoose, pausedUntil, actions }) {
+  const items = getTrayItems(history, count);
+  const template = [];
+  items.forEach((item, index) => {
+    // A separator between the pinned items and the rest
+    if (index > 0 && items[index - 1].pinned && !item.pinned) template.push({ type: 'separator' });
+    template.push({ label: getTrayLabel(item), click: () => actions.choose(item) });
+  });
+  if (items.length === 0) template.push({ label: 'No items yet', enabled: false });
+
+  template.push(
+    { type: 'separator' },
+    {
+      label: 'Paste when chosen',
+      type: 'checkbox',
+      checked: pasteOnChoose,
+      click: menuItem => actions.setPasteOnChoose(menuItem.checked)
+    },
+    { type: 'separator' }
+  );
+
+  if (pausedUntil) {
+    template.push({
+      label: pausedUntil === Infinity ? 'Monitoring paused' : `Monitoring paused until ${formatTime(pausedUntil)}`,
+      enabled: false
+    }, {
+      label: 'Resume monitoring',
+      click: () => actions.resume()
+    });
+  } else {
+    template.push({
+      label: 'Pause monitoring',
+      submenu: PAUSE_DURATIONS.map(({ label, ms }) => ({ label, click: () => actions.pause(ms) }))
+    });
+  }
+
+  template.push(
+    { label: 'Clear History', enabled: history.length > 0, click: () => actions.clear() },
+    { type: 'separator' },
+    { label: 'Show Window', click: () => actions.show() },
+    { label: 'Quit', click: () => actions.quit() }
+  );
+  return template;
+}
+
+// Tooltip for the icon, which is all there is on some Linux desktops
+function getTrayTooltip(pausedUntil) {
+  if (!pausedUntil) return 'Clipboard History';
+  return pausedUntil === Infinity
+    ? 'Clipboard History (paused)'
+    : `Clipboard History (paused until ${formatTime(pausedUntil)})`;
+}
+
+module.exports = { PAUSE_DURATIONS, getTrayItems, getTrayLabel, buildTrayMenu, getTrayTooltip };
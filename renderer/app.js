@@ -1,15 +1,69 @@
 // Application State
 let clipboardHistory = [];
+// Version of the last history change applied; see applyHistoryChanges
+let historyVersion = 0;
+let historyResyncing = false;
 let currentContent = null;
 let currentContentType = null;
 let memoryUsage = 0;
 let searchTerm = '';
 let filterType = 'all';
+let tagFilter = null;
+let renamingTag = false;
+let tagEditorItemId = null;
+let editingItemId = null;
 let selectedIndex = -1;
+let selectedIds = new Set();
+let selectionAnchor = -1;
+let revealedIds = new Set();
+let sensitiveActions = [];
+let currentSettings = {};
+let searchMatches = new Map();
+let filteredHistoryCache = null;
+// Markup and node of each rendered row, by item id
+let renderedItems = new Map();
+// Measured row heights by item id, and the pending scroll update
+let rowHeights = new Map();
+let visibleRowsFrame = null;
+let searchDebounce = null;
+let snippets = [];
+let transforms = [];
+let transformTargetId = null;
+let pasteQueue = { collecting: false, order: 'fifo', entries: [], hotkey: '' };
+let previewKey = null;
+let previewFrame = null;
+let previewObserver = null;
+let previewZoom = null;
+// Object URL of the full image in the preview, revoked when it changes
+let previewImageUrl = null;
+
+const SEARCH_DEBOUNCE_MS = 150;
+// Rows rendered beyond each edge of the viewport, and the height assumed
+// for rows until one has been measured
+const ROW_OVERSCAN_PX = 600;
+const DEFAULT_ROW_HEIGHT = 80;
+// Long text is added to the preview in pieces as it is scrolled
+const PREVIEW_CHUNK_CHARS = 64 * 1024;
+const ZOOM_STEP = 1.25;
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 16;
+// Kinds of text the main process classifies captures into
+const CONTENT_KINDS = {
+    url: { label: 'Link', icon: 'link' },
+    email: { label: 'Email address', icon: 'at' },
+    path: { label: 'File path', icon: 'folder' },
+    color: { label: 'Color', icon: 'palette' },
+    json: { label: 'JSON', icon: 'file-code' },
+    code: { label: 'Code', icon: 'code' },
+    phone: { label: 'Phone number', icon: 'phone' },
+    number: { label: 'Number', icon: 'hashtag' },
+    prose: { label: 'Text', icon: 'align-left' }
+};
 
 // DOM Elements
 const elements = {
     currentContent: document.getElementById('currentContent'),
+    appContainer: document.getElementById('appContainer'),
     historyList: document.getElementById('historyList'),
     memoryUsage: document.getElementById('memoryUsage'),
     historyCount: document.getElementById('historyCount'),
@@ -18,10 +72,92 @@ const elements = {
     clearCurrentBtn: document.getElementById('clearCurrentBtn'),
     clearAllBtn: document.getElementById('clearAllBtn'),
     refreshBtn: document.getElementById('refreshBtn'),
+    persistenceMode: document.getElementById('persistenceMode'),
     confirmModal: document.getElementById('confirmModal'),
     confirmMessage: document.getElementById('confirmMessage'),
     confirmCancel: document.getElementById('confirmCancel'),
     confirmOk: document.getElementById('confirmOk'),
+    preferencesBtn: document.getElementById('preferencesBtn'),
+    preferencesModal: document.getElementById('preferencesModal'),
+    preferencesForm: document.getElementById('preferencesForm'),
+    preferencesCancel: document.getElementById('preferencesCancel'),
+    preferencesSave: document.getElementById('preferencesSave'),
+    openSensitiveFromPrefs: document.getElementById('openSensitiveFromPrefs'),
+    openEvictionsFromPrefs: document.getElementById('openEvictionsFromPrefs'),
+    evictionModal: document.getElementById('evictionModal'),
+    evictionList: document.getElementById('evictionList'),
+    evictionClear: document.getElementById('evictionClear'),
+    evictionClose: document.getElementById('evictionClose'),
+    trashBtn: document.getElementById('trashBtn'),
+    trashCount: document.getElementById('trashCount'),
+    trashModal: document.getElementById('trashModal'),
+    trashHelp: document.getElementById('trashHelp'),
+    trashList: document.getElementById('trashList'),
+    trashRestoreAll: document.getElementById('trashRestoreAll'),
+    trashEmpty: document.getElementById('trashEmpty'),
+    trashClose: document.getElementById('trashClose'),
+    statsBtn: document.getElementById('statsBtn'),
+    statsModal: document.getElementById('statsModal'),
+    statsHelp: document.getElementById('statsHelp'),
+    statsBody: document.getElementById('statsBody'),
+    statsReset: document.getElementById('statsReset'),
+    statsClose: document.getElementById('statsClose'),
+    collectBtn: document.getElementById('collectBtn'),
+    queueSection: document.getElementById('queueSection'),
+    queueOrder: document.getElementById('queueOrder'),
+    queueClearBtn: document.getElementById('queueClearBtn'),
+    queueCount: document.getElementById('queueCount'),
+    queueHint: document.getElementById('queueHint'),
+    queueList: document.getElementById('queueList'),
+    bulkBar: document.getElementById('bulkBar'),
+    bulkCount: document.getElementById('bulkCount'),
+    bulkPinBtn: document.getElementById('bulkPinBtn'),
+    bulkUnpinBtn: document.getElementById('bulkUnpinBtn'),
+    joinSeparator: document.getElementById('joinSeparator'),
+    bulkCopyBtn: document.getElementById('bulkCopyBtn'),
+    bulkMergeBtn: document.getElementById('bulkMergeBtn'),
+    bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+    bulkClearBtn: document.getElementById('bulkClearBtn'),
+    transferBtn: document.getElementById('transferBtn'),
+    transferModal: document.getElementById('transferModal'),
+    exportForm: document.getElementById('exportForm'),
+    importBtn: document.getElementById('importBtn'),
+    importErrors: document.getElementById('importErrors'),
+    transferClose: document.getElementById('transferClose'),
+    snippetsBtn: document.getElementById('snippetsBtn'),
+    snippetsModal: document.getElementById('snippetsModal'),
+    snippetList: document.getElementById('snippetList'),
+    snippetForm: document.getElementById('snippetForm'),
+    snippetNewBtn: document.getElementById('snippetNewBtn'),
+    snippetsClose: document.getElementById('snippetsClose'),
+    snippetHint: document.getElementById('snippetHint'),
+    snippetInputModal: document.getElementById('snippetInputModal'),
+    snippetInputTitle: document.getElementById('snippetInputTitle'),
+    snippetInputForm: document.getElementById('snippetInputForm'),
+    snippetInputCancel: document.getElementById('snippetInputCancel'),
+    snippetInputOk: document.getElementById('snippetInputOk'),
+    transformMenu: document.getElementById('transformMenu'),
+    transformList: document.getElementById('transformList'),
+    transformSaveAsNew: document.getElementById('transformSaveAsNew'),
+    tagBar: document.getElementById('tagBar'),
+    tagEditor: document.getElementById('tagEditor'),
+    tagEditorTags: document.getElementById('tagEditorTags'),
+    tagEditorInput: document.getElementById('tagEditorInput'),
+    tagSuggestions: document.getElementById('tagSuggestions'),
+    sensitiveBtn: document.getElementById('sensitiveBtn'),
+    sensitiveModal: document.getElementById('sensitiveModal'),
+    sensitiveRules: document.getElementById('sensitiveRules'),
+    customRules: document.getElementById('customRules'),
+    addCustomRuleBtn: document.getElementById('addCustomRuleBtn'),
+    sensitiveCancel: document.getElementById('sensitiveCancel'),
+    sensitiveSave: document.getElementById('sensitiveSave'),
+    previewToggleBtn: document.getElementById('previewToggleBtn'),
+    previewPane: document.getElementById('previewPane'),
+    previewTitle: document.getElementById('previewTitle'),
+    previewZoom: document.getElementById('previewZoom'),
+    previewZoomLevel: document.getElementById('previewZoomLevel'),
+    previewStats: document.getElementById('previewStats'),
+    previewBody: document.getElementById('previewBody'),
     toastContainer: document.getElementById('toastContainer')
 };
 
@@ -56,8 +192,102 @@ function truncateText(text, maxLength = 100) {
     return text.substring(0, maxLength) + '...';
 }
 
+// Format badges for the extra formats an item carries beyond its main type
+function getFormatBadges(item) {
+    const formats = item.formats || {};
+    const badges = [];
+    if (formats.html) badges.push('HTML');
+    if (formats.rtf) badges.push('RTF');
+    if (item.type === 'files') badges.push(`${formats.files.length} file${formats.files.length !== 1 ? 's' : ''}`);
+    return badges;
+}
+
+// Whether pasting as plain text would drop anything
+function hasRichFormats(item) {
+    const formats = item.formats || {};
+    return !!(formats.html || formats.rtf || formats.files);
+}
+
+function getItemPreviewText(item) {
+    if (item.type === 'files') {
+        return item.formats.files.map(file => file.split(/[\\/]/).pop()).join(', ');
+    }
+    return item.content;
+}
+
+// Masked items render both a placeholder and the real text; CSS decides
+// which one is visible (hover, or toggled with Space)
+function renderItemText(item, maxLength) {
+    const text = escapeHtml(truncateText(getItemPreviewText(item), maxLength));
+    if (!item.masked) return text;
+    const mask = '\u2022'.repeat(Math.min(item.content.length, 16));
+    return `<span class="masked-text">${mask}</span><span class="secret-text">${text}</span>`;
+}
+
+function renderSensitiveBadge(item) {
+    if (!item.sensitive) return '';
+    const label = item.expiresAt
+        ? `Expires ${new Date(item.expiresAt).toLocaleTimeString()}`
+        : 'Sensitive';
+    return `
+        <span class="sensitive-badge" title="${escapeAttribute(item.sensitive.ruleName)}">
+            <i class="fas fa-${item.expiresAt ? 'hourglass-half' : 'user-secret'}"></i>
+            ${label}
+        </span>
+    `;
+}
+
+function renderKindIcon(item) {
+    const kind = CONTENT_KINDS[item.kind];
+    if (!kind) return '';
+    return `<i class="fas fa-${kind.icon} kind-icon" title="${kind.label}"></i>`;
+}
+
+// Only text the main process classified as a color gets here, so it is a
+// plain hex or rgb()/hsl() value
+function renderColorSwatch(item) {
+    if (item.kind !== 'color' || item.masked) return '';
+    return `<span class="color-swatch" style="background: ${escapeAttribute(item.content.trim())}"></span>`;
+}
+
+// Buttons for what can be done with this kind of text
+function renderKindActions(item) {
+    switch (item.kind) {
+        case 'url':
+            return `
+                <button class="action-btn kind-action" title="Open in browser" onclick="openItemLink(${item.id})">
+                    <i class="fas fa-external-link-alt"></i>
+                </button>
+            `;
+        case 'email':
+            return `
+                <button class="action-btn kind-action" title="Write an email" onclick="openItemLink(${item.id})">
+                    <i class="fas fa-envelope"></i>
+                </button>
+            `;
+        case 'path':
+            return `
+                <button class="action-btn kind-action" title="Show in file manager" onclick="revealItemPath(${item.id})">
+                    <i class="fas fa-folder-open"></i>
+                </button>
+            `;
+        case 'json':
+            return `
+                <button class="action-btn kind-action" title="Validate JSON" onclick="validateItemJson(${item.id})">
+                    <i class="fas fa-check-double"></i>
+                </button>
+                <button class="action-btn kind-action" title="Paste pretty-printed" onclick="pasteTransformed(${item.id}, 'json-pretty')">
+                    <i class="fas fa-indent"></i>
+                </button>
+            `;
+        default:
+            return '';
+    }
+}
+
 // Toast Notifications
-function showToast(message, type = 'info', duration = 3000) {
+// `action` adds a button to the toast: { label, onClick }
+function showToast(message, type = 'info', duration = 3000, action = null) {
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
 
@@ -70,6 +300,16 @@ function showToast(message, type = 'info', duration = 3000) {
         <i class="${icon}"></i>
         <span>${message}</span>
     `;
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
 
     elements.toastContainer.appendChild(toast);
 
@@ -115,26 +355,50 @@ function hideModal() {
     elements.confirmModal.onclick = null;
 }
 
-// Get filtered and sorted history
+// Get filtered and sorted history. The result is cached until the history,
+// search, type or tag filter changes, since navigation calls this on every key.
 function getFilteredHistory() {
-    // Sort: pinned first, then by timestamp descending within each group
-    const sorted = [...clipboardHistory].sort((a, b) => {
-        if (a.pinned && !b.pinned) return -1;
-        if (!a.pinned && b.pinned) return 1;
-        return new Date(b.timestamp) - new Date(a.timestamp);
+    const cache = filteredHistoryCache;
+    if (cache && cache.history === clipboardHistory && cache.searchTerm === searchTerm &&
+        cache.filterType === filterType && cache.tagFilter === tagFilter) {
+        return cache.items;
+    }
+
+    const matcher = createSearchMatcher(searchTerm);
+    searchMatches = new Map();
+    const items = clipboardHistory.filter(item => {
+        // Type filter: an item type, or a kind of text
+        if (filterType !== 'all' && item.type !== filterType && item.kind !== filterType) return false;
+        // Tag bar
+        if (tagFilter && !hasTag(item, tagFilter)) return false;
+        // Search query
+        const match = matcher.match(item);
+        if (match) searchMatches.set(item.id, match);
+        return !!match;
     });
 
-    return sorted.filter(item => {
-        // Type filter
-        if (filterType !== 'all' && item.type !== filterType) return false;
-        // Search filter
-        if (!searchTerm) return true;
-        const searchLower = searchTerm.toLowerCase();
-        if (item.type === 'text') {
-            return item.content.toLowerCase().includes(searchLower);
+    // Sort: pinned first, then by relevance when searching text, then by
+    // timestamp descending (ISO timestamps compare correctly as strings)
+    items.sort((a, b) => {
+        if (a.pinned && !b.pinned) return -1;
+        if (!a.pinned && b.pinned) return 1;
+        if (matcher.hasTextTerms) {
+            const diff = searchMatches.get(b.id).score - searchMatches.get(a.id).score;
+            if (diff !== 0) return diff;
         }
-        return false;
+        return a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0;
     });
+
+    filteredHistoryCache = { history: clipboardHistory, searchTerm, filterType, tagFilter, items, error: matcher.error };
+    return items;
+}
+
+function renderPreviewText(item, maxLength) {
+    const match = searchMatches.get(item.id);
+    if (item.type === 'text' && !item.masked && match && match.positions.length > 0) {
+        return highlightMatches(item.content, match.positions, maxLength, escapeHtml);
+    }
+    return renderItemText(item, maxLength);
 }
 
 // Render Functions
@@ -149,25 +413,46 @@ function renderCurrentContent() {
         return;
     }
 
-    if (currentContentType === 'text') {
+    const currentItem = clipboardHistory.find(h => h.content === currentContent);
+    elements.currentContent.classList.toggle('masked', !!(currentItem && currentItem.masked));
+
+    if (currentItem && currentItem.masked && currentContentType !== 'image') {
+        elements.currentContent.innerHTML = `
+            <div class="text-content">${renderItemText(currentItem, currentContent.length)}</div>
+        `;
+    } else if (currentContentType === 'text' || currentContentType === 'files') {
         elements.currentContent.innerHTML = `
             <div class="text-content">${escapeHtml(currentContent)}</div>
         `;
     } else if (currentContentType === 'image') {
         elements.currentContent.innerHTML = `
-            <img class="image-content" src="${currentContent}" alt="Clipboard image">
+            <img class="image-content" src="${currentItem ? currentItem.thumbnail : ''}" alt="Clipboard image">
         `;
     }
 }
 
 function renderHistoryList() {
+    renderTagBar();
     const filteredHistory = getFilteredHistory();
+    // Re-rendering must not throw away an edit in progress
+    const editorDraft = readEditorDraft();
+    if (!filteredHistory.some(item => item.id === editingItemId)) editingItemId = null;
     selectedIndex = -1;
+    schedulePreview();
+    selectionAnchor = -1;
+    // Only visible items stay selected, so bulk actions never touch hidden ones
+    selectedIds = new Set(filteredHistory.filter(item => selectedIds.has(item.id)).map(item => item.id));
+    renderBulkBar();
+
+    const searchError = filteredHistoryCache.error;
+    elements.searchInput.classList.toggle('invalid', !!searchError);
+    elements.searchInput.title = searchError || '';
 
     elements.historyCount.textContent = `${filteredHistory.length} item${filteredHistory.length !== 1 ? 's' : ''}`;
 
     if (filteredHistory.length === 0) {
-        const isEmptyDueToFilter = (searchTerm || filterType !== 'all') && clipboardHistory.length > 0;
+        const isEmptyDueToFilter = (searchTerm || filterType !== 'all' || tagFilter) && clipboardHistory.length > 0;
+        renderedItems = new Map();
         elements.historyList.innerHTML = `
             <div class="empty-state">
                 <i class="fas fa-${isEmptyDueToFilter ? 'search' : 'history'}"></i>
@@ -178,36 +463,205 @@ function renderHistoryList() {
         return;
     }
 
-    elements.historyList.innerHTML = filteredHistory.map((item, index) => `
-        <div class="history-item${item.pinned ? ' pinned' : ''}" data-id="${item.id}" data-index="${index}" onclick="handleHistoryItemClick(${item.id})">
-            <div class="item-index-badge">${index + 1}</div>
+    // Forget the heights of rows that are long gone
+    if (rowHeights.size > clipboardHistory.length * 2) {
+        const ids = new Set(clipboardHistory.map(item => item.id));
+        rowHeights = new Map([...rowHeights].filter(([id]) => ids.has(id)));
+    }
+    renderVisibleRows();
+    restoreItemEditor(editorDraft);
+}
+
+// Markup for one list entry. Its position is not part of it, so entries that
+// only moved keep their node.
+function renderHistoryItem(item) {
+    return `
+        <div class="history-item${item.pinned ? ' pinned' : ''}${item.masked ? ' masked' : ''}${item.id === editingItemId ? ' editing' : ''}${revealedIds.has(item.id) ? ' revealed' : ''}${selectedIds.has(item.id) ? ' multi-selected' : ''}" data-id="${item.id}" onclick="handleItemClick(event, Number(this.dataset.index))">
+            <div class="item-index-badge"></div>
             <div class="item-content">
-                ${item.type === 'text' ? `
-                    <div class="item-preview item-text">${escapeHtml(truncateText(item.content, 150))}</div>
+                ${item.id === editingItemId ? renderItemEditor() : item.type === 'image' ? `
+                    <img class="item-image" src="${item.thumbnail}" alt="Clipboard image">
                 ` : `
-                    <img class="item-image" src="${item.content}" alt="Clipboard image">
+                    <div class="item-preview item-text">${item.type === 'files' ? '<i class="fas fa-file"></i> ' : ''}${renderColorSwatch(item)}${renderPreviewText(item, 150)}</div>
                 `}
                 <div class="item-meta">
                     ${item.pinned ? '<i class="fas fa-thumbtack" style="color: #667eea;"></i>' : ''}
+                    ${renderKindIcon(item)}
                     <i class="fas fa-clock"></i>
                     <span>${formatTimestamp(item.timestamp)}</span>
                     <span>&bull;</span>
                     <span>${formatMemory(item.size)}</span>
+                    ${getFormatBadges(item).map(badge => `<span class="format-badge">${badge}</span>`).join('')}
+                    ${renderSensitiveBadge(item)}
+                    ${renderSourceApp(item)}
+                    ${renderItemTags(item)}
                 </div>
             </div>
             <div class="item-actions" onclick="event.stopPropagation()">
                 <button class="action-btn pin${item.pinned ? ' active' : ''}" title="${item.pinned ? 'Unpin' : 'Pin'}" onclick="togglePinItem(${item.id})">
                     <i class="fas fa-thumbtack"></i>
                 </button>
+                <button class="action-btn tag${item.tags && item.tags.length ? ' active' : ''}" title="Tags" onclick="openTagEditor(${item.id}, this)">
+                    <i class="fas fa-tag"></i>
+                </button>
+                ${renderKindActions(item)}
+                ${item.type === 'text' ? `
+                    <button class="action-btn edit" title="Edit (E)" onclick="openItemEditor(${item.id})">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                ` : ''}
+                ${item.type !== 'image' ? `
+                    <button class="action-btn transform" title="Paste as..." onclick="openTransformMenu(${item.id}, this)">
+                        <i class="fas fa-magic"></i>
+                    </button>
+                ` : ''}
+                ${hasRichFormats(item) ? `
+                    <button class="action-btn plain" title="Paste as plain text" onclick="pasteAsPlainText(${item.id})">
+                        <i class="fas fa-font"></i>
+                    </button>
+                ` : ''}
                 <button class="action-btn copy" title="Copy to clipboard" onclick="copyToClipboard(${item.id})">
                     <i class="fas fa-copy"></i>
                 </button>
-                <button class="action-btn delete" title="Delete" onclick="deleteHistoryItem(${item.id})">
+                <button class="action-btn delete" title="Move to trash (Shift-click deletes permanently)" onclick="deleteHistoryItem(${item.id}, event.shiftKey)">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+// The list is virtualized: only the rows in and near the viewport are in the
+// DOM, with padding above and below standing in for the rest. Rows differ in
+// height (images, tags, the editor), so every rendered row is measured and
+// the average height stands in for rows not rendered yet.
+function getRowOffsets(items) {
+    let measured = 0;
+    rowHeights.forEach(height => { measured += height; });
+    const estimate = rowHeights.size > 0 ? measured / rowHeights.size : DEFAULT_ROW_HEIGHT;
+    const offsets = new Array(items.length + 1);
+    offsets[0] = 0;
+    items.forEach((item, index) => {
+        offsets[index + 1] = offsets[index] + (rowHeights.get(item.id) || estimate);
+    });
+    return offsets;
+}
+
+// Index of the row that spans `y`, clamped to the list
+function findRowAt(offsets, y) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid + 1] <= y) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+function scheduleVisibleRows() {
+    if (visibleRowsFrame === null) visibleRowsFrame = requestAnimationFrame(renderVisibleRows);
+}
+
+function renderVisibleRows() {
+    if (visibleRowsFrame !== null) cancelAnimationFrame(visibleRowsFrame);
+    visibleRowsFrame = null;
+    const items = getFilteredHistory();
+    if (items.length === 0) return;
+
+    const list = elements.historyList;
+    let rows = list.querySelector('.history-rows');
+    if (!rows) {
+        list.innerHTML = '<div class="history-rows"></div>';
+        rows = list.firstElementChild;
+    }
+    // The app container scrolls, not the list
+    const viewport = elements.appContainer;
+    const top = viewport.getBoundingClientRect().top - list.getBoundingClientRect().top;
+
+    // Newly measured rows move the ones below them, so settle in a few passes
+    for (let pass = 0; pass < 3; pass++) {
+        const offsets = getRowOffsets(items);
+        const start = findRowAt(offsets, top - ROW_OVERSCAN_PX);
+        const end = findRowAt(offsets, top + viewport.clientHeight + ROW_OVERSCAN_PX) + 1;
+        rows.style.paddingTop = `${offsets[start]}px`;
+        rows.style.paddingBottom = `${offsets[items.length] - offsets[end]}px`;
+        patchRows(rows, items, start, end);
+        if (!measureRows(rows)) break;
+    }
+}
+
+// Updates rows `start` to `end` in place: rows whose markup is unchanged keep
+// their node, changed ones are replaced and the rest are moved into order.
+// The row being edited keeps its node off-screen too, so the draft survives.
+function patchRows(rows, items, start, end) {
+    const previous = renderedItems;
+    renderedItems = new Map();
+
+    const nodes = items.slice(start, end).map(item => {
+        const html = renderHistoryItem(item);
+        const rendered = previous.get(item.id);
+        if (rendered && rendered.html === html) {
+            previous.delete(item.id);
+            renderedItems.set(item.id, rendered);
+            return rendered.node;
+        }
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const node = template.content.firstElementChild;
+        renderedItems.set(item.id, { html, node });
+        return node;
+    });
+
+    previous.forEach((rendered, id) => {
+        rendered.node.remove();
+        if (id === editingItemId) renderedItems.set(id, rendered);
+    });
+
+    nodes.forEach((node, offset) => {
+        const index = start + offset;
+        if (rows.children[offset] !== node) rows.insertBefore(node, rows.children[offset] || null);
+        node.classList.toggle('selected', index === selectedIndex);
+        if (node.dataset.index !== String(index)) {
+            node.dataset.index = index;
+            node.querySelector('.item-index-badge').textContent = index + 1;
+        }
+    });
+}
+
+// Records the height of every rendered row; returns whether any changed
+function measureRows(rows) {
+    let changed = false;
+    for (const node of rows.children) {
+        const id = Number(node.dataset.id);
+        const height = node.offsetHeight;
+        if (rowHeights.get(id) !== height) {
+            rowHeights.set(id, height);
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+function getRowNode(index) {
+    return elements.historyList.querySelector(`.history-item[data-index="${index}"]`);
+}
+
+// Scrolls row `index` into view, rendering it first when it is off-screen,
+// and returns its node
+function revealRow(index) {
+    let node = getRowNode(index);
+    let behavior = 'smooth';
+    if (!node) {
+        const offsets = getRowOffsets(getFilteredHistory());
+        const listTop = elements.historyList.getBoundingClientRect().top - elements.appContainer.getBoundingClientRect().top;
+        elements.appContainer.scrollTop += listTop + offsets[index];
+        renderVisibleRows();
+        node = getRowNode(index);
+        behavior = 'auto';
+    }
+    if (node) node.scrollIntoView({ block: 'nearest', behavior });
+    return node;
 }
 
 function updateStats() {
@@ -220,6 +674,12 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, which is fine in text but not inside a
+// quoted attribute value
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Keyboard navigation helpers
 function updateSelection(newIndex) {
     const filteredHistory = getFilteredHistory();
@@ -235,38 +695,50 @@ function updateSelection(newIndex) {
 
     selectedIndex = newIndex;
 
-    // Add selection to new item
-    const items = elements.historyList.querySelectorAll('.history-item');
-    if (items[selectedIndex]) {
-        items[selectedIndex].classList.add('selected');
-        items[selectedIndex].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-    }
+    // Add selection to new item, which may have to be rendered first
+    const node = revealRow(selectedIndex);
+    if (node) node.classList.add('selected');
+    schedulePreview();
 }
 
-async function selectAndCopy(index) {
+async function selectAndCopy(index, options = {}) {
     const filteredHistory = getFilteredHistory();
     if (index < 0 || index >= filteredHistory.length) return;
 
     const item = filteredHistory[index];
     try {
-        const result = await window.electronAPI.copyToClipboard(item.content, item.type);
+        const result = await window.electronAPI.copyToClipboard(item.id, options);
         if (result.success) {
-            showToast('Copied to clipboard!', 'success', 1500);
+            showToast(options.plainText ? 'Copied as plain text!' : 'Copied to clipboard!', 'success', 1500);
             currentContent = item.content;
             currentContentType = item.type;
             renderCurrentContent();
-            await window.electronAPI.hideWindow(true);
+            await hideAndPaste();
         }
     } catch (error) {
         console.error('Error copying to clipboard:', error);
     }
 }
 
+// Hides the window and pastes into the app behind it. The window is hidden
+// by the time a paste fails, so the notice waits until it is shown again.
+async function hideAndPaste(options = {}) {
+    const result = await window.electronAPI.hideWindow(true, options);
+    if (!result.success) showPasteFailure(result.error);
+}
+
+function showPasteFailure(error) {
+    const show = () => showToast(`Copied, but auto-paste failed: ${escapeHtml(error)}`, 'warning', 8000);
+    if (document.hidden) document.addEventListener('visibilitychange', show, { once: true });
+    else show();
+}
+
 // Event Handlers
 async function loadClipboardHistory() {
     try {
         const result = await window.electronAPI.getClipboardHistory();
         clipboardHistory = result.history || [];
+        historyVersion = result.version;
 
         // Set current content from last item if available
         if (clipboardHistory.length > 0) {
@@ -288,20 +760,20 @@ async function loadClipboardHistory() {
     }
 }
 
-async function handleHistoryItemClick(itemId) {
+async function handleHistoryItemClick(itemId, options = {}) {
     const item = clipboardHistory.find(h => h.id === itemId);
     if (!item) return;
 
     try {
-        const result = await window.electronAPI.copyToClipboard(item.content, item.type);
+        const result = await window.electronAPI.copyToClipboard(item.id, options);
         if (result.success) {
-            showToast('Copied to clipboard!', 'success', 1500);
+            showToast(options.plainText ? 'Copied as plain text!' : 'Copied to clipboard!', 'success', 1500);
             currentContent = item.content;
             currentContentType = item.type;
             renderCurrentContent();
-            await window.electronAPI.hideWindow(true);
+            await hideAndPaste();
         } else {
-            showToast('Failed to copy to clipboard', 'error');
+            showToast(escapeHtml(result.error || 'Failed to copy to clipboard'), 'error');
         }
     } catch (error) {
         console.error('Error copying to clipboard:', error);
@@ -309,12 +781,51 @@ async function handleHistoryItemClick(itemId) {
     }
 }
 
+// Plain click pastes; Ctrl/Cmd-click toggles an item and Shift-click selects a range
+function handleItemClick(event, index) {
+    const item = getFilteredHistory()[index];
+    if (!item) return;
+
+    // Clicks inside the editor are for the editor
+    if (item.id === editingItemId) return;
+
+    // A tag on the item opens its collection
+    const tagChip = event.target.closest('.item-tag');
+    if (tagChip) {
+        setTagFilter(tagChip.dataset.tag);
+        return;
+    }
+
+    // And its source app shows everything copied there
+    if (event.target.closest('.item-source') && item.sourceApp) {
+        filterBySourceApp(item.sourceApp);
+        return;
+    }
+
+    if (event.shiftKey) {
+        selectRange(selectionAnchor >= 0 ? selectionAnchor : Math.max(selectedIndex, 0), index);
+    } else if (event.ctrlKey || event.metaKey) {
+        if (selectedIds.has(item.id)) selectedIds.delete(item.id);
+        else selectedIds.add(item.id);
+        selectionAnchor = index;
+    } else {
+        clearMultiSelection();
+        handleHistoryItemClick(item.id);
+        return;
+    }
+    renderMultiSelection();
+}
+
+function pasteAsPlainText(itemId) {
+    return handleHistoryItemClick(itemId, { plainText: true });
+}
+
 async function copyToClipboard(itemId) {
     const item = clipboardHistory.find(h => h.id === itemId);
     if (!item) return;
 
     try {
-        const result = await window.electronAPI.copyToClipboard(item.content, item.type);
+        const result = await window.electronAPI.copyToClipboard(item.id);
         if (result.success) {
             showToast('Copied to clipboard!', 'success');
             currentContent = item.content;
@@ -333,10 +844,6 @@ async function togglePinItem(itemId) {
     try {
         const result = await window.electronAPI.togglePinItem(itemId);
         if (result.success) {
-            clipboardHistory = result.history;
-            memoryUsage = result.memoryUsage;
-            renderHistoryList();
-            updateStats();
             const item = clipboardHistory.find(h => h.id === itemId);
             showToast(item && item.pinned ? 'Item pinned' : 'Item unpinned', 'success');
         }
@@ -365,20 +872,21 @@ async function clearCurrentClipboard() {
     });
 }
 
-async function clearAllHistory() {
-    showModal('Are you sure you want to clear all clipboard history? This action cannot be undone.', async () => {
+// Clear All moves the history to the trash; a permanent clear (Shift-click)
+// also empties the system clipboard
+async function clearAllHistory(permanent = false) {
+    const message = permanent
+        ? 'Permanently delete all clipboard history and clear the clipboard? This action cannot be undone.'
+        : 'Move all clipboard history to the trash? Sensitive items are deleted permanently.';
+    showModal(message, async () => {
         try {
-            const result = await window.electronAPI.clearHistory();
-            if (result.success) {
-                clipboardHistory = [];
-                currentContent = null;
-                currentContentType = null;
-                memoryUsage = result.memoryUsage;
-
-                renderCurrentContent();
-                renderHistoryList();
-                updateStats();
+            const count = clipboardHistory.length;
+            const result = await window.electronAPI.clearHistory({ permanent });
+            if (!result.success) return;
+            if (permanent || result.trashedIds.length === 0) {
                 showToast('History cleared', 'success');
+            } else {
+                showUndoToast(escapeHtml(describeDeletion({ ...result, deleted: count })), result.trashedIds);
             }
         } catch (error) {
             console.error('Error clearing history:', error);
@@ -387,20 +895,29 @@ async function clearAllHistory() {
     });
 }
 
-async function deleteHistoryItem(itemId) {
+// Deleted items go to the trash, with an Undo on the toast. Sensitive items
+// and Shift-clicks delete permanently, after a confirmation.
+async function deleteHistoryItem(itemId, permanent = false) {
     const item = clipboardHistory.find(h => h.id === itemId);
     if (!item) return;
 
-    const preview = item.type === 'text' ? truncateText(item.content, 50) : 'Image';
-    showModal(`Are you sure you want to delete this ${item.type}: "${preview}"?`, async () => {
+    if (!permanent && !item.sensitive) {
         try {
             const result = await window.electronAPI.deleteHistoryItem(itemId);
-            if (result.success) {
-                clipboardHistory = result.history;
-                memoryUsage = result.memoryUsage;
+            if (result.success) showUndoToast('Item moved to the trash', result.trashedIds);
+        } catch (error) {
+            console.error('Error deleting item:', error);
+            showToast('Error deleting item', 'error');
+        }
+        return;
+    }
 
-                renderHistoryList();
-                updateStats();
+    const preview = item.type === 'image' ? 'Image' :
+                    item.masked ? 'sensitive item' : truncateText(getItemPreviewText(item), 50);
+    showModal(`Permanently delete this ${item.type}: "${preview}"? It will not go to the trash.`, async () => {
+        try {
+            const result = await window.electronAPI.deleteHistoryItem(itemId, { permanent: true });
+            if (result.success) {
                 showToast('Item deleted', 'success');
             }
         } catch (error) {
@@ -410,139 +927,2283 @@ async function deleteHistoryItem(itemId) {
     });
 }
 
-function handleSearch() {
-    searchTerm = elements.searchInput.value.trim();
-    renderHistoryList();
+// Multi-selection and bulk actions
+function selectRange(from, to) {
+    const filteredHistory = getFilteredHistory();
+    selectionAnchor = from;
+    selectedIds = new Set();
+    for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+        if (filteredHistory[i]) selectedIds.add(filteredHistory[i].id);
+    }
 }
 
-function clearSearch() {
-    elements.searchInput.value = '';
-    searchTerm = '';
-    renderHistoryList();
-    elements.searchInput.focus();
+function clearMultiSelection() {
+    if (selectedIds.size === 0) return;
+    selectedIds = new Set();
+    selectionAnchor = -1;
+    renderMultiSelection();
 }
 
-// Filter button handler
-function handleFilterClick(e) {
-    const btn = e.target.closest('.filter-btn');
-    if (!btn) return;
-    const type = btn.dataset.filter;
-    if (type === filterType) return;
-
-    filterType = type;
-    document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    renderHistoryList();
+function renderMultiSelection() {
+    elements.historyList.querySelectorAll('.history-item').forEach(node => {
+        node.classList.toggle('multi-selected', selectedIds.has(Number(node.dataset.id)));
+    });
+    renderBulkBar();
 }
 
-// Event Listeners
-elements.searchInput.addEventListener('input', handleSearch);
-elements.clearSearchBtn.addEventListener('click', clearSearch);
-elements.clearCurrentBtn.addEventListener('click', clearCurrentClipboard);
-elements.clearAllBtn.addEventListener('click', clearAllHistory);
-elements.refreshBtn.addEventListener('click', loadClipboardHistory);
+function renderBulkBar() {
+    const selected = getSelectedItems();
+    const textCount = selected.filter(item => item.type !== 'image').length;
+    elements.bulkBar.classList.toggle('show', selected.length > 0);
+    elements.bulkCount.textContent = `${selected.length} selected`;
+    elements.bulkCopyBtn.disabled = textCount === 0;
+    elements.bulkMergeBtn.disabled = textCount < 2;
+}
 
-// Filter buttons
-document.querySelector('.filter-buttons').addEventListener('click', handleFilterClick);
+// Selected items in list order, which is also the order they are joined in
+function getSelectedItems() {
+    return getFilteredHistory().filter(item => selectedIds.has(item.id));
+}
 
-// Keyboard shortcuts
-document.addEventListener('keydown', (e) => {
-    // Don't handle keyboard navigation when search is focused (except for specific keys)
-    const isSearchFocused = document.activeElement === elements.searchInput;
+function getSelectedIds() {
+    return getSelectedItems().map(item => item.id);
+}
 
-    if (e.ctrlKey || e.metaKey) {
-        switch (e.key) {
-            case 'f':
-                e.preventDefault();
-                elements.searchInput.focus();
-                break;
-            case 'r':
-                e.preventDefault();
-                loadClipboardHistory();
-                break;
+async function bulkPin(pinned) {
+    try {
+        const result = await window.electronAPI.pinHistoryItems(getSelectedIds(), pinned);
+        if (result.success) {
+            showToast(`${selectedIds.size} item${selectedIds.size !== 1 ? 's' : ''} ${pinned ? 'pinned' : 'unpinned'}`, 'success');
         }
-        return;
+    } catch (error) {
+        console.error('Error pinning items:', error);
+        showToast('Error pinning items', 'error');
     }
+}
 
-    if (e.key === 'Escape') {
-        if (elements.confirmModal.classList.contains('show')) {
-            hideModal();
-        } else if (elements.searchInput.value) {
-            clearSearch();
-        } else {
-            window.electronAPI.hideWindow();
+// Like a single delete: to the trash, or permanently after a confirmation
+function bulkDelete(permanent = false) {
+    const itemIds = getSelectedIds();
+    if (itemIds.length === 0) return;
+    const remove = async () => {
+        try {
+            const result = await window.electronAPI.deleteHistoryItems(itemIds, { permanent });
+            if (!result.success) return;
+            selectedIds = new Set();
+            renderHistoryList();
+            if (permanent || result.trashedIds.length === 0) {
+                showToast(`${formatCount(result.deleted, 'item')} deleted`, 'success');
+            } else {
+                showUndoToast(escapeHtml(describeDeletion(result)), result.trashedIds);
+            }
+        } catch (error) {
+            console.error('Error deleting items:', error);
+            showToast('Error deleting items', 'error');
         }
+    };
+    if (!permanent) {
+        remove();
         return;
     }
+    showModal(`Permanently delete ${formatCount(itemIds.length, 'selected item')}? They will not go to the trash.`, remove);
+}
 
-    // Number keys 1-9: quick select (only when not typing in search)
-    if (!isSearchFocused && e.key >= '1' && e.key <= '9') {
-        e.preventDefault();
-        const index = parseInt(e.key) - 1;
-        selectAndCopy(index);
-        return;
+function describeJoinResult(result) {
+    const skipped = result.skipped > 0 ? ` (${result.skipped} image${result.skipped !== 1 ? 's' : ''} skipped)` : '';
+    return `${result.count} item${result.count !== 1 ? 's' : ''}${skipped}`;
+}
+
+async function bulkCopy() {
+    try {
+        const result = await window.electronAPI.copyHistoryItems(getSelectedIds());
+        if (result.success) {
+            currentContent = result.text;
+            currentContentType = 'text';
+            renderCurrentContent();
+            showToast(`Copied ${describeJoinResult(result)}`, 'success');
+        } else {
+            showToast(escapeHtml(result.error || 'Failed to copy items'), 'error');
+        }
+    } catch (error) {
+        console.error('Error copying items:', error);
+        showToast('Error copying items', 'error');
     }
+}
 
-    // Arrow key navigation
-    if (e.key === 'ArrowDown') {
-        e.preventDefault();
-        if (isSearchFocused) elements.searchInput.blur();
-        updateSelection(selectedIndex + 1);
-        return;
+async function bulkMerge() {
+    try {
+        const result = await window.electronAPI.mergeHistoryItems(getSelectedIds());
+        if (result.success) {
+            // The merged entry arrives through onClipboardUpdate
+            clearMultiSelection();
+            showToast(`Merged ${describeJoinResult(result)} into a new entry`, 'success');
+        } else {
+            showToast(escapeHtml(result.error || 'Failed to merge items'), 'error');
+        }
+    } catch (error) {
+        console.error('Error merging items:', error);
+        showToast('Error merging items', 'error');
     }
+}
 
-    if (e.key === 'ArrowUp') {
-        e.preventDefault();
-        if (isSearchFocused) elements.searchInput.blur();
-        if (selectedIndex <= 0) {
-            // Go back to search
-            selectedIndex = -1;
-            const prevSelected = elements.historyList.querySelector('.history-item.selected');
-            if (prevSelected) prevSelected.classList.remove('selected');
-            elements.searchInput.focus();
+async function changeJoinSeparator() {
+    try {
+        const result = await window.electronAPI.setSettings({ joinSeparator: elements.joinSeparator.value });
+        if (result.success) {
+            currentSettings = result.settings;
         } else {
-            updateSelection(selectedIndex - 1);
+            elements.joinSeparator.value = currentSettings.joinSeparator;
+            showToast(escapeHtml(Object.values(result.errors).join(' ')), 'error');
         }
-        return;
+    } catch (error) {
+        console.error('Error changing separator:', error);
+        showToast('Error changing separator', 'error');
     }
+}
 
-    // Enter: confirm selection
-    if (e.key === 'Enter' && !isSearchFocused && selectedIndex >= 0) {
-        e.preventDefault();
-        selectAndCopy(selectedIndex);
-        return;
+async function loadSettings() {
+    try {
+        currentSettings = await window.electronAPI.getSettings();
+        elements.joinSeparator.value = currentSettings.joinSeparator;
+        applyPreviewVisibility();
+    } catch (error) {
+        console.error('Error loading settings:', error);
     }
-});
+}
 
-// Electron IPC event listeners
-window.electronAPI.onClipboardUpdate((event, data) => {
-    const isNewItem = data.history.length > clipboardHistory.length;
-    clipboardHistory = data.history;
-    currentContent = data.currentContent;
-    currentContentType = data.contentType || null;
-    memoryUsage = data.memoryUsage;
+// Export / import
+function openTransfer() {
+    const form = elements.exportForm;
+    form.querySelector('[data-error-for="export"]').textContent = '';
+    elements.importErrors.innerHTML = '';
+    form.elements.scope.options[2].textContent = `Current search and filter (${getFilteredHistory().length} items)`;
+    elements.transferModal.classList.add('show');
+}
 
-    renderCurrentContent();
-    renderHistoryList();
-    updateStats();
+function closeTransfer() {
+    elements.transferModal.classList.remove('show');
+}
 
-    // Notify user if new item arrived but is hidden by search filter
-    if (isNewItem && (searchTerm || filterType !== 'all')) {
-        const newest = clipboardHistory[0];
-        if (newest) {
-            const isHiddenByType = filterType !== 'all' && newest.type !== filterType;
-            const isHiddenBySearch = searchTerm && newest.type === 'text' && !newest.content.toLowerCase().includes(searchTerm.toLowerCase());
-            const isHiddenByImageSearch = searchTerm && newest.type === 'image';
-            if (isHiddenByType || isHiddenBySearch || isHiddenByImageSearch) {
-                showToast(`New clipboard ${newest.type} (hidden by filter)`, 'info');
-            }
+// Date inputs give local calendar days; the range covers the whole "to" day
+function dayBoundary(value, addDays = 0) {
+    if (!value) return undefined;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day + addDays).toISOString();
+}
+
+async function exportHistory() {
+    const form = elements.exportForm.elements;
+    const error = elements.exportForm.querySelector('[data-error-for="export"]');
+    const options = {
+        format: form.format.value,
+        scope: form.scope.value,
+        from: dayBoundary(form.from.value),
+        to: dayBoundary(form.to.value, 1),
+        includeSensitive: form.includeSensitive.checked
+    };
+    if (options.scope === 'filtered') {
+        options.itemIds = getFilteredHistory().map(item => item.id);
+    }
+
+    error.textContent = '';
+    try {
+        const result = await window.electronAPI.exportHistory(options);
+        if (result.success) {
+            showToast(`Exported ${result.count} item${result.count !== 1 ? 's' : ''}`, 'success');
+        } else if (!result.canceled) {
+            error.textContent = result.error || 'Export failed';
         }
+    } catch (exportError) {
+        console.error('Error exporting history:', exportError);
+        showToast('Error exporting history', 'error');
     }
-});
+}
 
-// Window drag and scroll handling
-function setupWindowDragAndScroll() {
-    const header = document.querySelector('.header');
+async function importHistory() {
+    elements.importErrors.innerHTML = '';
+    try {
+        const result = await window.electronAPI.importHistory();
+        if (result.success) {
+            const details = [
+                result.duplicates > 0 ? `${result.duplicates} already in history` : '',
+                result.skipped > 0 ? `${result.skipped} skipped as sensitive` : ''
+            ].filter(Boolean).join(', ');
+            showToast(`Imported ${result.added} item${result.added !== 1 ? 's' : ''}${details ? ` (${details})` : ''}`, 'success');
+        } else if (!result.canceled) {
+            elements.importErrors.innerHTML = result.errors.map(message => `<li>${escapeHtml(message)}</li>`).join('');
+        }
+    } catch (error) {
+        console.error('Error importing history:', error);
+        showToast('Error importing history', 'error');
+    }
+}
+
+// History persistence
+async function loadPersistence() {
+    try {
+        const result = await window.electronAPI.getPersistence();
+        elements.persistenceMode.value = result.mode;
+        const control = elements.persistenceMode.closest('.persistence-control');
+        control.classList.toggle('disabled', !result.available);
+        if (!result.available) {
+            control.title = `History can only be kept in memory: ${result.error}`;
+        }
+    } catch (error) {
+        console.error('Error loading persistence mode:', error);
+    }
+}
+
+async function handlePersistenceChange() {
+    const mode = elements.persistenceMode.value;
+    try {
+        const result = await window.electronAPI.setSettings({ persistenceMode: mode });
+        if (result.success) {
+            const messages = {
+                off: 'History is kept in memory only',
+                pinned: 'Pinned items will be kept across restarts',
+                all: 'History will be kept across restarts'
+            };
+            showToast(messages[mode], 'success');
+        } else {
+            showToast(`Could not change persistence: ${escapeHtml(result.errors.persistenceMode)}`, 'error');
+            loadPersistence();
+        }
+    } catch (error) {
+        console.error('Error changing persistence mode:', error);
+        showToast('Error changing persistence mode', 'error');
+        loadPersistence();
+    }
+}
+
+// Sensitive content rules
+function renderActionOptions(selected) {
+    return sensitiveActions.map(action => `
+        <option value="${action}"${action === selected ? ' selected' : ''}>${
+            action === 'skip' ? "Don't record" : action === 'mask' ? 'Mask' : 'Delete after'
+        }</option>
+    `).join('');
+}
+
+function renderRuleRow(rule, isCustom) {
+    return `
+        <div class="rule-row" data-rule-id="${escapeAttribute(rule.id || '')}">
+            <input type="checkbox" class="rule-enabled" title="Enabled"${rule.enabled !== false ? ' checked' : ''}>
+            ${isCustom ? `
+                <input type="text" class="rule-name-input" placeholder="Name" value="${escapeAttribute(rule.name || '')}">
+                <input type="text" class="rule-pattern" placeholder="Regular expression" value="${escapeAttribute(rule.pattern || '')}">
+            ` : `
+                <span class="rule-name">${escapeHtml(rule.name)}</span>
+            `}
+            <select class="rule-action">${renderActionOptions(rule.action)}</select>
+            <input type="number" class="rule-seconds" min="1" title="Seconds" value="${rule.expireSeconds || 60}"${rule.action === 'expire' ? '' : ' disabled'}>
+            ${isCustom ? `
+                <button class="action-btn delete" title="Remove pattern" onclick="this.closest('.rule-row').remove()">
+                    <i class="fas fa-trash"></i>
+                </button>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function openSensitiveRules() {
+    try {
+        const config = await window.electronAPI.getSensitiveConfig();
+        sensitiveActions = config.actions;
+        elements.sensitiveRules.innerHTML = config.rules.map(rule => renderRuleRow(rule, false)).join('');
+        elements.customRules.innerHTML = config.customRules.map(rule => renderRuleRow(rule, true)).join('');
+        elements.sensitiveModal.classList.add('show');
+    } catch (error) {
+        console.error('Error loading sensitive content rules:', error);
+        showToast('Error loading sensitive content rules', 'error');
+    }
+}
+
+function closeSensitiveRules() {
+    elements.sensitiveModal.classList.remove('show');
+}
+
+function readRuleRow(row) {
+    return {
+        enabled: row.querySelector('.rule-enabled').checked,
+        action: row.querySelector('.rule-action').value,
+        expireSeconds: parseInt(row.querySelector('.rule-seconds').value, 10)
+    };
+}
+
+async function saveSensitiveRules() {
+    const config = { rules: {}, customRules: [] };
+    elements.sensitiveRules.querySelectorAll('.rule-row').forEach(row => {
+        config.rules[row.dataset.ruleId] = readRuleRow(row);
+    });
+    elements.customRules.querySelectorAll('.rule-row').forEach(row => {
+        config.customRules.push({
+            name: row.querySelector('.rule-name-input').value.trim(),
+            pattern: row.querySelector('.rule-pattern').value,
+            ...readRuleRow(row)
+        });
+    });
+
+    try {
+        const result = await window.electronAPI.setSettings({ sensitive: config });
+        if (result.success) {
+            closeSensitiveRules();
+            showToast('Sensitive content rules saved', 'success');
+        } else {
+            const message = Object.values(result.errors).join('\n');
+            showToast(escapeHtml(message).replace(/\n/g, '<br>'), 'error', 5000);
+        }
+    } catch (error) {
+        console.error('Error saving sensitive content rules:', error);
+        showToast('Error saving sensitive content rules', 'error');
+    }
+}
+
+// Preferences
+const NUMERIC_SETTINGS = [
+    'pollIntervalMs', 'pasteDelayMs', 'maxMemoryMB', 'windowWidth', 'windowHeight',
+    'maxAgeDays', 'maxItems', 'maxTextMB', 'maxImageMB', 'maxItemSizeMB', 'trashHours', 'maxTrashMB', 'trayItemCount'
+];
+const BOOLEAN_SETTINGS = ['clearOnLock', 'clearOnSleep', 'clearOnQuit', 'trayPasteOnChoose'];
+// Lists edited as one entry per line, and maps as one "key = value" per line
+const LIST_SETTINGS = ['ignoredApps'];
+const MAP_SETTINGS = ['pasteKeyOverrides'];
+const FORM_SETTINGS = [
+    'hotkey', 'pasteNextHotkey', 'pickerHotkey', 'persistenceMode', 'pasteBackend', 'pasteCommand',
+    ...NUMERIC_SETTINGS, ...BOOLEAN_SETTINGS, ...LIST_SETTINGS, ...MAP_SETTINGS
+];
+
+function formatMapSetting(map) {
+    return Object.entries(map).map(([key, value]) => `${key} = ${value}`).join('\n');
+}
+
+// Lines without "=" keep an empty value, which main reports
+function parseMapSetting(text) {
+    const map = {};
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const separator = line.lastIndexOf('=');
+        if (separator === -1) map[line] = '';
+        else map[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+    return map;
+}
+
+function showPreferenceErrors(errors = {}) {
+    elements.preferencesForm.querySelectorAll('.field-error').forEach(error => {
+        error.textContent = errors[error.dataset.errorFor] || '';
+    });
+    elements.preferencesForm.querySelectorAll('input, select, textarea').forEach(input => {
+        input.classList.toggle('invalid', !!errors[input.name]);
+    });
+}
+
+async function openPreferences() {
+    try {
+        currentSettings = await window.electronAPI.getSettings();
+        const form = elements.preferencesForm;
+        FORM_SETTINGS.forEach(key => {
+            if (BOOLEAN_SETTINGS.includes(key)) form.elements[key].checked = currentSettings[key];
+            else if (LIST_SETTINGS.includes(key)) form.elements[key].value = currentSettings[key].join('\n');
+            else if (MAP_SETTINGS.includes(key)) form.elements[key].value = formatMapSetting(currentSettings[key]);
+            else form.elements[key].value = currentSettings[key];
+        });
+        showPreferenceErrors();
+        elements.preferencesModal.classList.add('show');
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+        showToast('Error loading preferences', 'error');
+    }
+}
+
+function closePreferences() {
+    elements.preferencesModal.classList.remove('show');
+}
+
+async function savePreferences() {
+    const form = elements.preferencesForm;
+    const changes = {};
+    FORM_SETTINGS.forEach(key => {
+        const raw = form.elements[key].value;
+        if (LIST_SETTINGS.includes(key)) {
+            const list = raw.split('\n').map(line => line.trim()).filter(Boolean);
+            if (list.join('\n') !== currentSettings[key].join('\n')) changes[key] = list;
+            return;
+        }
+        if (MAP_SETTINGS.includes(key)) {
+            const map = parseMapSetting(raw);
+            if (formatMapSetting(map) !== formatMapSetting(currentSettings[key])) changes[key] = map;
+            return;
+        }
+        const value = BOOLEAN_SETTINGS.includes(key) ? form.elements[key].checked
+            : NUMERIC_SETTINGS.includes(key) ? Number(raw) : raw;
+        if (value !== currentSettings[key]) changes[key] = value;
+    });
+
+    if (Object.keys(changes).length === 0) {
+        closePreferences();
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.setSettings(changes);
+        if (result.success) {
+            currentSettings = result.settings;
+            closePreferences();
+            showToast('Preferences saved', 'success');
+        } else {
+            showPreferenceErrors(result.errors);
+        }
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+        showToast('Error saving preferences', 'error');
+    }
+}
+
+// Turn a key press into an Electron accelerator string, e.g. "Command+Shift+V"
+function acceleratorFromEvent(e) {
+    const isMac = navigator.platform.toUpperCase().includes('MAC');
+    const parts = [];
+    if (e.metaKey) parts.push(isMac ? 'Command' : 'Super');
+    if (e.ctrlKey) parts.push('Control');
+    if (e.altKey) parts.push(isMac ? 'Option' : 'Alt');
+    if (e.shiftKey) parts.push('Shift');
+
+    let key = null;
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+    else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(e.key)) key = e.key;
+    else if (e.key.startsWith('Arrow')) key = e.key.slice(5);
+    else if (e.key === ' ') key = 'Space';
+    else if (['Tab', 'Enter', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key)) key = e.key;
+    else if (e.key.length === 1) key = e.key;
+
+    if (!key || parts.length === 0) return null;
+    return [...parts, key].join('+');
+}
+
+function handleHotkeyCapture(e) {
+    if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+        e.target.blur();
+        return;
+    }
+    const accelerator = acceleratorFromEvent(e);
+    if (accelerator) e.target.value = accelerator;
+}
+
+// Snippet library
+async function loadSnippets() {
+    try {
+        snippets = await window.electronAPI.getSnippets();
+        updateSnippetHint();
+    } catch (error) {
+        console.error('Error loading snippets:', error);
+    }
+}
+
+function findSnippetByAbbreviation(text) {
+    if (!text) return null;
+    return snippets.find(snippet => snippet.abbreviation && snippet.abbreviation === text) || null;
+}
+
+function updateSnippetHint() {
+    const snippet = findSnippetByAbbreviation(elements.searchInput.value.trim());
+    elements.snippetHint.classList.toggle('show', !!snippet);
+    elements.snippetHint.innerHTML = snippet
+        ? `<i class="fas fa-file-code"></i> Press Enter to insert snippet "${escapeHtml(snippet.name)}"`
+        : '';
+}
+
+function renderSnippetList(editingId) {
+    if (snippets.length === 0) {
+        elements.snippetList.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-file-code"></i>
+                <h3>No snippets yet</h3>
+                <p>Write reusable text on the right</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.snippetList.innerHTML = snippets.map(snippet => `
+        <div class="snippet-row${snippet.id === editingId ? ' editing' : ''}" onclick="editSnippet('${snippet.id}')">
+            <div class="snippet-info">
+                <div class="snippet-name">
+                    ${escapeHtml(snippet.name)}
+                    ${snippet.abbreviation ? `<span class="snippet-abbr">${escapeHtml(snippet.abbreviation)}</span>` : ''}
+                </div>
+                <div class="snippet-preview">${escapeHtml(truncateText(snippet.body, 80))}</div>
+            </div>
+            <div class="item-actions" onclick="event.stopPropagation()">
+                <button class="action-btn copy" title="Insert" onclick="insertSnippet('${snippet.id}')">
+                    <i class="fas fa-paste"></i>
+                </button>
+                <button class="action-btn delete" title="Delete" onclick="deleteSnippet('${snippet.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function showSnippetErrors(errors = {}) {
+    elements.snippetForm.querySelectorAll('.field-error').forEach(error => {
+        error.textContent = errors[error.dataset.errorFor] || '';
+    });
+}
+
+function editSnippet(snippetId) {
+    const snippet = snippets.find(s => s.id === snippetId);
+    const form = elements.snippetForm.elements;
+    form.id.value = snippet ? snippet.id : '';
+    form.name.value = snippet ? snippet.name : '';
+    form.abbreviation.value = snippet ? snippet.abbreviation : '';
+    form.body.value = snippet ? snippet.body : '';
+    showSnippetErrors();
+    renderSnippetList(snippetId);
+    form.name.focus();
+}
+
+async function openSnippets() {
+    await loadSnippets();
+    editSnippet(null);
+    elements.snippetsModal.classList.add('show');
+    elements.snippetForm.elements.name.focus();
+}
+
+function closeSnippets() {
+    elements.snippetsModal.classList.remove('show');
+}
+
+async function saveSnippet() {
+    const form = elements.snippetForm.elements;
+    const snippet = {
+        id: form.id.value || undefined,
+        name: form.name.value,
+        abbreviation: form.abbreviation.value,
+        body: form.body.value
+    };
+
+    try {
+        const result = await window.electronAPI.saveSnippet(snippet);
+        if (result.success) {
+            await loadSnippets();
+            editSnippet(result.snippet.id);
+            showToast('Snippet saved', 'success');
+        } else {
+            showSnippetErrors(result.errors);
+        }
+    } catch (error) {
+        console.error('Error saving snippet:', error);
+        showToast('Error saving snippet', 'error');
+    }
+}
+
+function deleteSnippet(snippetId) {
+    const snippet = snippets.find(s => s.id === snippetId);
+    if (!snippet) return;
+
+    showModal(`Are you sure you want to delete the snippet "${snippet.name}"?`, async () => {
+        try {
+            const result = await window.electronAPI.deleteSnippet(snippetId);
+            if (result.success) {
+                await loadSnippets();
+                editSnippet(null);
+                showToast('Snippet deleted', 'success');
+            }
+        } catch (error) {
+            console.error('Error deleting snippet:', error);
+            showToast('Error deleting snippet', 'error');
+        }
+    });
+}
+
+// Ask for every {input:Name} field, then call onSubmit with { Name: value }
+function promptSnippetInputs(snippet, onSubmit) {
+    elements.snippetInputTitle.textContent = snippet.name;
+    elements.snippetInputForm.innerHTML = snippet.inputs.map(name => `
+        <label class="pref-field">
+            <span>${escapeHtml(name)}</span>
+            <input type="text" data-input-name="${escapeAttribute(name)}">
+        </label>
+    `).join('') + '<button type="submit" hidden></button>';
+    elements.snippetInputModal.classList.add('show');
+
+    const firstInput = elements.snippetInputForm.querySelector('input');
+    if (firstInput) firstInput.focus();
+
+    const submit = () => {
+        const inputs = {};
+        elements.snippetInputForm.querySelectorAll('input[data-input-name]').forEach(input => {
+            inputs[input.dataset.inputName] = input.value;
+        });
+        closeSnippetInputs();
+        onSubmit(inputs);
+    };
+    elements.snippetInputOk.onclick = submit;
+    elements.snippetInputForm.onsubmit = (e) => {
+        e.preventDefault();
+        submit();
+    };
+}
+
+function closeSnippetInputs() {
+    elements.snippetInputModal.classList.remove('show');
+    elements.snippetInputOk.onclick = null;
+    elements.snippetInputForm.onsubmit = null;
+}
+
+function insertSnippet(snippetId) {
+    const snippet = snippets.find(s => s.id === snippetId);
+    if (!snippet) return;
+
+    if (snippet.inputs.length > 0) {
+        promptSnippetInputs(snippet, inputs => expandAndPasteSnippet(snippet, inputs));
+    } else {
+        expandAndPasteSnippet(snippet, {});
+    }
+}
+
+// Same flow as picking a history item: copy, then hide and auto-paste
+async function expandAndPasteSnippet(snippet, inputs) {
+    try {
+        const result = await window.electronAPI.expandSnippet(snippet.id, inputs);
+        if (result.success) {
+            showToast('Snippet copied!', 'success', 1500);
+            closeSnippets();
+            clearSearch();
+            currentContent = result.text;
+            currentContentType = 'text';
+            renderCurrentContent();
+            await hideAndPaste({ cursorOffset: result.cursorOffset });
+        } else {
+            showToast(escapeHtml(result.error || 'Failed to insert snippet'), 'error');
+        }
+    } catch (error) {
+        console.error('Error inserting snippet:', error);
+        showToast('Error inserting snippet', 'error');
+    }
+}
+
+// Opens a popup menu below `anchor`, flipped/clamped to stay inside the window
+function showPopover(popover, anchor) {
+    popover.classList.add('show');
+    const rect = anchor.getBoundingClientRect();
+    const top = rect.bottom + 4 + popover.offsetHeight > window.innerHeight
+        ? Math.max(8, rect.top - popover.offsetHeight - 4)
+        : rect.bottom + 4;
+    popover.style.top = `${top}px`;
+    popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8))}px`;
+}
+
+// "Paste as..." transforms
+async function loadTransforms() {
+    try {
+        transforms = await window.electronAPI.getTransforms();
+    } catch (error) {
+        console.error('Error loading transforms:', error);
+    }
+}
+
+function openTransformMenu(itemId, anchor) {
+    const item = clipboardHistory.find(h => h.id === itemId);
+    if (!item || item.type === 'image' || transforms.length === 0) return;
+    transformTargetId = itemId;
+
+    let group = null;
+    elements.transformList.innerHTML = transforms.map(transform => {
+        const header = transform.group !== group ? `<div class="transform-group">${escapeHtml(transform.group)}</div>` : '';
+        group = transform.group;
+        return `${header}<button class="transform-option" data-transform-id="${transform.id}">${escapeHtml(transform.label)}</button>`;
+    }).join('');
+
+    showPopover(elements.transformMenu, anchor);
+    elements.transformMenu.querySelector('.transform-option').focus();
+}
+
+function closeTransformMenu() {
+    elements.transformMenu.classList.remove('show');
+    transformTargetId = null;
+}
+
+function isTransformMenuOpen() {
+    return elements.transformMenu.classList.contains('show');
+}
+
+function moveTransformFocus(step) {
+    const options = [...elements.transformList.querySelectorAll('.transform-option')];
+    const index = options.indexOf(document.activeElement);
+    const next = options[(index + step + options.length) % options.length];
+    if (next) next.focus();
+}
+
+// Same flow as picking a history item: copy the result, then hide and auto-paste
+function applyTransformToItem(transformId) {
+    const itemId = transformTargetId;
+    const saveAsNew = elements.transformSaveAsNew.checked;
+    closeTransformMenu();
+    return pasteTransformed(itemId, transformId, { saveAsNew });
+}
+
+async function pasteTransformed(itemId, transformId, { saveAsNew = false } = {}) {
+    try {
+        const result = await window.electronAPI.applyTransform(itemId, transformId, { saveAsNew });
+        if (result.success) {
+            showToast('Transformed and copied!', 'success', 1500);
+            currentContent = result.text;
+            currentContentType = 'text';
+            renderCurrentContent();
+            await hideAndPaste();
+        } else {
+            showToast(escapeHtml(result.error || 'Transform failed'), 'error');
+        }
+    } catch (error) {
+        console.error('Error applying transform:', error);
+        showToast('Error applying transform', 'error');
+    }
+}
+
+// Tags and collections. Tags are compared case-insensitively, like in the
+// main process, and never contain quotes, so they are safe in data-tag="..."
+function hasTag(item, tag) {
+    const key = tag.toLowerCase();
+    return !!item.tags && item.tags.some(t => t.toLowerCase() === key);
+}
+
+// Every tag in use with its item count, sorted by name
+function getAllTags() {
+    const tags = new Map();
+    for (const item of clipboardHistory) {
+        for (const tag of item.tags || []) {
+            const entry = tags.get(tag.toLowerCase()) || { name: tag, count: 0 };
+            entry.count++;
+            tags.set(tag.toLowerCase(), entry);
+        }
+    }
+    return [...tags.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+function isTagFilter(tag) {
+    return !!tagFilter && tag.toLowerCase() === tagFilter.toLowerCase();
+}
+
+function renderSourceApp(item) {
+    if (!item.sourceApp) return '';
+    return `<span class="item-source" title="Show everything copied in ${escapeAttribute(item.sourceApp)}"><i class="fas fa-window-maximize"></i> ${escapeHtml(item.sourceApp)}</span>`;
+}
+
+function renderItemTags(item) {
+    return (item.tags || []).map(tag => `
+        <span class="item-tag${isTagFilter(tag) ? ' active' : ''}" data-tag="${escapeAttribute(tag)}" title="Show this collection">${escapeHtml(tag)}</span>
+    `).join('');
+}
+
+// One chip per tag; the bar stays hidden until something is tagged
+function renderTagBar() {
+    const tags = getAllTags();
+    // The collection is gone once its last item is untagged or deleted
+    if (tagFilter && !tags.some(tag => isTagFilter(tag.name))) {
+        tagFilter = null;
+        renamingTag = false;
+    }
+
+    elements.tagBar.classList.toggle('show', tags.length > 0);
+    elements.tagBar.innerHTML = '<i class="fas fa-tags"></i>' + tags.map(tag => {
+        if (isTagFilter(tag.name) && renamingTag) {
+            return `<input type="text" class="tag-rename-input" value="${escapeAttribute(tag.name)}" maxlength="40" title="Enter renames, Escape cancels">`;
+        }
+        return `
+            <button class="tag-chip${isTagFilter(tag.name) ? ' active' : ''}" data-tag="${escapeAttribute(tag.name)}">
+                ${escapeHtml(tag.name)}<span class="tag-count">${tag.count}</span>
+            </button>
+        `;
+    }).join('') + (tagFilter && !renamingTag ? `
+        <button class="tag-bar-action" data-action="rename" title="Rename this tag"><i class="fas fa-pen"></i></button>
+        <button class="tag-bar-action" data-action="remove" title="Remove this tag from all items"><i class="fas fa-times"></i></button>
+    ` : '');
+
+    const input = elements.tagBar.querySelector('.tag-rename-input');
+    if (input) {
+        input.focus();
+        input.select();
+    }
+}
+
+// Clicking the active collection again shows everything
+function setTagFilter(tag) {
+    tagFilter = tag && !isTagFilter(tag) ? tag : null;
+    renamingTag = false;
+    renderHistoryList();
+}
+
+function handleTagBarClick(e) {
+    const chip = e.target.closest('.tag-chip');
+    const action = e.target.closest('.tag-bar-action');
+    if (chip) {
+        setTagFilter(chip.dataset.tag);
+    } else if (action && action.dataset.action === 'rename') {
+        renamingTag = true;
+        renderTagBar();
+    } else if (action && action.dataset.action === 'remove') {
+        const count = clipboardHistory.filter(item => hasTag(item, tagFilter)).length;
+        const name = tagFilter;
+        showModal(`Remove the tag "${name}" from ${count} item${count !== 1 ? 's' : ''}? The items themselves are kept.`,
+            () => renameTag(name, ''));
+    }
+}
+
+function handleTagRenameKey(e) {
+    if (!e.target.classList.contains('tag-rename-input')) return;
+    // Typing here must not trigger the list shortcuts
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        const value = e.target.value.trim().replace(/\s+/g, ' ');
+        renamingTag = false;
+        if (value && value !== tagFilter) renameTag(tagFilter, value);
+        else renderTagBar();
+    } else if (e.key === 'Escape') {
+        renamingTag = false;
+        renderTagBar();
+    }
+}
+
+// An empty `newName` removes the tag from every item
+async function renameTag(name, newName) {
+    try {
+        const result = await window.electronAPI.renameTag(name, newName);
+        if (result.success) {
+            tagFilter = newName || null;
+            renderHistoryList();
+            showToast(newName ? 'Tag renamed' : 'Tag removed', 'success');
+        } else {
+            showToast(escapeHtml(result.error || 'Could not change the tag'), 'error');
+        }
+    } catch (error) {
+        console.error('Error renaming tag:', error);
+        showToast('Error renaming tag', 'error');
+    }
+}
+
+function openTagEditor(itemId, anchor) {
+    if (!clipboardHistory.some(h => h.id === itemId)) return;
+    tagEditorItemId = itemId;
+    elements.tagSuggestions.innerHTML = getAllTags()
+        .map(tag => `<option value="${escapeAttribute(tag.name)}">`)
+        .join('');
+    elements.tagEditorInput.value = '';
+    renderTagEditor();
+    showPopover(elements.tagEditor, anchor);
+    elements.tagEditorInput.focus();
+}
+
+function renderTagEditor() {
+    const item = clipboardHistory.find(h => h.id === tagEditorItemId);
+    const tags = (item && item.tags) || [];
+    elements.tagEditorTags.innerHTML = tags.length > 0
+        ? tags.map(tag => `
+            <span class="tag-chip active">
+                ${escapeHtml(tag)}
+                <button class="tag-remove" data-tag="${escapeAttribute(tag)}" title="Remove tag"><i class="fas fa-times"></i></button>
+            </span>
+        `).join('')
+        : '<span class="tag-editor-empty">No tags yet</span>';
+}
+
+function closeTagEditor() {
+    elements.tagEditor.classList.remove('show');
+    tagEditorItemId = null;
+}
+
+function isTagEditorOpen() {
+    return elements.tagEditor.classList.contains('show');
+}
+
+async function saveItemTags(tags) {
+    try {
+        const result = await window.electronAPI.setItemTags(tagEditorItemId, tags);
+        if (result.success) {
+            renderTagEditor();
+            return true;
+        }
+        showToast(escapeHtml(result.error || 'Could not save tags'), 'error');
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        showToast('Error saving tags', 'error');
+    }
+    return false;
+}
+
+async function addTagFromInput() {
+    const item = clipboardHistory.find(h => h.id === tagEditorItemId);
+    const value = elements.tagEditorInput.value.trim();
+    if (!item || !value) return;
+    if (hasTag(item, value) || await saveItemTags([...(item.tags || []), value])) {
+        elements.tagEditorInput.value = '';
+    }
+}
+
+function removeItemTag(tag) {
+    const item = clipboardHistory.find(h => h.id === tagEditorItemId);
+    if (item) saveItemTags((item.tags || []).filter(t => t !== tag));
+}
+
+function handleTagEditorKey(e) {
+    // Typing here must not trigger the list shortcuts
+    e.stopPropagation();
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addTagFromInput();
+    } else if (e.key === 'Backspace' && !elements.tagEditorInput.value) {
+        const item = clipboardHistory.find(h => h.id === tagEditorItemId);
+        if (item && item.tags) removeItemTag(item.tags[item.tags.length - 1]);
+    } else if (e.key === 'Escape') {
+        closeTagEditor();
+    }
+}
+
+// Inline editor: edits a text item in place, or saves the result as a new entry
+function renderItemEditor() {
+    const modifier = navigator.platform.toUpperCase().includes('MAC') ? 'Cmd' : 'Ctrl';
+    return `
+        <div class="item-editor" onclick="event.stopPropagation()">
+            <textarea class="item-editor-text" spellcheck="false" onkeydown="handleItemEditorKey(event)"></textarea>
+            <div class="item-editor-footer">
+                <label class="item-editor-option">
+                    <input type="checkbox" class="item-editor-new"> Save as new entry
+                </label>
+                <span class="item-editor-hint">${modifier}+Enter saves, ${modifier}+Shift+Enter pastes, Esc cancels</span>
+                <div class="item-editor-actions">
+                    <button class="btn btn-secondary" onclick="closeItemEditor()">Cancel</button>
+                    <button class="btn btn-secondary" onclick="saveItemEdit(false)">Save</button>
+                    <button class="btn btn-primary" onclick="saveItemEdit(true)">
+                        <i class="fas fa-paste"></i> Paste edited
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Found through renderedItems, since the row may be scrolled out of the DOM
+function getItemEditor() {
+    const rendered = renderedItems.get(editingItemId);
+    return rendered ? rendered.node.querySelector('.item-editor') : null;
+}
+
+// What the user has typed so far, so a re-render can put it back
+function readEditorDraft() {
+    const editor = getItemEditor();
+    if (!editor) return null;
+    const textarea = editor.querySelector('.item-editor-text');
+    return {
+        itemId: editingItemId,
+        text: textarea.value,
+        selectionStart: textarea.selectionStart,
+        selectionEnd: textarea.selectionEnd,
+        scrollTop: textarea.scrollTop,
+        saveAsNew: editor.querySelector('.item-editor-new').checked,
+        focused: editor.contains(document.activeElement)
+    };
+}
+
+function restoreItemEditor(draft) {
+    const editor = getItemEditor();
+    if (!editor) return;
+    const textarea = editor.querySelector('.item-editor-text');
+    if (draft && draft.itemId === editingItemId) {
+        textarea.value = draft.text;
+        textarea.scrollTop = draft.scrollTop;
+        editor.querySelector('.item-editor-new').checked = draft.saveAsNew;
+        if (draft.focused) {
+            textarea.focus();
+            textarea.setSelectionRange(draft.selectionStart, draft.selectionEnd);
+        }
+        return;
+    }
+    const item = clipboardHistory.find(h => h.id === editingItemId);
+    textarea.value = item ? item.content : '';
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
+function openItemEditor(itemId) {
+    const item = clipboardHistory.find(h => h.id === itemId);
+    if (!item || item.type !== 'text') return;
+    editingItemId = itemId;
+    renderHistoryList();
+}
+
+function closeItemEditor() {
+    if (editingItemId === null) return;
+    editingItemId = null;
+    renderHistoryList();
+}
+
+function isItemEditorOpen() {
+    return editingItemId !== null;
+}
+
+async function saveItemEdit(paste) {
+    const editor = getItemEditor();
+    if (!editor) return;
+    const text = editor.querySelector('.item-editor-text').value;
+    const saveAsNew = editor.querySelector('.item-editor-new').checked;
+    if (!text) {
+        showToast('The text cannot be empty', 'error');
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.editHistoryItem(editingItemId, text, { saveAsNew });
+        if (!result.success) {
+            showToast(escapeHtml(result.error || 'Could not save the edit'), 'error');
+            return;
+        }
+        editingItemId = null;
+        renderHistoryList();
+        if (paste) {
+            await handleHistoryItemClick(result.itemId);
+        } else if (!result.unchanged) {
+            showToast(saveAsNew ? 'Saved as a new entry' : 'Edit saved', 'success', 5000,
+                { label: 'Undo', onClick: undoItemEdit });
+        }
+    } catch (error) {
+        console.error('Error saving edit:', error);
+        showToast('Error saving edit', 'error');
+    }
+}
+
+async function undoItemEdit() {
+    try {
+        const result = await window.electronAPI.undoHistoryEdit();
+        if (result.success) {
+            showToast('Edit undone', 'info', 1500);
+        } else {
+            showToast(escapeHtml(result.error || 'Nothing to undo'), 'info');
+        }
+    } catch (error) {
+        console.error('Error undoing edit:', error);
+        showToast('Error undoing edit', 'error');
+    }
+}
+
+function handleItemEditorKey(e) {
+    // Typing here must not trigger the list shortcuts
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeItemEditor();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        saveItemEdit(e.shiftKey);
+    }
+}
+
+// Eviction log: what the retention settings removed, and why
+function renderEvictionEntry(entry) {
+    const kind = CONTENT_KINDS[entry.kind];
+    const icon = entry.type === 'image' ? 'image' : entry.type === 'files' ? 'file' : kind ? kind.icon : 'font';
+    const preview = entry.preview !== null
+        ? escapeHtml(entry.preview)
+        : `<em>${entry.sensitive ? 'Sensitive item' : entry.type === 'image' ? 'Image' : 'Item'}</em>`;
+    return `
+        <li class="eviction-entry">
+            <i class="fas fa-${icon}"></i>
+            <div class="eviction-info">
+                <div class="eviction-preview">${preview}</div>
+                <div class="eviction-meta">${escapeHtml(entry.detail)} &bull; ${formatMemory(entry.size)} &bull; ${formatTimestamp(entry.evictedAt)}</div>
+            </div>
+        </li>
+    `;
+}
+
+async function openEvictionLog() {
+    try {
+        const entries = await window.electronAPI.getEvictionLog();
+        elements.evictionList.innerHTML = entries.length > 0
+            ? entries.map(renderEvictionEntry).join('')
+            : '<li class="eviction-empty">Nothing has been removed since the app started</li>';
+        elements.evictionModal.classList.add('show');
+    } catch (error) {
+        console.error('Error loading eviction log:', error);
+        showToast('Error loading removed items', 'error');
+    }
+}
+
+function closeEvictionLog() {
+    elements.evictionModal.classList.remove('show');
+}
+
+async function clearEvictionLog() {
+    try {
+        await window.electronAPI.clearEvictionLog();
+        openEvictionLog();
+    } catch (error) {
+        console.error('Error clearing eviction log:', error);
+    }
+}
+
+// Trash
+function showUndoToast(message, trashedIds) {
+    showToast(message, 'success', 5000, { label: 'Undo', onClick: () => restoreTrashItems(trashedIds) });
+}
+
+// Sensitive items skip the trash, so a delete may be partly permanent
+function describeDeletion(result) {
+    const permanent = result.deleted - result.trashedIds.length;
+    const trashed = `${formatCount(result.trashedIds.length, 'item')} moved to the trash`;
+    return permanent > 0 ? `${trashed}, ${formatCount(permanent, 'sensitive item')} deleted permanently` : trashed;
+}
+
+function renderTrashEntry(entry) {
+    const item = entry.item;
+    const kind = CONTENT_KINDS[item.kind];
+    const icon = item.type === 'image' ? 'image' : item.type === 'files' ? 'file' : kind ? kind.icon : 'font';
+    const preview = item.type === 'image'
+        ? `<img class="trash-thumbnail" src="${item.thumbnail}" alt="Trashed image">`
+        : escapeHtml(truncateText(getItemPreviewText(item), 120));
+    return `
+        <li class="eviction-entry">
+            <i class="fas fa-${icon}"></i>
+            <div class="eviction-info">
+                <div class="eviction-preview">${preview}</div>
+                <div class="eviction-meta">${entry.reason === 'clear' ? 'Cleared' : 'Deleted'} ${formatTimestamp(entry.deletedAt)} &bull; ${formatMemory(item.size)}</div>
+            </div>
+            <div class="trash-actions">
+                <button class="action-btn" title="Restore" onclick="restoreTrashItems([${item.id}])">
+                    <i class="fas fa-rotate-left"></i>
+                </button>
+                <button class="action-btn delete" title="Delete permanently" onclick="deleteTrashItems([${item.id}])">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>
+        </li>
+    `;
+}
+
+function renderTrashCount(count) {
+    elements.trashCount.textContent = count > 0 ? count : '';
+}
+
+async function loadTrash() {
+    try {
+        const trash = await window.electronAPI.getTrash();
+        renderTrashCount(trash.entries.length);
+        return trash;
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        return null;
+    }
+}
+
+async function openTrash() {
+    const trash = await loadTrash();
+    if (!trash) {
+        showToast('Error loading the trash', 'error');
+        return;
+    }
+    const hours = currentSettings.trashHours;
+    elements.trashHelp.textContent = `Deleted items, newest first, using ${formatMemory(trash.size)}. ` +
+        `They are deleted for good after ${hours} hour${hours !== 1 ? 's' : ''}. Sensitive items never go to the trash.`;
+    elements.trashList.innerHTML = trash.entries.length > 0
+        ? trash.entries.map(renderTrashEntry).join('')
+        : '<li class="eviction-empty">The trash is empty</li>';
+    elements.trashRestoreAll.disabled = trash.entries.length === 0;
+    elements.trashEmpty.disabled = trash.entries.length === 0;
+    elements.trashModal.classList.add('show');
+}
+
+function closeTrash() {
+    elements.trashModal.classList.remove('show');
+}
+
+function isTrashOpen() {
+    return elements.trashModal.classList.contains('show');
+}
+
+// Without `itemIds`, restores everything in the trash
+async function restoreTrashItems(itemIds) {
+    try {
+        const ids = itemIds || (await window.electronAPI.getTrash()).entries.map(entry => entry.item.id);
+        const result = await window.electronAPI.restoreTrashItems(ids);
+        if (result.success) {
+            showToast(`${formatCount(result.restored, 'item')} restored`, 'success', 1500);
+        } else {
+            showToast('Nothing left to restore; the trash may have been emptied', 'info');
+        }
+    } catch (error) {
+        console.error('Error restoring items:', error);
+        showToast('Error restoring items', 'error');
+    }
+}
+
+// Without `itemIds`, empties the trash
+function deleteTrashItems(itemIds) {
+    const message = itemIds
+        ? 'Permanently delete this item? It cannot be restored.'
+        : 'Permanently delete everything in the trash? It cannot be restored.';
+    showModal(message, async () => {
+        try {
+            await window.electronAPI.deleteTrashItems(itemIds);
+        } catch (error) {
+            console.error('Error deleting from the trash:', error);
+            showToast('Error deleting from the trash', 'error');
+        }
+    });
+}
+
+// Usage statistics. Main only keeps counts; re-copied items are previewed
+// from the history the renderer already has.
+const STATS_TYPE_LABELS = { text: 'Text', image: 'Images', files: 'Files' };
+const EVICTION_REASON_LABELS = {
+    age: 'Too old',
+    count: 'Too many items',
+    'text-size': 'Text size limit',
+    'image-size': 'Image size limit',
+    memory: 'Memory limit',
+    'item-size': 'Copy too large',
+    lock: 'Cleared on lock',
+    sleep: 'Cleared on sleep',
+    quit: 'Cleared on quit'
+};
+
+function formatCopies(count) {
+    return `${count.toLocaleString()} cop${count !== 1 ? 'ies' : 'y'}`;
+}
+
+// `bars` is [{ value, label, title }]; heights are relative to `max`
+function renderStatsBars(bars, max = Math.max(1, ...bars.map(bar => bar.value))) {
+    return `
+        <div class="stats-bars">
+            ${bars.map(bar => `
+                <div class="stats-bar" title="${escapeAttribute(bar.title)}">
+                    <div class="stats-bar-fill" style="height: ${Math.min(100, bar.value / max * 100)}%"></div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderStatsSection(title, content) {
+    return `<section class="stats-section"><h4>${title}</h4>${content}</section>`;
+}
+
+function renderStatsCopies(stats) {
+    const hourly = stats.hourly.map(bucket => ({
+        value: bucket.count,
+        title: `${new Date(bucket.start).toLocaleString([], { weekday: 'short', hour: 'numeric' })}: ${formatCopies(bucket.count)}`
+    }));
+    const daily = stats.daily.map(bucket => ({
+        value: bucket.count,
+        title: `${new Date(bucket.start).toLocaleDateString()}: ${formatCopies(bucket.count)}`
+    }));
+    return renderStatsSection('Copies per hour <small>last 48 hours</small>', renderStatsBars(hourly)) +
+        renderStatsSection('Copies per day <small>last 90 days</small>', renderStatsBars(daily));
+}
+
+function renderStatsTypes(stats) {
+    const total = Object.values(stats.types).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return renderStatsSection('Content types', '<p class="stats-empty">No copies yet</p>');
+    const rows = Object.entries(stats.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `
+            <li class="stats-row">
+                <span class="stats-label">${escapeHtml(STATS_TYPE_LABELS[type] || type)}</span>
+                <span class="stats-meter"><span style="width: ${count / total * 100}%"></span></span>
+                <span class="stats-value">${count} (${Math.round(count / total * 100)}%)</span>
+            </li>
+        `);
+    return renderStatsSection('Content types', `<ul class="stats-rows">${rows.join('')}</ul>`);
+}
+
+function renderStatsRecopy(entry) {
+    const item = entry.itemId !== null ? clipboardHistory.find(other => other.id === entry.itemId) : null;
+    const kind = CONTENT_KINDS[entry.kind];
+    const icon = entry.type === 'image' ? 'image' : entry.type === 'files' ? 'file' : kind ? kind.icon : 'font';
+    let preview = `<em>${STATS_TYPE_LABELS[entry.type] || 'Item'} no longer in the history</em>`;
+    if (item && item.type === 'image') preview = `<img class="trash-thumbnail" src="${item.thumbnail}" alt="Re-copied image">`;
+    else if (item) preview = escapeHtml(truncateText(getItemPreviewText(item), 120));
+    return `
+        <li class="eviction-entry">
+            <i class="fas fa-${icon}"></i>
+            <div class="eviction-info">
+                <div class="eviction-preview">${preview}</div>
+                <div class="eviction-meta">Re-copied ${entry.count} time${entry.count !== 1 ? 's' : ''} &bull; last ${formatTimestamp(entry.lastAt)}</div>
+            </div>
+        </li>
+    `;
+}
+
+function renderStatsMemory(stats) {
+    const samples = stats.memory;
+    if (samples.length === 0) return renderStatsSection('Memory used', '<p class="stats-empty">No samples yet</p>');
+    const limit = stats.memoryLimit;
+    const max = Math.max(limit, ...samples.map(sample => sample.bytes), 1);
+    const bars = samples.map(sample => ({
+        value: sample.bytes,
+        title: `${new Date(sample.at).toLocaleString()}: ${formatMemory(sample.bytes)}`
+    }));
+    const limitLine = limit > 0 ? `<div class="stats-limit" style="bottom: ${limit / max * 100}%"></div>` : '';
+    const summary = `Now ${formatMemory(stats.memoryUsage)} of ${limit > 0 ? formatMemory(limit) : 'no limit'}`;
+    return renderStatsSection('Memory used <small>every 15 minutes</small>',
+        `<div class="stats-chart">${renderStatsBars(bars, max)}${limitLine}</div><p class="stats-note">${summary}</p>`);
+}
+
+function renderStatsEvictions(stats) {
+    const entries = Object.entries(stats.evictions).sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    const content = total === 0
+        ? '<p class="stats-empty">Nothing has been removed</p>'
+        : `<ul class="stats-rows">${entries.map(([reason, count]) => `
+            <li class="stats-row">
+                <span class="stats-label">${escapeHtml(EVICTION_REASON_LABELS[reason] || reason)}</span>
+                <span class="stats-value">${formatCount(count, 'item')}</span>
+            </li>
+        `).join('')}</ul>`;
+    return renderStatsSection(`Removed by retention <small>${formatCount(total, 'item')}</small>`, content);
+}
+
+async function openStats() {
+    try {
+        const stats = await window.electronAPI.getStats();
+        elements.statsHelp.textContent = `${formatCopies(stats.total)} since ${new Date(stats.resetAt).toLocaleDateString()}. ` +
+            'Only counts are kept, never what was copied.';
+        elements.statsBody.innerHTML = renderStatsCopies(stats) +
+            renderStatsTypes(stats) +
+            renderStatsSection('Most re-copied', stats.recopies.length > 0
+                ? `<ul class="eviction-list">${stats.recopies.map(renderStatsRecopy).join('')}</ul>`
+                : '<p class="stats-empty">Nothing has been copied twice yet</p>') +
+            renderStatsMemory(stats) +
+            renderStatsEvictions(stats);
+        elements.statsModal.classList.add('show');
+    } catch (error) {
+        console.error('Error loading stats:', error);
+        showToast('Error loading statistics', 'error');
+    }
+}
+
+function closeStats() {
+    elements.statsModal.classList.remove('show');
+}
+
+function isStatsOpen() {
+    return elements.statsModal.classList.contains('show');
+}
+
+function resetStats() {
+    showModal('Reset all usage statistics?', async () => {
+        try {
+            await window.electronAPI.resetStats();
+            openStats();
+        } catch (error) {
+            console.error('Error resetting stats:', error);
+            showToast('Error resetting statistics', 'error');
+        }
+    });
+}
+
+// Context actions for classified text
+async function openItemLink(itemId) {
+    try {
+        const result = await window.electronAPI.openItemLink(itemId);
+        if (!result.success) showToast(escapeHtml(result.error || 'Could not open the link'), 'error');
+    } catch (error) {
+        console.error('Error opening link:', error);
+        showToast('Error opening link', 'error');
+    }
+}
+
+async function revealItemPath(itemId) {
+    try {
+        const result = await window.electronAPI.revealItemPath(itemId);
+        if (!result.success) showToast(escapeHtml(result.error || 'Could not show the path'), 'error');
+    } catch (error) {
+        console.error('Error revealing path:', error);
+        showToast('Error revealing path', 'error');
+    }
+}
+
+function validateItemJson(itemId) {
+    const item = clipboardHistory.find(h => h.id === itemId);
+    if (!item) return;
+    let value;
+    try {
+        value = JSON.parse(item.content);
+    } catch (error) {
+        showToast(escapeHtml(`Invalid JSON: ${error.message}`), 'error', 5000);
+        return;
+    }
+    // Items of this kind always start with { or [
+    const summary = Array.isArray(value)
+        ? `an array of ${formatCount(value.length, 'item')}`
+        : `an object with ${formatCount(Object.keys(value).length, 'key')}`;
+    showToast(`Valid JSON: ${summary}`, 'success');
+}
+
+// Preview pane: the full content of the item selected with the keyboard
+function applyPreviewVisibility() {
+    const visible = currentSettings.showPreview !== false;
+    elements.previewPane.classList.toggle('show', visible);
+    elements.previewToggleBtn.classList.toggle('active', visible);
+    previewKey = null;
+    schedulePreview();
+}
+
+async function togglePreview() {
+    try {
+        const result = await window.electronAPI.setSettings({ showPreview: currentSettings.showPreview === false });
+        if (result.success) {
+            currentSettings = result.settings;
+            applyPreviewVisibility();
+        }
+    } catch (error) {
+        console.error('Error toggling preview:', error);
+    }
+}
+
+// Rendered once per frame, so holding an arrow key stays smooth
+function schedulePreview() {
+    if (previewFrame === null) previewFrame = requestAnimationFrame(renderPreview);
+}
+
+function countLines(text) {
+    let count = 1;
+    let index = -1;
+    while ((index = text.indexOf('\n', index + 1)) !== -1) count++;
+    return count;
+}
+
+// Characters as people count them: an emoji is one, not two UTF-16 units
+function countCharacters(text) {
+    const pairs = text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g);
+    return text.length - (pairs ? pairs.length : 0);
+}
+
+function formatCount(count, noun) {
+    return `${count.toLocaleString()} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+function renderPreview() {
+    previewFrame = null;
+    // Hidden, or collapsed on narrow windows
+    if (!elements.previewPane.classList.contains('show') || elements.previewPane.offsetParent === null) {
+        previewKey = null;
+        return;
+    }
+
+    const item = getFilteredHistory()[selectedIndex] || null;
+    const key = item ? `${item.id}:${item.size}:${revealedIds.has(item.id)}` : 'none';
+    if (key === previewKey) return;
+    previewKey = key;
+
+    if (previewObserver) previewObserver.disconnect();
+    previewObserver = null;
+    previewZoom = null;
+    if (previewImageUrl) {
+        URL.revokeObjectURL(previewImageUrl);
+        previewImageUrl = null;
+    }
+    elements.previewZoom.classList.remove('show');
+    elements.previewStats.textContent = '';
+    elements.previewBody.innerHTML = '';
+
+    if (!item) {
+        elements.previewTitle.textContent = 'Preview';
+        elements.previewBody.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-eye"></i>
+                <p>Select an item with the arrow keys to see all of it here</p>
+            </div>
+        `;
+    } else if (item.masked && !revealedIds.has(item.id)) {
+        elements.previewTitle.textContent = 'Sensitive';
+        elements.previewBody.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-user-secret"></i>
+                <p>Masked by "${escapeHtml(item.sensitive ? item.sensitive.ruleName : 'a sensitive content rule')}". Press Space to reveal it.</p>
+            </div>
+        `;
+    } else if (item.type === 'image') {
+        renderImagePreview(item);
+    } else if (item.type === 'files') {
+        const files = (item.formats && item.formats.files) || item.content.split('\n');
+        elements.previewTitle.textContent = 'Files';
+        elements.previewStats.textContent = formatCount(files.length, 'file');
+        elements.previewBody.innerHTML = `<ul class="preview-files">${files.map(file => `<li>${escapeHtml(file)}</li>`).join('')}</ul>`;
+    } else {
+        renderTextPreview(item);
+    }
+}
+
+function renderTextPreview(item) {
+    const text = item.content;
+    const tooLarge = text.length > HIGHLIGHT_MAX_CHARS;
+    const language = tooLarge ? null : detectLanguage(text);
+    const kind = CONTENT_KINDS[item.kind];
+    elements.previewTitle.textContent = LANGUAGE_LABELS[language] || (kind && item.kind !== 'prose' ? kind.label : 'Plain text');
+    elements.previewStats.textContent = [
+        formatCount(countLines(text), 'line'),
+        formatCount(countCharacters(text), 'character'),
+        formatMemory(item.size),
+        tooLarge ? 'too large to highlight' : null
+    ].filter(Boolean).join(' \u00b7 ');
+
+    if (item.kind === 'color') {
+        const swatch = document.createElement('div');
+        swatch.className = 'preview-swatch';
+        swatch.style.background = text.trim();
+        elements.previewBody.appendChild(swatch);
+    }
+    const pre = document.createElement('pre');
+    pre.className = 'preview-text';
+    elements.previewBody.appendChild(pre);
+    if (language) {
+        pre.innerHTML = highlightCode(text, language);
+    } else {
+        appendPreviewChunk(pre, text, 0);
+    }
+}
+
+// Adds the next piece of `text`, and a marker that loads the one after it
+// once it is scrolled into view
+function appendPreviewChunk(pre, text, start) {
+    let end = Math.min(text.length, start + PREVIEW_CHUNK_CHARS);
+    // Never split a surrogate pair
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+    pre.appendChild(document.createTextNode(text.slice(start, end)));
+    if (end >= text.length) return;
+
+    const marker = document.createElement('div');
+    marker.className = 'preview-more';
+    marker.textContent = `Showing ${end.toLocaleString()} of ${text.length.toLocaleString()} characters, scroll for more`;
+    elements.previewBody.appendChild(marker);
+    previewObserver = new IntersectionObserver(entries => {
+        if (!entries[0].isIntersecting) return;
+        previewObserver.disconnect();
+        marker.remove();
+        appendPreviewChunk(pre, text, end);
+    }, { root: elements.previewBody, rootMargin: '400px' });
+    previewObserver.observe(marker);
+}
+
+// The thumbnail shows right away; the full image replaces it once the main
+// process has sent it, unless the selection has moved on by then
+async function renderImagePreview(item) {
+    const key = previewKey;
+    elements.previewTitle.textContent = 'Image';
+    const stats = [`${item.width} \u00d7 ${item.height} px`, 'PNG'];
+    elements.previewStats.textContent = stats.join(' \u00b7 ');
+    elements.previewBody.innerHTML = `
+        <div class="preview-image-viewport">
+            <img class="preview-image" alt="Clipboard image" draggable="false">
+        </div>
+    `;
+    const viewport = elements.previewBody.querySelector('.preview-image-viewport');
+    const image = viewport.querySelector('img');
+    image.onload = () => {
+        previewZoom = { image, viewport, scale: 1, x: 0, y: 0 };
+        elements.previewZoom.classList.add('show');
+        zoomPreview('fit');
+    };
+    image.src = item.thumbnail;
+    setupImagePanning(viewport);
+
+    const result = await window.electronAPI.getItemImage(item.id);
+    if (previewKey !== key) return;
+    if (!result.success) {
+        console.error('Failed to load image:', result.error);
+        return;
+    }
+    previewImageUrl = URL.createObjectURL(new Blob([result.data], { type: 'image/png' }));
+    image.src = previewImageUrl;
+    elements.previewStats.textContent = [...stats, formatMemory(result.data.byteLength)].join(' \u00b7 ');
+}
+
+function applyPreviewZoom() {
+    const { image, scale, x, y } = previewZoom;
+    image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    elements.previewZoomLevel.textContent = `${Math.round(scale * 100)}%`;
+}
+
+// Zooms to `scale` keeping the image point under (originX, originY) in place
+function setPreviewScale(scale, originX, originY) {
+    const clamped = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+    previewZoom.x = originX - (originX - previewZoom.x) * clamped / previewZoom.scale;
+    previewZoom.y = originY - (originY - previewZoom.y) * clamped / previewZoom.scale;
+    previewZoom.scale = clamped;
+    applyPreviewZoom();
+}
+
+// action: 'in', 'out', 'fit' (never enlarged) or 'actual'
+function zoomPreview(action) {
+    if (!previewZoom) return;
+    const { image, viewport } = previewZoom;
+    const width = viewport.clientWidth;
+    const height = viewport.clientHeight;
+    if (action === 'in' || action === 'out') {
+        setPreviewScale(previewZoom.scale * (action === 'in' ? ZOOM_STEP : 1 / ZOOM_STEP), width / 2, height / 2);
+        return;
+    }
+    const scale = action === 'fit'
+        ? Math.min(1, width / image.naturalWidth, height / image.naturalHeight)
+        : 1;
+    previewZoom.scale = scale;
+    previewZoom.x = (width - image.naturalWidth * scale) / 2;
+    previewZoom.y = (height - image.naturalHeight * scale) / 2;
+    applyPreviewZoom();
+}
+
+// Wheel zooms around the pointer, dragging pans, double-click switches
+// between fitting the pane and actual size
+function setupImagePanning(viewport) {
+    viewport.addEventListener('wheel', (e) => {
+        if (!previewZoom) return;
+        e.preventDefault();
+        const rect = viewport.getBoundingClientRect();
+        setPreviewScale(previewZoom.scale * Math.exp(-e.deltaY * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    viewport.addEventListener('mousedown', (e) => {
+        if (!previewZoom || e.button !== 0) return;
+        e.preventDefault();
+        const start = { x: e.clientX - previewZoom.x, y: e.clientY - previewZoom.y };
+        viewport.classList.add('panning');
+        const onMove = (moveEvent) => {
+            previewZoom.x = moveEvent.clientX - start.x;
+            previewZoom.y = moveEvent.clientY - start.y;
+            applyPreviewZoom();
+        };
+        const onUp = () => {
+            viewport.classList.remove('panning');
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    });
+
+    viewport.addEventListener('dblclick', () => {
+        if (!previewZoom) return;
+        const fitScale = Math.min(1, viewport.clientWidth / previewZoom.image.naturalWidth,
+            viewport.clientHeight / previewZoom.image.naturalHeight);
+        zoomPreview(Math.abs(previewZoom.scale - fitScale) < 0.001 ? 'actual' : 'fit');
+    });
+}
+
+// Paste queue ("collect" mode)
+async function loadPasteQueue() {
+    try {
+        renderPasteQueue(await window.electronAPI.getPasteQueue());
+    } catch (error) {
+        console.error('Error loading paste queue:', error);
+    }
+}
+
+function renderQueuePreview(entry) {
+    if (entry.type === 'image') return `<img src="${entry.thumbnail}" alt="Queued image">`;
+    return `${entry.type === 'files' ? '<i class="fas fa-file"></i> ' : ''}${renderItemText(entry, 120)}`;
+}
+
+function renderPasteQueue(state) {
+    pasteQueue = state;
+    const { collecting, order, entries, hotkey } = state;
+
+    elements.collectBtn.classList.toggle('active', collecting);
+    elements.collectBtn.title = collecting
+        ? 'Stop collecting copies'
+        : 'Collect mode: queue every copy for pasting in order';
+    elements.queueSection.classList.toggle('show', collecting || entries.length > 0);
+    elements.queueOrder.value = order;
+    elements.queueCount.textContent = `${entries.length} left`;
+
+    const key = `<kbd>${escapeHtml(hotkey)}</kbd>`;
+    if (collecting && entries.length === 0) {
+        elements.queueHint.innerHTML = 'Collecting: every copy is added to the queue.';
+    } else if (collecting) {
+        elements.queueHint.innerHTML = `Collecting. Press ${key} to paste the next item; drag to reorder.`;
+    } else {
+        elements.queueHint.innerHTML = `Collect mode is off. Press ${key} to paste the remaining items.`;
+    }
+
+    elements.queueList.innerHTML = entries.map((entry, index) => `
+        <li class="queue-item${entry.masked ? ' masked' : ''}" draggable="true" data-queue-id="${entry.id}">
+            <i class="fas fa-grip-vertical queue-grip"></i>
+            <span class="queue-position">${index + 1}</span>
+            <span class="queue-preview">${renderQueuePreview(entry)}</span>
+            <button class="action-btn delete" title="Remove from queue" onclick="removeQueueEntry(${entry.id})">
+                <i class="fas fa-times"></i>
+            </button>
+        </li>
+    `).join('');
+}
+
+async function toggleCollectMode() {
+    try {
+        const state = await window.electronAPI.setPasteQueueCollecting(!pasteQueue.collecting);
+        renderPasteQueue(state);
+        showToast(state.collecting ? 'Collect mode on: copies are queued' : 'Collect mode off', 'info', 1500);
+    } catch (error) {
+        console.error('Error toggling collect mode:', error);
+        showToast('Error toggling collect mode', 'error');
+    }
+}
+
+async function changeQueueOrder() {
+    try {
+        const result = await window.electronAPI.setSettings({ pasteQueueOrder: elements.queueOrder.value });
+        if (!result.success) {
+            elements.queueOrder.value = pasteQueue.order;
+            showToast(escapeHtml(Object.values(result.errors).join(' ')), 'error');
+        }
+    } catch (error) {
+        console.error('Error changing queue order:', error);
+        showToast('Error changing queue order', 'error');
+    }
+}
+
+async function removeQueueEntry(entryId) {
+    try {
+        await window.electronAPI.removePasteQueueItem(entryId);
+    } catch (error) {
+        console.error('Error removing queue item:', error);
+        showToast('Error removing queue item', 'error');
+    }
+}
+
+async function clearPasteQueue() {
+    try {
+        await window.electronAPI.clearPasteQueue();
+    } catch (error) {
+        console.error('Error clearing paste queue:', error);
+        showToast('Error clearing paste queue', 'error');
+    }
+}
+
+// Drag to reorder: rows move live while dragging, the new order is sent on drop
+function setupQueueDragAndDrop() {
+    const list = elements.queueList;
+
+    list.addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.queue-item');
+        if (!row) return;
+        row.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    list.addEventListener('dragover', (e) => {
+        const dragged = list.querySelector('.queue-item.dragging');
+        if (!dragged) return;
+        e.preventDefault();
+        const target = e.target.closest('.queue-item');
+        if (!target || target === dragged) return;
+        const rect = target.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        list.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+
+    list.addEventListener('dragend', async () => {
+        const ids = [...list.querySelectorAll('.queue-item')].map(row => Number(row.dataset.queueId));
+        if (ids.every((id, index) => pasteQueue.entries[index] && pasteQueue.entries[index].id === id)) {
+            renderPasteQueue(pasteQueue);
+            return;
+        }
+        try {
+            const result = await window.electronAPI.reorderPasteQueue(ids);
+            if (!result.success) showToast('The queue changed while dragging, try again', 'warning');
+        } catch (error) {
+            console.error('Error reordering paste queue:', error);
+            showToast('Error reordering paste queue', 'error');
+        }
+    });
+}
+
+// Modals with their own inputs, where list shortcuts must not fire
+function isEditorModalOpen() {
+    return [elements.sensitiveModal, elements.preferencesModal, elements.snippetsModal, elements.snippetInputModal,
+        elements.transferModal, elements.evictionModal, elements.trashModal, elements.statsModal]
+        .some(modal => modal.classList.contains('show'));
+}
+
+function toggleRevealSelected() {
+    const filteredHistory = getFilteredHistory();
+    const item = filteredHistory[selectedIndex];
+    if (!item || !item.masked) return;
+
+    if (revealedIds.has(item.id)) {
+        revealedIds.delete(item.id);
+    } else {
+        revealedIds.add(item.id);
+    }
+    const node = elements.historyList.querySelector(`.history-item[data-id="${item.id}"]`);
+    if (node) node.classList.toggle('revealed', revealedIds.has(item.id));
+    schedulePreview();
+}
+
+// Debounced so typing stays responsive with thousands of entries
+function handleSearch() {
+    updateSnippetHint();
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(flushSearch, SEARCH_DEBOUNCE_MS);
+}
+
+function flushSearch() {
+    clearTimeout(searchDebounce);
+    searchDebounce = null;
+    const value = elements.searchInput.value.trim();
+    if (value === searchTerm) return;
+    searchTerm = value;
+    renderHistoryList();
+}
+
+function clearSearch() {
+    clearTimeout(searchDebounce);
+    searchDebounce = null;
+    elements.searchInput.value = '';
+    updateSnippetHint();
+    searchTerm = '';
+    renderHistoryList();
+    elements.searchInput.focus();
+}
+
+// App names from main have no quotes, so they always fit in app:"..."
+function filterBySourceApp(appName) {
+    elements.searchInput.value = `app:"${appName}"`;
+    updateSnippetHint();
+    flushSearch();
+}
+
+// Filter button handler
+function handleFilterClick(e) {
+    const btn = e.target.closest('.filter-btn');
+    if (!btn) return;
+    const type = btn.dataset.filter;
+    if (type === filterType) return;
+
+    filterType = type;
+    document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    renderHistoryList();
+}
+
+// Event Listeners
+elements.searchInput.addEventListener('input', handleSearch);
+elements.clearSearchBtn.addEventListener('click', clearSearch);
+elements.clearCurrentBtn.addEventListener('click', clearCurrentClipboard);
+elements.clearAllBtn.addEventListener('click', (e) => clearAllHistory(e.shiftKey));
+elements.refreshBtn.addEventListener('click', loadClipboardHistory);
+elements.persistenceMode.addEventListener('change', handlePersistenceChange);
+elements.preferencesBtn.addEventListener('click', openPreferences);
+elements.preferencesCancel.addEventListener('click', closePreferences);
+elements.preferencesSave.addEventListener('click', savePreferences);
+elements.preferencesForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    savePreferences();
+});
+elements.preferencesForm.elements.hotkey.addEventListener('keydown', handleHotkeyCapture);
+elements.preferencesForm.elements.pasteNextHotkey.addEventListener('keydown', handleHotkeyCapture);
+elements.preferencesForm.elements.pickerHotkey.addEventListener('keydown', handleHotkeyCapture);
+elements.openSensitiveFromPrefs.addEventListener('click', openSensitiveRules);
+elements.openEvictionsFromPrefs.addEventListener('click', openEvictionLog);
+elements.evictionClose.addEventListener('click', closeEvictionLog);
+elements.evictionClear.addEventListener('click', clearEvictionLog);
+elements.trashBtn.addEventListener('click', openTrash);
+elements.trashClose.addEventListener('click', closeTrash);
+elements.trashRestoreAll.addEventListener('click', () => restoreTrashItems());
+elements.trashEmpty.addEventListener('click', () => deleteTrashItems());
+elements.statsBtn.addEventListener('click', openStats);
+elements.statsClose.addEventListener('click', closeStats);
+elements.statsReset.addEventListener('click', resetStats);
+elements.bulkPinBtn.addEventListener('click', () => bulkPin(true));
+elements.bulkUnpinBtn.addEventListener('click', () => bulkPin(false));
+elements.bulkCopyBtn.addEventListener('click', bulkCopy);
+elements.bulkMergeBtn.addEventListener('click', bulkMerge);
+elements.bulkDeleteBtn.addEventListener('click', (e) => bulkDelete(e.shiftKey));
+elements.bulkClearBtn.addEventListener('click', clearMultiSelection);
+elements.joinSeparator.addEventListener('change', changeJoinSeparator);
+elements.collectBtn.addEventListener('click', toggleCollectMode);
+elements.queueOrder.addEventListener('change', changeQueueOrder);
+elements.queueClearBtn.addEventListener('click', clearPasteQueue);
+elements.transferBtn.addEventListener('click', openTransfer);
+elements.transferClose.addEventListener('click', closeTransfer);
+elements.exportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    exportHistory();
+});
+elements.importBtn.addEventListener('click', importHistory);
+elements.snippetsBtn.addEventListener('click', openSnippets);
+elements.snippetsClose.addEventListener('click', closeSnippets);
+elements.snippetNewBtn.addEventListener('click', () => editSnippet(null));
+elements.snippetForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveSnippet();
+});
+elements.snippetInputCancel.addEventListener('click', closeSnippetInputs);
+elements.transformList.addEventListener('click', (e) => {
+    const option = e.target.closest('.transform-option');
+    if (option) applyTransformToItem(option.dataset.transformId);
+});
+document.addEventListener('mousedown', (e) => {
+    if (isTransformMenuOpen() && !elements.transformMenu.contains(e.target)) closeTransformMenu();
+    if (isTagEditorOpen() && !elements.tagEditor.contains(e.target)) closeTagEditor();
+});
+elements.tagBar.addEventListener('click', handleTagBarClick);
+elements.tagBar.addEventListener('keydown', handleTagRenameKey);
+elements.tagBar.addEventListener('focusout', (e) => {
+    if (renamingTag && e.target.classList.contains('tag-rename-input')) {
+        renamingTag = false;
+        renderTagBar();
+    }
+});
+elements.tagEditorInput.addEventListener('keydown', handleTagEditorKey);
+elements.tagEditorTags.addEventListener('click', (e) => {
+    const button = e.target.closest('.tag-remove');
+    if (button) removeItemTag(button.dataset.tag);
+});
+elements.sensitiveBtn.addEventListener('click', openSensitiveRules);
+elements.sensitiveCancel.addEventListener('click', closeSensitiveRules);
+elements.sensitiveSave.addEventListener('click', saveSensitiveRules);
+elements.addCustomRuleBtn.addEventListener('click', () => {
+    elements.customRules.insertAdjacentHTML('beforeend', renderRuleRow({ action: 'mask' }, true));
+});
+// Only the "Delete after" action needs a duration
+elements.sensitiveModal.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('rule-action')) return;
+    const seconds = e.target.closest('.rule-row').querySelector('.rule-seconds');
+    seconds.disabled = e.target.value !== 'expire';
+});
+
+// Filter buttons
+document.querySelector('.filter-buttons').addEventListener('click', handleFilterClick);
+
+// History list: rows come and go while scrolling, and a new width changes
+// their heights
+elements.appContainer.addEventListener('scroll', scheduleVisibleRows);
+window.addEventListener('resize', () => {
+    rowHeights = new Map();
+    scheduleVisibleRows();
+});
+
+// Preview pane
+elements.previewToggleBtn.addEventListener('click', togglePreview);
+elements.previewZoom.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-zoom]');
+    if (button) zoomPreview(button.dataset.zoom);
+});
+// The pane collapses on narrow windows and catches up when it comes back
+window.addEventListener('resize', () => {
+    if (previewKey === null) schedulePreview();
+    else if (previewZoom) zoomPreview('fit');
+});
+
+// Keyboard shortcuts
+document.addEventListener('keydown', (e) => {
+    // Don't handle keyboard navigation when search is focused (except for specific keys)
+    const isSearchFocused = document.activeElement === elements.searchInput;
+
+    if (e.ctrlKey || e.metaKey) {
+        switch (e.key) {
+            case 'f':
+                e.preventDefault();
+                elements.searchInput.focus();
+                break;
+            case 'r':
+                e.preventDefault();
+                loadClipboardHistory();
+                break;
+            case 'a':
+                // Select all visible items (inside the search box it selects the text)
+                if (!isSearchFocused && !isEditorModalOpen()) {
+                    e.preventDefault();
+                    selectRange(0, getFilteredHistory().length - 1);
+                    renderMultiSelection();
+                }
+                break;
+            case 'z':
+                // Undo the last saved edit (text fields keep their own undo)
+                if (!isSearchFocused && !isEditorModalOpen()) {
+                    e.preventDefault();
+                    undoItemEdit();
+                }
+                break;
+        }
+        return;
+    }
+
+    // Transform menu: arrows move between options, Enter activates the focused one
+    if (isTransformMenuOpen()) {
+        if (e.key === 'Escape') {
+            closeTransformMenu();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveTransformFocus(e.key === 'ArrowDown' ? 1 : -1);
+        }
+        return;
+    }
+
+    if (isTagEditorOpen()) {
+        if (e.key === 'Escape') closeTagEditor();
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        if (elements.confirmModal.classList.contains('show')) {
+            hideModal();
+        } else if (elements.snippetInputModal.classList.contains('show')) {
+            closeSnippetInputs();
+        } else if (elements.sensitiveModal.classList.contains('show')) {
+            closeSensitiveRules();
+        } else if (elements.evictionModal.classList.contains('show')) {
+            closeEvictionLog();
+        } else if (isTrashOpen()) {
+            closeTrash();
+        } else if (isStatsOpen()) {
+            closeStats();
+        } else if (elements.preferencesModal.classList.contains('show')) {
+            closePreferences();
+        } else if (elements.snippetsModal.classList.contains('show')) {
+            closeSnippets();
+        } else if (elements.transferModal.classList.contains('show')) {
+            closeTransfer();
+        } else if (isItemEditorOpen()) {
+            closeItemEditor();
+        } else if (selectedIds.size > 0) {
+            clearMultiSelection();
+        } else if (elements.searchInput.value) {
+            clearSearch();
+        } else if (tagFilter) {
+            setTagFilter(null);
+        } else {
+            window.electronAPI.hideWindow();
+        }
+        return;
+    }
+
+    // Leave typing inside editors alone
+    if (isEditorModalOpen()) return;
+
+    // Enter on a snippet abbreviation in the search box inserts the snippet
+    if (e.key === 'Enter' && isSearchFocused) {
+        const snippet = findSnippetByAbbreviation(elements.searchInput.value.trim());
+        if (snippet) {
+            e.preventDefault();
+            insertSnippet(snippet.id);
+            return;
+        }
+    }
+
+    // T: open the "Paste as..." menu for the selected item
+    if (!isSearchFocused && e.key === 't' && selectedIndex >= 0) {
+        e.preventDefault();
+        const item = getFilteredHistory()[selectedIndex];
+        const node = item && revealRow(selectedIndex);
+        if (node) openTransformMenu(item.id, node.querySelector('.item-preview') || node);
+        return;
+    }
+
+    // #: edit the tags of the selected item
+    if (!isSearchFocused && e.key === '#' && selectedIndex >= 0) {
+        e.preventDefault();
+        const item = getFilteredHistory()[selectedIndex];
+        const node = item && revealRow(selectedIndex);
+        if (node) openTagEditor(item.id, node.querySelector('.action-btn.tag') || node);
+        return;
+    }
+
+    // E: edit the selected text item
+    if (!isSearchFocused && (e.key === 'e' || e.key === 'E') && selectedIndex >= 0) {
+        const item = getFilteredHistory()[selectedIndex];
+        if (item && item.type === 'text') {
+            e.preventDefault();
+            openItemEditor(item.id);
+        }
+        return;
+    }
+
+    // P: show or hide the preview pane; +, - and 0 zoom a previewed image
+    if (!isSearchFocused && (e.key === 'p' || e.key === 'P')) {
+        e.preventDefault();
+        togglePreview();
+        return;
+    }
+    if (!isSearchFocused && previewZoom && ['+', '=', '-', '0'].includes(e.key)) {
+        e.preventDefault();
+        zoomPreview(e.key === '0' ? 'fit' : e.key === '-' ? 'out' : 'in');
+        return;
+    }
+
+    // Space: reveal or re-mask the selected sensitive item
+    if (!isSearchFocused && e.key === ' ' && selectedIndex >= 0) {
+        e.preventDefault();
+        toggleRevealSelected();
+        return;
+    }
+
+    // Number keys 1-9: quick select (only when not typing in search)
+    if (!isSearchFocused && e.key >= '1' && e.key <= '9') {
+        e.preventDefault();
+        const index = parseInt(e.key) - 1;
+        selectAndCopy(index);
+        return;
+    }
+
+    // Apply a pending search before navigating the results
+    if (searchDebounce && ['ArrowDown', 'ArrowUp', 'Enter'].includes(e.key)) {
+        flushSearch();
+    }
+
+    // Shift+Arrow: extend the multi-selection from where it started
+    if (!isSearchFocused && e.shiftKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        const anchor = selectionAnchor >= 0 ? selectionAnchor : Math.max(selectedIndex, 0);
+        updateSelection(selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        selectRange(anchor, selectedIndex);
+        renderMultiSelection();
+        return;
+    }
+
+    // Arrow key navigation
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        if (isSearchFocused) elements.searchInput.blur();
+        clearMultiSelection();
+        updateSelection(selectedIndex + 1);
+        return;
+    }
+
+    if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (isSearchFocused) elements.searchInput.blur();
+        clearMultiSelection();
+        if (selectedIndex <= 0) {
+            // Go back to search
+            selectedIndex = -1;
+            const prevSelected = elements.historyList.querySelector('.history-item.selected');
+            if (prevSelected) prevSelected.classList.remove('selected');
+            schedulePreview();
+            elements.searchInput.focus();
+        } else {
+            updateSelection(selectedIndex - 1);
+        }
+        return;
+    }
+
+    // Enter: confirm selection (Shift+Enter pastes as plain text)
+    if (e.key === 'Enter' && !isSearchFocused && selectedIndex >= 0) {
+        e.preventDefault();
+        selectAndCopy(selectedIndex, { plainText: e.shiftKey });
+        return;
+    }
+});
+
+// History updates carry only what changed, each change numbered one past the
+// previous. A gap means an update was missed, and the whole history is
+// fetched again. Returns whether the history changed.
+function applyHistoryChanges(changes) {
+    if (historyResyncing) return false;
+    const pending = changes.filter(change => change.version > historyVersion);
+    if (pending.length === 0) return false;
+    if (pending[0].version !== historyVersion + 1) {
+        resyncHistory();
+        return false;
+    }
+
+    let history = clipboardHistory.slice();
+    for (const change of pending) {
+        if (change.type === 'item-added') {
+            history.splice(change.index, 0, change.item);
+        } else if (change.type === 'item-updated') {
+            const index = history.findIndex(item => item.id === change.item.id);
+            if (index !== -1) history[index] = change.item;
+            // An edit keeps the id and maybe the size, so the preview key
+            // can't tell; render the preview again
+            if (previewKey && previewKey.startsWith(`${change.item.id}:`)) previewKey = null;
+        } else if (change.type === 'item-removed') {
+            history = history.filter(item => item.id !== change.id);
+        } else if (change.type === 'cleared') {
+            history = [];
+        } else if (change.type === 'reset') {
+            history = change.history;
+        }
+    }
+    clipboardHistory = history;
+    historyVersion = pending[pending.length - 1].version;
+    return true;
+}
+
+async function resyncHistory() {
+    historyResyncing = true;
+    try {
+        const result = await window.electronAPI.getClipboardHistory();
+        clipboardHistory = result.history;
+        historyVersion = result.version;
+        memoryUsage = result.memoryUsage;
+        renderHistoryList();
+        updateStats();
+    } catch (error) {
+        console.error('Error resyncing clipboard history:', error);
+    } finally {
+        historyResyncing = false;
+    }
+}
+
+// Electron IPC event listeners
+window.electronAPI.onClipboardUpdate((event, data) => {
+    const isNewItem = data.changes.some(change => change.type === 'item-added');
+    const historyChanged = applyHistoryChanges(data.changes);
+    currentContent = data.currentContent;
+    currentContentType = data.contentType || null;
+    memoryUsage = data.memoryUsage;
+
+    renderCurrentContent();
+    if (historyChanged) renderHistoryList();
+    updateStats();
+
+    // Notify user if new item arrived but is hidden by search filter
+    if (historyChanged && isNewItem && (searchTerm || filterType !== 'all')) {
+        const newest = clipboardHistory[0];
+        if (newest && !getFilteredHistory().includes(newest)) {
+            showToast(`New clipboard ${newest.type} (hidden by filter)`, 'info');
+        }
+    }
+});
+
+// Retention removals arrive separately from the history update that follows
+window.electronAPI.onHistoryEvicted((event, entries) => {
+    const details = [...new Set(entries.map(entry => entry.detail))].join('; ');
+    const count = formatCount(entries.length, 'item');
+    const message = entries.every(entry => entry.reason === 'item-size')
+        ? `Not recorded: ${details}`
+        : `Removed ${count}: ${details}`;
+    showToast(escapeHtml(message), 'warning', 5000, { label: 'Details', onClick: openEvictionLog });
+    if (elements.evictionModal.classList.contains('show')) openEvictionLog();
+});
+
+window.electronAPI.onTrashUpdate((event, state) => {
+    renderTrashCount(state.count);
+    if (isTrashOpen()) openTrash();
+});
+
+window.electronAPI.onPasteQueueUpdate((event, state) => {
+    renderPasteQueue(state);
+});
+
+window.electronAPI.onPasteFailed((event, { error }) => {
+    showPasteFailure(error);
+});
+
+window.electronAPI.onSettingsChange((event, settings) => {
+    currentSettings = settings;
+    elements.persistenceMode.value = settings.persistenceMode;
+    elements.joinSeparator.value = settings.joinSeparator;
+    applyPreviewVisibility();
+});
+
+// Window drag and scroll handling
+function setupWindowDragAndScroll() {
+    const header = document.querySelector('.header');
     const appContainer = document.querySelector('.app-container');
 
     let isDragging = false;
@@ -555,12 +3216,12 @@ function setupWindowDragAndScroll() {
         if (e.button !== 0) return;
 
         // Don't drag if clicking on buttons or interactive elements
-        if (e.target.closest('button, input, .memory-usage')) {
+        if (e.target.closest('button, input, select, .memory-usage, .persistence-control')) {
             return;
         }
 
         // Don't drag if modal is open
-        if (elements.confirmModal.classList.contains('show')) {
+        if (document.querySelector('.modal.show')) {
             return;
         }
 
@@ -615,6 +3276,13 @@ function setupWindowDragAndScroll() {
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
     loadClipboardHistory();
+    loadSettings();
+    loadPersistence();
+    loadSnippets();
+    loadTransforms();
+    loadPasteQueue();
+    loadTrash();
+    setupQueueDragAndDrop();
     setupWindowDragAndScroll();
 
     // Focus search on load
@@ -0,0 +1,147 @@
+// Syntax highlighting for the preview pane
+//
+// A small regex tokenizer bundled with the app, so previews work offline. It
+// knows JSON, markup (HTML/XML) and a generic grammar for C-like, scripting
+// and SQL code: comments, strings, numbers, keywords and function calls.
+// Each grammar is one combined regex, so plain text between tokens is skipped
+// by the regex engine rather than character by character.
+
+// Larger entries are previewed as plain text
+const HIGHLIGHT_MAX_CHARS = 128 * 1024;
+
+const LANGUAGE_LABELS = { json: 'JSON', markup: 'HTML / XML', code: 'Code' };
+
+const KEYWORDS = new Set([
+    'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'def', 'default', 'defer', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends',
+    'final', 'finally', 'fn', 'for', 'from', 'func', 'function', 'go', 'if', 'impl', 'implements',
+    'import', 'in', 'instanceof', 'interface', 'is', 'lambda', 'let', 'match', 'mod', 'module', 'mut',
+    'new', 'not', 'or', 'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise', 'return',
+    'static', 'struct', 'super', 'switch', 'this', 'throw', 'throws', 'trait', 'try', 'type',
+    'typeof', 'use', 'var', 'void', 'while', 'with', 'yield',
+    // Shell
+    'done', 'esac', 'fi', 'then', 'echo', 'local',
+    // SQL, usually written in capitals
+    'select', 'from', 'where', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create',
+    'table', 'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by',
+    'order', 'having', 'limit', 'offset', 'union', 'distinct', 'index', 'primary', 'key'
+]);
+const LITERALS = new Set(['true', 'false', 'null', 'undefined', 'None', 'True', 'False', 'nil', 'NULL']);
+
+const GRAMMARS = {
+    json: new RegExp([
+        '(?<key>"(?:[^"\\\\\\n]|\\\\.)*"(?=\\s*:))',
+        '(?<string>"(?:[^"\\\\\\n]|\\\\.)*")',
+        '(?<number>-?\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+        '(?<literal>\\b(?:true|false|null)\\b)'
+    ].join('|'), 'g'),
+    markup: new RegExp([
+        '(?<comment><!--[\\s\\S]*?(?:-->|$))',
+        '(?<tag><[!?/]?[A-Za-z][^<>]*>?)',
+        '(?<entity>&(?:#\\d+|#x[\\da-fA-F]+|\\w+);)'
+    ].join('|'), 'g'),
+    code: new RegExp([
+        // "#" and "--" only start a comment at a word boundary, so "#fff" and "i--" are left alone
+        '(?<comment>\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)|(?<![^\\s])#(?:[ \\t!]|$)[^\\n]*|(?<![^\\s])--\\s[^\\n]*)',
+        '(?<string>"(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\[\\s\\S])*`?)',
+        '(?<number>\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)',
+        '(?<word>[A-Za-z_$][\\w$]*)'
+    ].join('|'), 'gm')
+};
+
+const FUNCTION_CALL = /^\s*\(/;
+const MARKUP_TAG_PARTS = /(?<name>^<[!?/]?[\w:.-]+)|(?<attr>[\w:.-]+(?=\s*=))|(?<string>"[^"]*"|'[^']*')/g;
+
+function escapeCode(text) {
+    return text.replace(/[&<>]/g, char => char === '&' ? '&amp;' : char === '<' ? '&lt;' : '&gt;');
+}
+
+function wrapToken(kind, text) {
+    return `<span class="hl-${kind}">${escapeCode(text)}</span>`;
+}
+
+// Runs `pattern` over `text`, passing each match's group name and text to
+// `render`; unmatched text is escaped as is
+function tokenize(text, pattern, render) {
+    const parts = [];
+    let last = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        let kind;
+        for (kind in match.groups) {
+            if (match.groups[kind] !== undefined) break;
+        }
+        const end = match.index + match[0].length;
+        if (match.index > last) parts.push(escapeCode(text.slice(last, match.index)));
+        parts.push(render(kind, match[0], end));
+        last = end;
+    }
+    parts.push(escapeCode(text.slice(last)));
+    return parts.join('');
+}
+
+function highlightMarkupTag(tag) {
+    return tokenize(tag, MARKUP_TAG_PARTS, (kind, value) => wrapToken(kind === 'name' ? 'tag' : kind, value));
+}
+
+function isKeyword(word) {
+    return KEYWORDS.has(word) || (word === word.toUpperCase() && KEYWORDS.has(word.toLowerCase()));
+}
+
+// Returns 'json', 'markup', 'code' or null for text that does not look like
+// any of them. Only the first lines are inspected, so this is cheap for large text.
+function detectLanguage(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+
+    if (/^[[{]/.test(trimmed) && /[\]}]$/.test(trimmed) && trimmed.length <= HIGHLIGHT_MAX_CHARS) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            // Not JSON, may still be code
+        }
+    }
+    if (/^<(?:!--|!doctype|\?xml|[A-Za-z][\w:-]*[\s>/])/i.test(trimmed) && /<\/[A-Za-z][\w:-]*>|\/>\s*$/.test(trimmed.slice(0, 5000))) {
+        return 'markup';
+    }
+
+    const lines = trimmed.slice(0, 5000).split('\n').filter(line => line.trim()).slice(0, 50);
+    const codeLines = lines.filter(line =>
+        /[;{}]\s*$/.test(line) ||
+        /^\s*(?:import|from|def|class|function|const|let|var|return|if|for|while|#include|package|public|private|fn|func|SELECT|INSERT|UPDATE|CREATE|DELETE)\b/.test(line) ||
+        /=>|===|!==|&&|\|\||::|->/.test(line)
+    ).length;
+    return codeLines >= 2 && codeLines >= lines.length * 0.3 ? 'code' : null;
+}
+
+// Escaped HTML for `text` with tokens wrapped in <span class="hl-...">
+function highlightCode(text, language) {
+    if (language === 'json') {
+        return tokenize(text, GRAMMARS.json, wrapToken);
+    }
+    if (language === 'markup') {
+        return tokenize(text, GRAMMARS.markup, (kind, value) =>
+            kind === 'tag' ? highlightMarkupTag(value) : wrapToken(kind, value));
+    }
+    if (language === 'code') {
+        return tokenize(text, GRAMMARS.code, (kind, value, end) => {
+            if (kind !== 'word') return wrapToken(kind, value);
+            if (LITERALS.has(value)) return wrapToken('literal', value);
+            if (isKeyword(value)) return wrapToken('keyword', value);
+            if (FUNCTION_CALL.test(text.slice(end, end + 20))) return wrapToken('function', value);
+            return escapeCode(value);
+        });
+    }
+    return escapeCode(text);
+}
+
+// The main process loads this file too, to classify captured text
+if (typeof module !== 'undefined') {
+    module.exports = { detectLanguage };
+}
@@ -0,0 +1,196 @@
+// Picker popup: search box and top items at the mouse cursor. The main
+// process does the searching; this only renders what it sends back and
+// handles the keys.
+
+const SEARCH_DEBOUNCE_MS = 150;
+const MAX_TEXT_LENGTH = 200;
+
+const elements = {
+    search: document.getElementById('pickerSearch'),
+    list: document.getElementById('pickerList'),
+    notice: document.getElementById('pickerNotice'),
+    openManagerBtn: document.getElementById('openManagerBtn')
+};
+
+let items = [];
+let selectedIndex = 0;
+let searchDebounce = null;
+// Set while a paste is under way, so a second key press can't start another
+let choosing = false;
+// A paste that failed after the picker hid, shown the next time it opens
+let pendingNotice = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// For values inside a quoted attribute, where escapeHtml leaves quotes alone
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function showNotice(message) {
+    elements.notice.textContent = message || '';
+    elements.notice.classList.toggle('show', !!message);
+}
+
+// One line per item; masked items never show their text here
+function renderItemContent(item) {
+    if (item.type === 'image') {
+        return `<img class="picker-thumbnail" src="${item.thumbnail}" alt="Image"><span class="picker-text">${item.width} \u00d7 ${item.height}</span>`;
+    }
+    if (item.masked) {
+        const label = item.sensitive ? `Sensitive (${item.sensitive.ruleName})` : 'Sensitive';
+        return `<span class="picker-text masked" title="${escapeAttribute(label)}">${'\u2022'.repeat(Math.min(item.content.length, 16))}</span>`;
+    }
+    const text = item.type === 'files'
+        ? item.formats.files.map(file => file.split(/[\\/]/).pop()).join(', ')
+        : item.content.replace(/\s+/g, ' ').trim();
+    return `<span class="picker-text">${escapeHtml(text.slice(0, MAX_TEXT_LENGTH))}</span>`;
+}
+
+function render() {
+    if (items.length === 0) {
+        elements.list.innerHTML = `<li class="picker-empty">${elements.search.value ? 'No matches' : 'No items yet'}</li>`;
+        return;
+    }
+    elements.list.innerHTML = items.map((item, index) => `
+        <li class="picker-item${item.masked ? ' masked' : ''}${index === selectedIndex ? ' selected' : ''}" data-index="${index}">
+            <span class="picker-number">${index < 9 ? index + 1 : ''}</span>
+            ${renderItemContent(item)}
+            ${item.pinned ? '<i class="fas fa-thumbtack picker-pin" title="Pinned"></i>' : ''}
+        </li>
+    `).join('');
+}
+
+function updateSelection(index) {
+    if (items.length === 0) return;
+    selectedIndex = Math.max(0, Math.min(index, items.length - 1));
+    elements.list.querySelectorAll('.picker-item').forEach((node, i) => {
+        node.classList.toggle('selected', i === selectedIndex);
+    });
+    const node = elements.list.children[selectedIndex];
+    if (node) node.scrollIntoView({ block: 'nearest' });
+}
+
+async function loadItems() {
+    clearTimeout(searchDebounce);
+    searchDebounce = null;
+    const result = await window.electronAPI.getPickerItems(elements.search.value);
+    if (!result.success) {
+        showNotice(result.error);
+        return;
+    }
+    showNotice(null);
+    // Keep the selection on the same item when the history changes under it
+    const selectedId = items[selectedIndex] && items[selectedIndex].id;
+    items = result.items;
+    const index = items.findIndex(item => item.id === selectedId);
+    selectedIndex = index === -1 ? 0 : index;
+    render();
+}
+
+async function choose(index, options = {}) {
+    const item = items[index];
+    if (!item || choosing) return;
+    choosing = true;
+    try {
+        const result = await window.electronAPI.pickerChoose(item.id, options);
+        if (!result.success) {
+            showNotice(`Failed to copy: ${result.error}`);
+        } else if (result.pasteError) {
+            pendingNotice = `Copied, but the paste failed: ${result.pasteError}`;
+        }
+    } finally {
+        choosing = false;
+    }
+}
+
+function hide() {
+    window.electronAPI.hidePicker();
+}
+
+// Every time the picker opens it starts over with an empty search
+window.electronAPI.onPickerShown(async () => {
+    elements.search.value = '';
+    items = [];
+    selectedIndex = 0;
+    await loadItems();
+    if (pendingNotice) {
+        showNotice(pendingNotice);
+        pendingNotice = null;
+    }
+    elements.list.focus();
+});
+
+window.electronAPI.onPickerHistoryChanged(() => {
+    loadItems();
+});
+
+elements.search.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => {
+        selectedIndex = 0;
+        items = [];
+        loadItems();
+    }, SEARCH_DEBOUNCE_MS);
+});
+
+elements.list.addEventListener('click', (e) => {
+    const node = e.target.closest('.picker-item');
+    if (node) choose(Number(node.dataset.index), { plainText: e.shiftKey });
+});
+
+elements.openManagerBtn.addEventListener('click', () => {
+    window.electronAPI.openManager();
+});
+
+document.addEventListener('keydown', async (e) => {
+    const isSearchFocused = document.activeElement === elements.search;
+
+    // Escape: clear the search first, then close
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        if (elements.search.value) {
+            elements.search.value = '';
+            selectedIndex = 0;
+            items = [];
+            await loadItems();
+            elements.list.focus();
+        } else {
+            hide();
+        }
+        return;
+    }
+
+    // Number keys 1-9: paste that item (only when not typing in search)
+    if (!isSearchFocused && e.key >= '1' && e.key <= '9' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        choose(parseInt(e.key) - 1);
+        return;
+    }
+
+    if (['ArrowDown', 'ArrowUp', 'Enter'].includes(e.key)) {
+        e.preventDefault();
+        // Apply a pending search before navigating the results
+        if (searchDebounce) await loadItems();
+        if (e.key === 'Enter') {
+            // Enter pastes the selected item; Shift+Enter pastes it as plain text
+            choose(selectedIndex, { plainText: e.shiftKey });
+        } else {
+            updateSelection(selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+        }
+        return;
+    }
+
+    // Any other character starts a search
+    if (!isSearchFocused && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        elements.search.focus();
+    }
+});
+
+window.addEventListener('beforeunload', () => {
+    window.electronAPI.removeAllListeners();
+});
@@ -4,15 +4,70 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   getClipboardHistory: () => ipcRenderer.invoke('get-clipboard-history'),
-  copyToClipboard: (content, type) => ipcRenderer.invoke('copy-to-clipboard', content, type),
+  copyToClipboard: (itemId, options = {}) => ipcRenderer.invoke('copy-to-clipboard', itemId, options),
+  getItemImage: (itemId) => ipcRenderer.invoke('get-item-image', itemId),
   clearClipboard: () => ipcRenderer.invoke('clear-clipboard'),
-  clearHistory: () => ipcRenderer.invoke('clear-history'),
-  deleteHistoryItem: (itemId) => ipcRenderer.invoke('delete-history-item', itemId),
+  clearHistory: (options = {}) => ipcRenderer.invoke('clear-history', options),
+  deleteHistoryItem: (itemId, options = {}) => ipcRenderer.invoke('delete-history-item', itemId, options),
   getMemoryUsage: () => ipcRenderer.invoke('get-memory-usage'),
   onClipboardUpdate: (callback) => ipcRenderer.on('clipboard-updated', callback),
-  removeAllListeners: () => ipcRenderer.removeAllListeners('clipboard-updated'),
+  removeAllListeners: () => {
+    ipcRenderer.removeAllListeners('clipboard-updated');
+    ipcRenderer.removeAllListeners('settings-changed');
+    ipcRenderer.removeAllListeners('paste-queue-updated');
+    ipcRenderer.removeAllListeners('history-evicted');
+    ipcRenderer.removeAllListeners('trash-updated');
+    ipcRenderer.removeAllListeners('paste-failed');
+    ipcRenderer.removeAllListeners('picker-shown');
+    ipcRenderer.removeAllListeners('picker-history-changed');
+  },
   getWindowPosition: () => ipcRenderer.invoke('get-window-position'),
   moveWindow: (x, y) => ipcRenderer.invoke('move-window', x, y),
-  hideWindow: (shouldPaste = false) => ipcRenderer.invoke('hide-window', shouldPaste),
-  togglePinItem: (itemId) => ipcRenderer.invoke('toggle-pin-item', itemId)
+  hideWindow: (shouldPaste = false, options = {}) => ipcRenderer.invoke('hide-window', shouldPaste, options),
+  togglePinItem: (itemId) => ipcRenderer.invoke('toggle-pin-item', itemId),
+  editHistoryItem: (itemId, text, options = {}) => ipcRenderer.invoke('edit-history-item', itemId, text, options),
+  undoHistoryEdit: () => ipcRenderer.invoke('undo-history-edit'),
+  openItemLink: (itemId) => ipcRenderer.invoke('open-item-link', itemId),
+  revealItemPath: (itemId) => ipcRenderer.invoke('reveal-item-path', itemId),
+  setItemTags: (itemId, tags) => ipcRenderer.invoke('set-item-tags', itemId, tags),
+  renameTag: (name, newName) => ipcRenderer.invoke('rename-tag', name, newName),
+  pinHistoryItems: (itemIds, pinned) => ipcRenderer.invoke('pin-history-items', itemIds, pinned),
+  deleteHistoryItems: (itemIds, options = {}) => ipcRenderer.invoke('delete-history-items', itemIds, options),
+  copyHistoryItems: (itemIds) => ipcRenderer.invoke('copy-history-items', itemIds),
+  mergeHistoryItems: (itemIds) => ipcRenderer.invoke('merge-history-items', itemIds),
+  exportHistory: (options) => ipcRenderer.invoke('export-history', options),
+  importHistory: () => ipcRenderer.invoke('import-history'),
+  getPersistence: () => ipcRenderer.invoke('get-persistence'),
+  getSensitiveConfig: () => ipcRenderer.invoke('get-sensitive-config'),
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  setSettings: (partial) => ipcRenderer.invoke('set-settings', partial),
+  onSettingsChange: (callback) => ipcRenderer.on('settings-changed', callback),
+  getEvictionLog: () => ipcRenderer.invoke('get-eviction-log'),
+  clearEvictionLog: () => ipcRenderer.invoke('clear-eviction-log'),
+  onHistoryEvicted: (callback) => ipcRenderer.on('history-evicted', callback),
+  getTrash: () => ipcRenderer.invoke('get-trash'),
+  restoreTrashItems: (itemIds) => ipcRenderer.invoke('restore-trash-items', itemIds),
+  deleteTrashItems: (itemIds) => ipcRenderer.invoke('delete-trash-items', itemIds),
+  onTrashUpdate: (callback) => ipcRenderer.on('trash-updated', callback),
+  getStats: () => ipcRenderer.invoke('get-stats'),
+  resetStats: () => ipcRenderer.invoke('reset-stats'),
+  getSnippets: () => ipcRenderer.invoke('get-snippets'),
+  saveSnippet: (snippet) => ipcRenderer.invoke('save-snippet', snippet),
+  deleteSnippet: (snippetId) => ipcRenderer.invoke('delete-snippet', snippetId),
+  expandSnippet: (snippetId, inputs = {}) => ipcRenderer.invoke('expand-snippet', snippetId, inputs),
+  getTransforms: () => ipcRenderer.invoke('get-transforms'),
+  applyTransform: (itemId, transformId, options = {}) => ipcRenderer.invoke('apply-transform', itemId, transformId, options),
+  getPasteQueue: () => ipcRenderer.invoke('get-paste-queue'),
+  setPasteQueueCollecting: (collecting) => ipcRenderer.invoke('set-paste-queue-collecting', collecting),
+  reorderPasteQueue: (entryIds) => ipcRenderer.invoke('reorder-paste-queue', entryIds),
+  removePasteQueueItem: (entryId) => ipcRenderer.invoke('remove-paste-queue-item', entryId),
+  clearPasteQueue: () => ipcRenderer.invoke('clear-paste-queue'),
+  onPasteQueueUpdate: (callback) => ipcRenderer.on('paste-queue-updated', callback),
+  onPasteFailed: (callback) => ipcRenderer.on('paste-failed', callback),
+  getPickerItems: (query) => ipcRenderer.invoke('get-picker-items', query),
+  pickerChoose: (itemId, options = {}) => ipcRenderer.invoke('picker-choose', itemId, options),
+  hidePicker: () => ipcRenderer.invoke('hide-picker'),
+  openManager: () => ipcRenderer.invoke('open-manager'),
+  onPickerShown: (callback) => ipcRenderer.on('picker-shown', callback),
+  onPickerHistoryChanged: (callback) => ipcRenderer.on('picker-history-changed', callback)
 });
@@ -0,0 +1,259 @@
+// Search query language
+//
+// A query is a list of space-separated terms, all of which must match:
+//   word / "a phrase"    fuzzy match against the item text
+//   type:text|image|files, is:pinned|masked|sensitive|rich|tagged
+//   type:url|email|path|color|json|code|phone|number|prose (kinds of text)
+//   tag:sql, tag:"deploy commands", tag:sql,shell (any of them)
+//   app:firefox, app:"Visual Studio Code" (the app it was copied in)
+//   after:2026-10-01, before:2026-10-01
+//   size:>10kb, size:<=1mb
+//   /regex/flags
+// Any term can be negated with a leading "-".
+
+// Only the head of very large entries is searched, to keep typing responsive
+const MAX_SEARCH_CHARS = 20000;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+function tokenizeQuery(query) {
+    const tokens = [];
+    const pattern = /(-?)(?:"([^"]*)"?|\/((?:\\.|[^/\\])+)\/([dgimsuvy]*)(?=\s|$)|([a-zA-Z]+):"([^"]*)"?|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const [, negate, phrase, regexSource, regexFlags, key, quotedValue, word] = match;
+        // key:"quoted value" lets operator values contain spaces
+        tokens.push({
+            negate: negate === '-',
+            phrase,
+            regexSource,
+            regexFlags,
+            word: key !== undefined ? `${key}:${quotedValue}` : word
+        });
+    }
+    return tokens;
+}
+
+function parseSize(value) {
+    const match = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(value);
+    if (!match) return null;
+    const [, op = '=', amount, unit = 'b'] = match;
+    return { op, bytes: parseFloat(amount) * SIZE_UNITS[unit.toLowerCase()] };
+}
+
+function compareSize(size, { op, bytes }) {
+    switch (op) {
+        case '>': return size > bytes;
+        case '>=': return size >= bytes;
+        case '<': return size < bytes;
+        case '<=': return size <= bytes;
+        default: return size === bytes;
+    }
+}
+
+// Operator terms become predicates on the item; returns null for words that
+// only look like operators (e.g. "http://...") so they are searched as text
+function parseOperator(word) {
+    const colon = word.indexOf(':');
+    if (colon <= 0) return null;
+    const key = word.slice(0, colon).toLowerCase();
+    const value = word.slice(colon + 1);
+    const valueLower = value.toLowerCase();
+
+    switch (key) {
+        case 'type': {
+            const types = valueLower.split(',');
+            return item => types.includes(item.type) || types.includes(item.kind);
+        }
+        case 'is':
+            if (valueLower === 'pinned') return item => !!item.pinned;
+            if (valueLower === 'masked') return item => !!item.masked;
+            if (valueLower === 'sensitive') return item => !!item.sensitive;
+            if (valueLower === 'rich') return item => !!(item.formats && (item.formats.html || item.formats.rtf));
+            if (valueLower === 'tagged') return item => !!(item.tags && item.tags.length);
+            return null;
+        case 'tag': {
+            const tags = valueLower.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (tags.length === 0) return { error: 'tag: needs a tag name' };
+            return item => !!item.tags && item.tags.some(tag => tags.includes(tag.toLowerCase()));
+        }
+        case 'app': {
+            const apps = valueLower.split(',').map(app => app.trim()).filter(Boolean);
+            if (apps.length === 0) return { error: 'app: needs an application name' };
+            return item => !!item.sourceApp && apps.some(app => item.sourceApp.toLowerCase().includes(app));
+        }
+        case 'after':
+        case 'before': {
+            const date = Date.parse(value);
+            if (isNaN(date)) return { error: `Invalid date "${value}"` };
+            // before:2026-10-01 means earlier than that day; after: means from the end of it
+            const boundary = key === 'after' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+                ? date + 86400000
+                : date;
+            return key === 'after'
+                ? item => Date.parse(item.timestamp) >= boundary
+                : item => Date.parse(item.timestamp) < boundary;
+        }
+        case 'size': {
+            const size = parseSize(value);
+            if (!size) return { error: `Invalid size "${value}"` };
+            return item => compareSize(item.size, size);
+        }
+        default:
+            return null;
+    }
+}
+
+function parseSearchQuery(query) {
+    const parsed = { filters: [], terms: [], excludedTerms: [], regexes: [], error: null };
+
+    for (const token of tokenizeQuery(query)) {
+        if (token.regexSource !== undefined) {
+            try {
+                parsed.regexes.push({ negate: token.negate, regex: new RegExp(token.regexSource, token.regexFlags) });
+            } catch (error) {
+                parsed.error = `Invalid regular expression: ${error.message}`;
+            }
+            continue;
+        }
+
+        const text = token.phrase !== undefined ? token.phrase : token.word;
+        if (!text) continue;
+        const operator = token.phrase === undefined ? parseOperator(text) : null;
+
+        if (operator && operator.error) {
+            parsed.error = operator.error;
+        } else if (operator) {
+            parsed.filters.push(token.negate ? item => !operator(item) : operator);
+        } else if (token.negate) {
+            parsed.excludedTerms.push(text.toLowerCase());
+        } else {
+            parsed.terms.push(text.toLowerCase());
+        }
+    }
+    return parsed;
+}
+
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_./\\:,;([{"']/.test(text[index - 1]);
+}
+
+// Scores how well `term` matches `text` (both lowercase). Substrings win;
+// otherwise every character must appear in order, preferring consecutive
+// runs and word starts. Returns { score, positions } or null.
+function fuzzyMatch(term, text) {
+    const substringIndex = text.indexOf(term);
+    if (substringIndex !== -1) {
+        const positions = [];
+        for (let i = 0; i < term.length; i++) positions.push(substringIndex + i);
+        const score = 100 + term.length * 10 + (isWordStart(text, substringIndex) ? 20 : 0) -
+                      Math.min(substringIndex, 50) / 10;
+        return { score, positions };
+    }
+
+    const positions = [];
+    let score = 0;
+    let searchFrom = 0;
+    let previous = -2;
+    for (const char of term) {
+        const index = text.indexOf(char, searchFrom);
+        if (index === -1) return null;
+        if (index === previous + 1) score += 8;
+        else score -= Math.min(index - previous - 1, 10);
+        if (isWordStart(text, index)) score += 6;
+        positions.push(index);
+        previous = index;
+        searchFrom = index + 1;
+    }
+    // Matches scattered across a long text are almost always noise
+    const span = positions[positions.length - 1] - positions[0] + 1;
+    if (term.length > 1 && span > term.length * 8) return null;
+    return { score: score + term.length, positions };
+}
+
+// Returns { match, hasTextTerms, error }. match(item) gives { score, positions }
+// when the item matches the query (positions index into item.content), or
+// null when it does not
+function createSearchMatcher(query) {
+    const parsed = parseSearchQuery(query);
+    const hasTextTerms = parsed.terms.length > 0 || parsed.regexes.some(r => !r.negate);
+    const lowerCache = new Map();
+
+    function getSearchText(item) {
+        if (item.type === 'image') return null;
+        const key = `${item.id}:${item.content.length}`;
+        let cached = lowerCache.get(key);
+        if (cached === undefined) {
+            const raw = item.content.slice(0, MAX_SEARCH_CHARS);
+            cached = { raw, lower: raw.toLowerCase() };
+            lowerCache.set(key, cached);
+        }
+        return cached;
+    }
+
+    function match(item) {
+        if (!parsed.filters.every(filter => filter(item))) return null;
+
+        const text = getSearchText(item);
+        if (!text) return hasTextTerms ? null : { score: 0, positions: [] };
+
+        if (parsed.excludedTerms.some(term => text.lower.includes(term))) return null;
+
+        let score = 0;
+        const positions = [];
+        for (const term of parsed.terms) {
+            const result = fuzzyMatch(term, text.lower);
+            if (!result) return null;
+            score += result.score;
+            positions.push(...result.positions);
+        }
+        for (const { negate, regex } of parsed.regexes) {
+            regex.lastIndex = 0;
+            const result = regex.exec(text.raw);
+            if (negate ? result : !result) return null;
+            if (!negate) {
+                score += 50;
+                for (let i = 0; i < result[0].length; i++) positions.push(result.index + i);
+            }
+        }
+        return { score, positions };
+    }
+
+    return { match, hasTextTerms, error: parsed.error };
+}
+
+// Escaped HTML for `text` with matched characters wrapped in <mark>. When the
+// first match falls outside the first `maxLength` characters the excerpt is
+// shifted so the match is visible.
+function highlightMatches(text, positions, maxLength, escape) {
+    if (!positions || positions.length === 0) {
+        return escape(text.length > maxLength ? text.substring(0, maxLength) + '...' : text);
+    }
+
+    const sorted = [...new Set(positions)].sort((a, b) => a - b);
+    let start = 0;
+    if (sorted[0] >= maxLength - 20) start = Math.max(0, sorted[0] - 40);
+    const end = Math.min(text.length, start + maxLength);
+    const marked = new Set(sorted);
+
+    let html = start > 0 ? '...' : '';
+    let run = '';
+    let inMark = false;
+    for (let i = start; i < end; i++) {
+        const isMarked = marked.has(i);
+        if (isMarked !== inMark) {
+            html += inMark ? `<mark>${escape(run)}</mark>` : escape(run);
+            run = '';
+            inMark = isMarked;
+        }
+        run += text[i];
+    }
+    html += inMark ? `<mark>${escape(run)}</mark>` : escape(run);
+    if (end < text.length) html += '...';
+    return html;
+}
+
+// The main process loads this file too, for searches from the scripting API
+if (typeof module !== 'undefined') {
+    module.exports = { createSearchMatcher };
+}
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistorySync } = require('../main/history-sync');
+
+function makeItem(id, extra = {}) {
+  return { id, content: `item ${id}`, pinned: false, ...extra };
+}
+
+// What a renderer does with the changes, including the resync on a gap
+function createRenderer(sync) {
+  let { version, history } = sync.getSnapshot([]);
+  let resyncs = 0;
+  return {
+    apply(changes, currentHistory) {
+      const pending = changes.filter(change => change.version > version);
+      if (pending.length === 0) return;
+      if (pending[0].version !== version + 1) {
+        resyncs++;
+        ({ version, history } = sync.getSnapshot(currentHistory));
+        return;
+      }
+      for (const change of pending) {
+        if (change.type === 'item-added') history.splice(change.index, 0, change.item);
+        else if (change.type === 'item-updated') history = history.map(item => (item.id === change.item.id ? change.item : item));
+        else if (change.type === 'item-removed') history = history.filter(item => item.id !== change.id);
+        else if (change.type === 'cleared') history = [];
+        else if (change.type === 'reset') history = change.history;
+      }
+      version = pending[pending.length - 1].version;
+    },
+    get history() { return history; },
+    get resyncs() { return resyncs; }
+  };
+}
+
+test('nothing changed means no changes', () => {
+  const sync = createHistorySync();
+  const history = [makeItem(1)];
+  sync.collectChanges(history);
+  assert.deepEqual(sync.collectChanges(history), []);
+});
+
+test('versions go up by one per change', () => {
+  const sync = createHistorySync();
+  const changes = sync.collectChanges([makeItem(2), makeItem(1)]);
+  assert.deepEqual(changes.map(change => change.version), [1, 2]);
+  assert.deepEqual(sync.collectChanges([makeItem(3), makeItem(2), makeItem(1)]).map(change => change.version), [3]);
+});
+
+test('adds, updates and removals describe the new history', () => {
+  const sync = createHistorySync();
+  let history = [makeItem(2), makeItem(1)];
+  sync.collectChanges(history);
+
+  history = [makeItem(3), { ...history[0], pinned: true }];
+  const changes = sync.collectChanges(history);
+  assert.deepEqual(changes.map(change => change.type), ['item-removed', 'item-added', 'item-updated']);
+  assert.equal(changes[0].id, 1);
+  assert.equal(changes[1].index, 0);
+  assert.equal(changes[2].item.pinned, true);
+});
+
+test('emptying the history is a single cleared change', () => {
+  const sync = createHistorySync();
+  sync.collectChanges([makeItem(2), makeItem(1)]);
+  assert.deepEqual(sync.collectChanges([]).map(change => change.type), ['cleared']);
+  assert.deepEqual(sync.collectChanges([]), []);
+});
+
+test('items that swapped places send the whole history', () => {
+  const sync = createHistorySync();
+  const [a, b] = [makeItem(1), makeItem(2)];
+  sync.collectChanges([a, b]);
+  const changes = sync.collectChanges([b, a]);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].type, 'reset');
+  assert.deepEqual(changes[0].history.map(item => item.id), [2, 1]);
+});
+
+test('a renderer that applies every change ends up with the same history', () => {
+  const sync = createHistorySync();
+  const renderer = createRenderer(sync);
+  const steps = [
+    [makeItem(1)],
+    [makeItem(2), makeItem(1)],
+    [makeItem(3), makeItem(2, { pinned: true }), makeItem(1)],
+    [makeItem(3), makeItem(1)],
+    [makeItem(1), makeItem(3)],
+    [],
+    [makeItem(4)]
+  ];
+  for (const history of steps) {
+    renderer.apply(sync.collectChanges(history), history);
+    assert.deepEqual(renderer.history, history);
+  }
+  assert.equal(renderer.resyncs, 0);
+});
+
+test('a renderer that missed a change resyncs from a snapshot', () => {
+  const sync = createHistorySync();
+  const renderer = createRenderer(sync);
+  let history = [makeItem(1)];
+  renderer.apply(sync.collectChanges(history), history);
+
+  // Lost, e.g. sent while the window was reloading
+  history = [makeItem(2), makeItem(1)];
+  sync.collectChanges(history);
+
+  history = [makeItem(3), makeItem(2), makeItem(1)];
+  renderer.apply(sync.collectChanges(history), history);
+  assert.equal(renderer.resyncs, 1);
+  assert.deepEqual(renderer.history, history);
+
+  // And carries on incrementally from the snapshot's version
+  history = [makeItem(4), ...history];
+  renderer.apply(sync.collectChanges(history), history);
+  assert.equal(renderer.resyncs, 1);
+  assert.deepEqual(renderer.history, history);
+});
+
+test('a snapshot counts the changes it includes', () => {
+  const sync = createHistorySync();
+  sync.collectChanges([makeItem(1)]);
+  const snapshot = sync.getSnapshot([makeItem(2), makeItem(1)]);
+  assert.equal(snapshot.version, 2);
+  assert.deepEqual(sync.collectChanges([makeItem(2), makeItem(1)]), []);
+});
+
+test('changes and snapshots go through toRendererItem', () => {
+  const sync = createHistorySync({ toRendererItem: item => ({ ...item, mapped: true }) });
+  assert.equal(sync.collectChanges([makeItem(1)])[0].item.mapped, true);
+  assert.equal(sync.getSnapshot([makeItem(1)]).history[0].mapped, true);
+});
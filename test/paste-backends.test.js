@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateKeyCombo,
+  validatePasteKeyOverrides,
+  detectPasteBackend,
+  getPasteKeys,
+  buildPasteCommands
+} = require('../main/paste-backends');
+
+test('key combos need known modifiers and a single key', () => {
+  assert.equal(validateKeyCombo('ctrl+shift+v'), null);
+  assert.equal(validateKeyCombo('Ctrl + Insert'), null);
+  assert.match(validateKeyCombo('hyper+v'), /is not a key combination/);
+  assert.match(validateKeyCombo('ctrl+ctrl+v'), /is not a key combination/);
+  assert.match(validateKeyCombo('ctrl+F5'), /is not a key combination/);
+});
+
+test('overrides must map app names to valid keys', () => {
+  assert.deepEqual(validatePasteKeyOverrides({ kitty: 'ctrl+shift+v' }), []);
+  assert.deepEqual(validatePasteKeyOverrides([]), ['Must map application names to keys']);
+  assert.deepEqual(validatePasteKeyOverrides({ ' ': 'ctrl+v' }), ['Application names cannot be empty']);
+  assert.deepEqual(validatePasteKeyOverrides({ kitty: '' }), ['No keys for kitty']);
+});
+
+test('auto picks a backend by platform and session', () => {
+  const has = available => name => available.includes(name);
+  assert.equal(detectPasteBackend({ platform: 'darwin', env: {} }), 'osascript');
+  assert.equal(detectPasteBackend({ platform: 'win32', env: {} }), null);
+  assert.equal(detectPasteBackend({ platform: 'linux', env: {}, hasCommand: has(['xdotool']) }), 'xdotool');
+  assert.equal(detectPasteBackend({ platform: 'linux', env: {}, hasCommand: has([]) }), null);
+  assert.equal(
+    detectPasteBackend({ platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0' }, hasCommand: has(['ydotool', 'xdotool']) }),
+    'ydotool'
+  );
+});
+
+test('overrides match app names ignoring case', () => {
+  const overrides = { kitty: 'ctrl+shift+v' };
+  assert.equal(getPasteKeys('Kitty', overrides, 'linux'), 'ctrl+shift+v');
+  assert.equal(getPasteKeys('firefox', overrides, 'linux'), 'ctrl+v');
+  assert.equal(getPasteKeys(null, overrides, 'darwin'), 'cmd+v');
+});
+
+test('xdotool presses the keys, then moves the caret back', () => {
+  assert.deepEqual(buildPasteCommands('xdotool', { keys: 'ctrl+shift+v', cursorBack: 3 }), [
+    { file: 'xdotool', args: ['key', '--clearmodifiers', 'ctrl+shift+v'] },
+    { file: 'xdotool', args: ['key', '--delay', '5', '--repeat', '3', 'Left'] }
+  ]);
+});
+
+test('wtype and ydotool release modifiers in reverse order', () => {
+  assert.deepEqual(buildPasteCommands('wtype', { keys: 'ctrl+shift+v' }), [
+    { file: 'wtype', args: ['-M', 'ctrl', '-M', 'shift', '-k', 'v', '-m', 'shift', '-m', 'ctrl'] }
+  ]);
+  assert.deepEqual(buildPasteCommands('ydotool', { keys: 'ctrl+v' }), [
+    { file: 'ydotool', args: ['key', '29:1', '47:1', '47:0', '29:0'] }
+  ]);
+});
+
+test('osascript uses keystroke for letters and key codes for named keys', () => {
+  const [letter] = buildPasteCommands('osascript', { keys: 'cmd+v' });
+  assert.ok(letter.args.includes('keystroke "v" using {command down}'));
+  const [named] = buildPasteCommands('osascript', { keys: 'shift+tab', cursorBack: 2 });
+  assert.ok(named.args.includes('key code 48 using {shift down}'));
+  assert.ok(named.args.includes('repeat 2 times'));
+  assert.throws(() => buildPasteCommands('osascript', { keys: 'shift+insert' }), /osascript can't press Insert/);
+});
+
+test('a custom command gets the keys and needs to be set', () => {
+  assert.deepEqual(buildPasteCommands('custom', { keys: 'ctrl+v', customCommand: 'paste-it {keys}' }), [{ shell: 'paste-it ctrl+v' }]);
+  assert.throws(() => buildPasteCommands('custom', { keys: 'ctrl+v' }), /Set the custom paste command/);
+});
+
+test('caret moves are capped and invalid keys are an error', () => {
+  const [, move] = buildPasteCommands('xdotool', { keys: 'ctrl+v', cursorBack: 1e9 });
+  assert.equal(move.args[4], '1000');
+  assert.throws(() => buildPasteCommands('xdotool', { keys: 'nope+v' }), /is not a key combination/);
+  assert.throws(() => buildPasteCommands('pastebot', { keys: 'ctrl+v' }), /Unknown paste backend "pastebot"/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPasteQueue } = require('../main/paste-queue');
+
+function contents(queue) {
+  return queue.getState().entries.map(entry => entry.content);
+}
+
+test('FIFO pastes the oldest copy first, LIFO the newest', () => {
+  const fifo = createPasteQueue({ order: 'fifo' });
+  const lifo = createPasteQueue({ order: 'lifo' });
+  for (const content of ['a', 'b', 'c']) {
+    fifo.push({ content });
+    lifo.push({ content });
+  }
+  assert.equal(fifo.shift().content, 'a');
+  assert.equal(lifo.shift().content, 'c');
+});
+
+test('switching order flips the pending entries', () => {
+  const queue = createPasteQueue();
+  ['a', 'b', 'c'].forEach(content => queue.push({ content }));
+  queue.setOrder('lifo');
+  assert.deepEqual(contents(queue), ['c', 'b', 'a']);
+  queue.setOrder('lifo');
+  assert.deepEqual(contents(queue), ['c', 'b', 'a']);
+});
+
+test('reorder takes the complete queue and nothing else', () => {
+  const queue = createPasteQueue();
+  const [a, b] = ['a', 'b'].map(content => queue.push({ content }));
+  assert.equal(queue.reorder([b.id]), false);
+  assert.equal(queue.reorder([b.id, b.id]), false);
+  assert.equal(queue.reorder([b.id, a.id]), true);
+  assert.deepEqual(contents(queue), ['b', 'a']);
+});
+
+test('entries copied from an item go with it', () => {
+  const queue = createPasteQueue();
+  queue.push({ content: 'a', sourceId: 1 });
+  queue.push({ content: 'b', sourceId: 2 });
+  queue.push({ content: 'a again', sourceId: 1 });
+  assert.equal(queue.removeBySource([1]), true);
+  assert.deepEqual(contents(queue), ['b']);
+  assert.equal(queue.removeBySource([1]), false);
+});
+
+test('entries follow an item that gets a new id', () => {
+  const queue = createPasteQueue();
+  queue.push({ content: 'a', sourceId: 1 });
+  queue.renameSource(1, 5);
+  assert.equal(queue.removeBySource([1]), false);
+  assert.equal(queue.removeBySource([5]), true);
+  assert.equal(queue.size(), 0);
+});
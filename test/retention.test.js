@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRetentionPolicy, selectEvictions, describeEviction, appendEvictionLog } = require('../main/retention');
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const NO_LIMITS = { maxAgeDays: 0, maxItems: 0, maxTextBytes: 0, maxImageBytes: 0, maxMemoryBytes: 0, maxItemBytes: 0 };
+
+// Newest first, like the history: item 1 is the newest
+function makeHistory(count, extra = () => ({})) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    type: 'text',
+    content: `item ${index + 1}`,
+    size: 100,
+    timestamp: new Date(NOW - index * 60000).toISOString(),
+    ...extra(index + 1)
+  }));
+}
+
+function evictedIds(history, policy) {
+  return selectEvictions(history, { ...NO_LIMITS, ...policy }, NOW).map(({ item, reason }) => `${item.id}:${reason}`);
+}
+
+test('no limits keep everything', () => {
+  assert.deepEqual(evictedIds(makeHistory(5), {}), []);
+});
+
+test('the item limit removes the oldest first', () => {
+  assert.deepEqual(evictedIds(makeHistory(5), { maxItems: 3 }), ['5:count', '4:count']);
+});
+
+test('pinned and tagged items are never removed and still count', () => {
+  const history = makeHistory(5, id => (id === 5 ? { pinned: true } : id === 4 ? { tags: ['keep'] } : {}));
+  assert.deepEqual(evictedIds(history, { maxItems: 3 }), ['3:count', '2:count']);
+});
+
+test('the age limit goes first and its items are not counted again', () => {
+  const history = makeHistory(4);
+  history[3].timestamp = new Date(NOW - 3 * DAY_MS).toISOString();
+  assert.deepEqual(evictedIds(history, { maxAgeDays: 2, maxItems: 2 }), ['4:age', '3:count']);
+});
+
+test('text and image size limits only measure their own type', () => {
+  const history = makeHistory(4, id => (id % 2 === 0 ? { type: 'image', size: MB } : { size: MB }));
+  assert.deepEqual(evictedIds(history, { maxTextBytes: MB, maxImageBytes: 2 * MB }), ['3:text-size']);
+  assert.deepEqual(evictedIds(history, { maxImageBytes: MB }), ['4:image-size']);
+});
+
+test('the memory limit removes the oldest until the rest fits', () => {
+  const history = makeHistory(4, () => ({ size: MB }));
+  assert.deepEqual(evictedIds(history, { maxMemoryBytes: 2.5 * MB }), ['4:memory', '3:memory']);
+});
+
+test('getRetentionPolicy converts megabytes to bytes', () => {
+  const policy = getRetentionPolicy({ maxAgeDays: 7, maxItems: 50, maxTextMB: 1, maxImageMB: 2, maxMemoryMB: 3, maxItemSizeMB: 4 });
+  assert.deepEqual(policy, {
+    maxAgeDays: 7,
+    maxItems: 50,
+    maxTextBytes: MB,
+    maxImageBytes: 2 * MB,
+    maxMemoryBytes: 3 * MB,
+    maxItemBytes: 4 * MB
+  });
+});
+
+test('the eviction log keeps no preview of secrets or images', () => {
+  const policy = { ...NO_LIMITS, maxItems: 10 };
+  const [text, secret, image] = makeHistory(3, id => (id === 2 ? { sensitive: { ruleId: 'x' } } : id === 3 ? { type: 'image' } : {}));
+  assert.equal(describeEviction(text, 'count', policy, NOW).preview, 'item 1');
+  assert.equal(describeEviction(secret, 'count', policy, NOW).preview, null);
+  assert.equal(describeEviction(image, 'count', policy, NOW).preview, null);
+  assert.equal(describeEviction(text, 'count', policy, NOW).detail, 'More than 10 items');
+});
+
+test('the eviction log is capped, newest first', () => {
+  let log = [];
+  for (let i = 0; i < 120; i++) log = appendEvictionLog(log, [{ id: i }]);
+  assert.equal(log.length, 100);
+  assert.equal(log[0].id, 119);
+});
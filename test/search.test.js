@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchMatcher } = require('../renderer/search');
+
+let nextId = 1;
+function makeItem(content, extra = {}) {
+  return {
+    id: nextId++,
+    type: 'text',
+    content,
+    timestamp: '2026-10-01T12:00:00.000Z',
+    size: content.length,
+    ...extra
+  };
+}
+
+function matches(query, item) {
+  const matcher = createSearchMatcher(query);
+  assert.equal(matcher.error, null, `unexpected error for ${query}`);
+  return matcher.match(item) !== null;
+}
+
+test('every term has to match', () => {
+  const item = makeItem('deploy the staging server');
+  assert.ok(matches('deploy server', item));
+  assert.ok(!matches('deploy database', item));
+});
+
+test('a quoted phrase is one term, spaces included', () => {
+  const item = makeItem('git push origin main');
+  assert.ok(matches('"push origin"', item));
+  assert.ok(!matches('"origin push"', item));
+});
+
+test('a negated word excludes items containing it', () => {
+  assert.ok(!matches('-secret', makeItem('my secret note')));
+  assert.ok(matches('-secret', makeItem('my note')));
+});
+
+test('words that only look like operators are searched as text', () => {
+  const item = makeItem('see http://example.com for details');
+  assert.ok(matches('http://example.com', item));
+});
+
+test('key:"quoted value" lets an operator value contain spaces', () => {
+  const item = makeItem('x', { sourceApp: 'Visual Studio Code' });
+  assert.ok(matches('app:"Visual Studio"', item));
+  assert.ok(!matches('app:"Visual Basic"', item));
+});
+
+test('app: and tag: take a comma list and ignore case', () => {
+  const item = makeItem('x', { sourceApp: 'Firefox', tags: ['SQL'] });
+  assert.ok(matches('app:chrome,firefox', item));
+  assert.ok(matches('tag:shell,sql', item));
+  assert.ok(!matches('tag:shell', item));
+});
+
+test('empty tag: and app: values are errors', () => {
+  assert.equal(createSearchMatcher('tag:').error, 'tag: needs a tag name');
+  assert.equal(createSearchMatcher('app:""').error, 'app: needs an application name');
+});
+
+test('operators can be negated', () => {
+  assert.ok(matches('-is:pinned', makeItem('a')));
+  assert.ok(!matches('-is:pinned', makeItem('a', { pinned: true })));
+});
+
+test('type: matches the item type or its kind of text', () => {
+  const link = makeItem('https://example.com', { kind: 'url' });
+  assert.ok(matches('type:url', link));
+  assert.ok(matches('type:text', link));
+  assert.ok(matches('type:image,url', link));
+  assert.ok(!matches('type:email', link));
+});
+
+test('after: a day means from the end of that day', () => {
+  const sameDay = makeItem('a', { timestamp: '2026-10-01T23:59:59.000Z' });
+  const nextDay = makeItem('a', { timestamp: '2026-10-02T00:00:00.000Z' });
+  assert.ok(!matches('after:2026-10-01', sameDay));
+  assert.ok(matches('after:2026-10-01', nextDay));
+});
+
+test('after: a full date and time is exact', () => {
+  const item = makeItem('a', { timestamp: '2026-10-01T12:00:00.000Z' });
+  assert.ok(matches('after:2026-10-01T12:00:00Z', item));
+  assert.ok(!matches('after:2026-10-01T12:00:01Z', item));
+});
+
+test('before: a day means earlier than that day', () => {
+  const midnight = makeItem('a', { timestamp: '2026-10-01T00:00:00.000Z' });
+  const dayBefore = makeItem('a', { timestamp: '2026-09-30T23:59:59.000Z' });
+  assert.ok(!matches('before:2026-10-01', midnight));
+  assert.ok(matches('before:2026-10-01', dayBefore));
+});
+
+test('an invalid date is an error', () => {
+  assert.equal(createSearchMatcher('before:soon').error, 'Invalid date "soon"');
+});
+
+test('size: compares with units', () => {
+  const item = makeItem('a', { size: 1025 });
+  assert.ok(matches('size:>1kb', item));
+  assert.ok(!matches('size:>1KB', makeItem('a', { size: 1024 })));
+  assert.ok(matches('size:>=1024', makeItem('a', { size: 1024 })));
+  assert.ok(matches('size:<=1.5mb', makeItem('a', { size: 1.5 * 1024 * 1024 })));
+  assert.ok(matches('size:1025b', item));
+  assert.ok(!matches('size:<1kb', item));
+});
+
+test('an invalid size is an error', () => {
+  assert.equal(createSearchMatcher('size:>10xb').error, 'Invalid size ">10xb"');
+  assert.equal(createSearchMatcher('size:big').error, 'Invalid size "big"');
+});
+
+test('regexes match the original text and honour flags', () => {
+  const item = makeItem('Order #1234 shipped');
+  assert.ok(matches('/#\\d+/', item));
+  assert.ok(!matches('/order/', item));
+  assert.ok(matches('/order/i', item));
+});
+
+test('a negated regex excludes matching items', () => {
+  assert.ok(!matches('-/\\d{4}/', makeItem('PIN 1234')));
+  assert.ok(matches('-/\\d{4}/', makeItem('no digits here')));
+});
+
+test('a negated regex alone does not count as a text term', () => {
+  const matcher = createSearchMatcher('-/x/');
+  assert.equal(matcher.hasTextTerms, false);
+  // So images, which have no text, still pass
+  assert.ok(matcher.match(makeItem('', { type: 'image' })));
+});
+
+test('an invalid regex is an error', () => {
+  assert.match(createSearchMatcher('/(/').error, /^Invalid regular expression/);
+});
+
+test('images only match queries without text terms', () => {
+  const image = makeItem('', { type: 'image' });
+  assert.ok(matches('type:image', image));
+  assert.ok(!matches('cat', image));
+});
+
+test('fuzzy matches need the characters in order', () => {
+  const item = makeItem('clipboard history');
+  assert.ok(matches('cbh', item));
+  assert.ok(!matches('hbc', item));
+});
+
+test('substring matches score higher than scattered ones', () => {
+  const matcher = createSearchMatcher('hist');
+  const substring = matcher.match(makeItem('history'));
+  const scattered = matcher.match(makeItem('h-i-s-t'));
+  assert.ok(substring.score > scattered.score);
+  assert.deepEqual(substring.positions, [0, 1, 2, 3]);
+});
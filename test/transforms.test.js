@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listTransforms, applyTransform } = require('../main/transforms');
+
+test('every listed transform can be applied', () => {
+  for (const { id } of listTransforms()) {
+    assert.equal(typeof applyTransform(id, id === 'base64-decode' ? 'aGk=' : '{"a": 1}'), 'string');
+  }
+});
+
+test('unknown transforms are an error', () => {
+  assert.throws(() => applyTransform('reverse', 'x'), /Unknown transform: reverse/);
+});
+
+test('case transforms split words at case changes and separators', () => {
+  assert.equal(applyTransform('camel-case', 'user_ID value-name'), 'userIdValueName');
+  assert.equal(applyTransform('snake-case', 'parseHTTPResponse'), 'parse_http_response');
+  assert.equal(applyTransform('title-case', 'hello wORLD'), 'Hello World');
+});
+
+test('JSON transforms reject invalid JSON', () => {
+  assert.equal(applyTransform('json-minify', '{ "a": [1, 2] }'), '{"a":[1,2]}');
+  assert.equal(applyTransform('json-pretty', '{"a":1}'), '{\n  "a": 1\n}');
+  assert.throws(() => applyTransform('json-pretty', '{a: 1}'), /^Error: Not valid JSON/);
+});
+
+test('Base64 round-trips UTF-8 and rejects other text', () => {
+  const text = 'naïve ✓';
+  assert.equal(applyTransform('base64-decode', applyTransform('base64-encode', text)), text);
+  assert.throws(() => applyTransform('base64-decode', 'not base64!'), /Not valid Base64/);
+  assert.throws(() => applyTransform('base64-decode', '   '), /Not valid Base64/);
+});
+
+test('URL decoding treats + as a space and rejects broken escapes', () => {
+  assert.equal(applyTransform('url-decode', 'a+b%20c'), 'a b c');
+  assert.throws(() => applyTransform('url-decode', '%E0%A4%A'), /Not valid URL-encoded text/);
+});
+
+test('escapes', () => {
+  assert.equal(applyTransform('escape-shell', "it's"), `'it'\\''s'`);
+  assert.equal(applyTransform('escape-regex', 'a.b*(c)'), 'a\\.b\\*\\(c\\)');
+  assert.equal(applyTransform('escape-html', `<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('line transforms keep a trailing newline out of the lines', () => {
+  assert.equal(applyTransform('sort-lines', 'b\na\nc\n'), 'a\nb\nc\n');
+  assert.equal(applyTransform('dedupe-lines', 'a\r\nb\r\na'), 'a\nb');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip, readZip } = require('../main/zip');
+
+test('entries survive a round trip', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+  const text = 'hello '.repeat(1000);
+  const zip = createZip([
+    { name: 'history.json', data: text },
+    { name: 'images/1.png', data: png },
+    { name: 'empty.txt', data: '' },
+    { name: 'naïve ✓.txt', data: 'unicode name' }
+  ]);
+  const files = readZip(zip);
+  assert.deepEqual([...files.keys()], ['history.json', 'images/1.png', 'empty.txt', 'naïve ✓.txt']);
+  assert.equal(files.get('history.json').toString('utf-8'), text);
+  assert.deepEqual(files.get('images/1.png'), png);
+  assert.equal(files.get('empty.txt').length, 0);
+  assert.equal(files.get('naïve ✓.txt').toString('utf-8'), 'unicode name');
+});
+
+test('compressible data is deflated', () => {
+  const data = 'a'.repeat(10000);
+  assert.ok(createZip([{ name: 'a.txt', data }]).length < data.length);
+});
+
+test('archives that unpack past maxSize are rejected', () => {
+  const zip = createZip([
+    { name: 'a.txt', data: 'a'.repeat(600) },
+    { name: 'b.txt', data: 'b'.repeat(600) }
+  ]);
+  assert.equal(readZip(zip, { maxSize: 1200 }).size, 2);
+  assert.throws(() => readZip(zip, { maxSize: 1000 }), /ZIP archive is too large/);
+});
+
+test('a buffer without an end of central directory is not a ZIP', () => {
+  assert.throws(() => readZip(Buffer.from('not a zip file at all')), /Not a ZIP archive/);
+});
+
+test('a changed byte fails the checksum', () => {
+  const zip = createZip([{ name: 'a.bin', data: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]) }]);
+  // Stored entry: data follows the 30-byte local header and the name
+  zip[30 + 'a.bin'.length] ^= 0xff;
+  assert.throws(() => readZip(zip), /Checksum mismatch in ZIP entry "a.bin"/);
+});
+
+test('a truncated archive is rejected', () => {
+  const zip = createZip([{ name: 'a.txt', data: 'x'.repeat(5000) }]);
+  assert.throws(() => readZip(zip.subarray(0, zip.length - 30)));
+});